@@ -0,0 +1,27 @@
+/**
+ * Scopes that can be granted to admin accounts
+ * Each /api/admin route requires one of these
+ */
+const ADMIN_SCOPES = {
+  'analytics:read': 'Platform overview, growth, feature usage and subscription stats',
+  'users:read': 'List and view merchant accounts',
+  'users:write': 'Act on merchant accounts (e.g. revoke sessions)',
+  'security:read': 'View failed logins and other suspicious activity',
+  'audit:read': 'View the admin audit log',
+  'payments:read': 'View payment anomalies, refunds and quarantined M-Pesa SMS',
+  'payments:write': 'Resolve payment anomalies and quarantined SMS, approve flagged payments and refund payments',
+  'plans:write': 'Create, reprice and retire subscription plans',
+  'admins:write': 'Create admin accounts and change their scopes',
+};
+
+/**
+ * Check that every scope in a list is known
+ */
+const areValidScopes = (scopes) => {
+  return Array.isArray(scopes) && scopes.every(scope => Object.prototype.hasOwnProperty.call(ADMIN_SCOPES, scope));
+};
+
+module.exports = {
+  ADMIN_SCOPES,
+  areValidScopes,
+};
@@ -0,0 +1,39 @@
+/**
+ * Subscription lifecycle settings
+ * Plans themselves (price, billing period, trial, entitlements) live in the
+ * plans table; see services/planService.js
+ */
+
+// How long an expired plan keeps working
+const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3;
+
+// Days before the period ends when renewal reminders are sent, e.g. "3,1"
+const SUBSCRIPTION_REMINDER_DAYS = (process.env.SUBSCRIPTION_REMINDER_DAYS || '3,1')
+  .split(',')
+  .map(days => parseInt(days))
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+
+/**
+ * Features a plan can grant, stored in plans.entitlements
+ * Limits are numbers (null means unlimited); switches are booleans
+ */
+const ENTITLEMENT_FEATURES = {
+  maxPendingDebts: 'limit',
+  multiDeviceSync: 'switch',
+  reportExports: 'switch',
+};
+
+// What trial and expired accounts get; a plan's entitlements override these
+const FREE_ENTITLEMENTS = {
+  maxPendingDebts: 10,
+  multiDeviceSync: false,
+  reportExports: false,
+};
+
+module.exports = {
+  ENTITLEMENT_FEATURES,
+  FREE_ENTITLEMENTS,
+  SUBSCRIPTION_GRACE_DAYS,
+  SUBSCRIPTION_REMINDER_DAYS,
+};
@@ -0,0 +1,54 @@
+/**
+ * Staff roles and what each one may do
+ * Owners are the users row itself; cashiers and viewers are staff_members rows
+ */
+const ROLE_PERMISSIONS = {
+  owner: [
+    'sales:read',
+    'sales:write',
+    'debts:read',
+    'debts:create',
+    'debts:clear',
+    'debts:collect',
+    'purchases:read',
+    'purchases:create',
+    'purchases:delete',
+    'subscription:manage',
+    'staff:manage',
+    'account:manage',
+    'devices:manage',
+    'tills:manage',
+  ],
+  cashier: [
+    'sales:read',
+    'sales:write',
+    'debts:read',
+    'debts:create',
+    'debts:collect',
+    'purchases:read',
+    'purchases:create',
+  ],
+  viewer: [
+    'sales:read',
+    'debts:read',
+    'purchases:read',
+  ],
+};
+
+// Roles an owner can give to invited staff
+const STAFF_ROLES = ['cashier', 'viewer'];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - owner, cashier or viewer
+ * @param {string} permission - e.g. debts:clear
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  hasPermission,
+};
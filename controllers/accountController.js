@@ -0,0 +1,177 @@
+const archiver = require('archiver');
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const { toCSV } = require('../utils/csv');
+const { sendSMS } = require('../services/smsService');
+const {
+  ACCOUNT_DELETION_COOLING_OFF_DAYS,
+  collectAccountData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} = require('../services/accountService');
+
+/**
+ * Export Account Data Controller
+ * GET /api/auth/export
+ * Streams a zip with one JSON and one CSV file per table
+ */
+const exportAccountData = async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const data = await collectAccountData(req.user.businessId);
+    const exportedAt = new Date().toISOString();
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      console.error('❌ Export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.attachment(`confirmed-export-${exportedAt.slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    archive.append(
+      JSON.stringify({ exportedAt, userId: req.user.businessId, tables: Object.keys(data) }, null, 2),
+      { name: 'manifest.json' }
+    );
+
+    for (const [table, rows] of Object.entries(data)) {
+      const tableRows = Array.isArray(rows) ? rows : [rows];
+      archive.append(JSON.stringify(rows, null, 2), { name: `json/${table}.json` });
+      archive.append(toCSV(tableRows), { name: `csv/${table}.csv` });
+    }
+
+    await archive.finalize();
+
+    console.log(`✅ Data exported for ${req.user.phoneNumber}`);
+  } catch (error) {
+    console.error('❌ Export error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Delete Account Controller
+ * DELETE /api/auth/account
+ * Requires the PIN; the account is deleted after a cooling-off period
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { pin } = req.body || {};
+
+    if (!pin) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN is required to delete your account',
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, phone_number, pin, deletion_scheduled_for')
+      .eq('id', req.user.businessId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const isPinValid = await bcrypt.compare(String(pin), user.pin);
+
+    if (!isPinValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect PIN',
+      });
+    }
+
+    if (user.deletion_scheduled_for) {
+      return res.status(200).json({
+        success: true,
+        message: 'Account deletion is already scheduled',
+        data: {
+          deletionScheduledFor: user.deletion_scheduled_for,
+        },
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user.id);
+
+    await sendSMS(
+      user.phone_number,
+      `Your CONFIRMED account and all its data will be deleted on ${scheduledFor.toDateString()}. ` +
+        'Log in and cancel the deletion before then to keep your account.',
+      { category: 'alert', userId: user.id }
+    );
+
+    console.log(`🗑️ Account deletion scheduled for ${user.phone_number}: ${scheduledFor.toISOString()}`);
+
+    return res.status(202).json({
+      success: true,
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_COOLING_OFF_DAYS} days. You can cancel until then.`,
+      data: {
+        deletionScheduledFor: scheduledFor,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Delete account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Cancel Account Deletion Controller
+ * POST /api/auth/account/restore
+ */
+const restoreAccount = async (req, res) => {
+  try {
+    const wasScheduled = await cancelAccountDeletion(req.user.businessId);
+
+    if (!wasScheduled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is not scheduled for deletion',
+      });
+    }
+
+    console.log(`✅ Account deletion cancelled for ${req.user.phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    console.error('❌ Restore account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  deleteAccount,
+  restoreAccount,
+};
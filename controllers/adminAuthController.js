@@ -0,0 +1,333 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { ADMIN_SCOPES, areValidScopes } = require('../config/adminScopes');
+const { getAdminSecret } = require('../middleware/adminAuth');
+const { recordAdminAction } = require('../services/adminAuditService');
+const {
+  adminLoginKey,
+  checkLoginLock,
+  recordSuccessfulLogin,
+  recordFailedLogin,
+} = require('../services/loginAttemptService');
+
+/**
+ * Generate admin JWT
+ */
+const generateAdminToken = (admin) => {
+  return jwt.sign(
+    { type: 'admin', adminId: admin.id, email: admin.email },
+    getAdminSecret(),
+    { expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '8h' }
+  );
+};
+
+/**
+ * Shape an admin_users row for responses (never includes the password hash)
+ */
+const formatAdmin = (admin) => ({
+  id: admin.id,
+  email: admin.email,
+  name: admin.name,
+  scopes: admin.scopes || [],
+  isActive: admin.is_active,
+  lastLogin: admin.last_login,
+  createdAt: admin.created_at,
+});
+
+/**
+ * Send a 423 response for a locked admin login
+ */
+const sendLockedResponse = (res, lockState) => {
+  const minutes = Math.ceil(lockState.retryAfter / 60);
+
+  res.set('Retry-After', String(lockState.retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: lockState.retryAfter,
+    lockedUntil: lockState.lockedUntil,
+  });
+};
+
+/**
+ * Admin Login Controller
+ * POST /api/admin/auth/login
+ */
+const adminLogin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const loginKey = adminLoginKey(normalizedEmail);
+    const ipAddress = req.ip || null;
+    const userAgent = req.headers['user-agent'] || null;
+
+    // Same lockout as PIN logins, per email and per client IP
+    const lockState = await checkLoginLock(loginKey, ipAddress);
+    if (lockState.locked) {
+      return sendLockedResponse(res, lockState);
+    }
+
+    const { data: admin } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    const isPasswordValid = admin && admin.is_active
+      ? await bcrypt.compare(password, admin.password_hash)
+      : false;
+
+    if (!isPasswordValid) {
+      const failedState = await recordFailedLogin(loginKey, ipAddress, {
+        reason: admin ? 'wrong_password' : 'unknown_email',
+        userAgent,
+      });
+
+      await recordAdminAction(req, 'auth.login_failed', {
+        statusCode: failedState.locked ? 423 : 401,
+        admin: { id: admin?.id || null, email: normalizedEmail },
+      });
+
+      if (failedState.locked) {
+        return sendLockedResponse(res, failedState);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+      });
+    }
+
+    await supabase
+      .from('admin_users')
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', admin.id);
+
+    await recordSuccessfulLogin(loginKey, ipAddress, { userAgent });
+
+    await recordAdminAction(req, 'auth.login', { statusCode: 200, admin });
+
+    console.log(`✅ Admin logged in: ${admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        admin: formatAdmin(admin),
+        token: generateAdminToken(admin),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Current Admin Controller
+ * GET /api/admin/auth/me
+ */
+const getCurrentAdmin = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...req.admin,
+      availableScopes: ADMIN_SCOPES,
+    },
+  });
+};
+
+/**
+ * List Admins Controller
+ * GET /api/admin/admins
+ */
+const listAdmins = async (req, res) => {
+  try {
+    const { data: admins, error } = await supabase
+      .from('admin_users')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      admins: admins.map(formatAdmin),
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/admins:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Create Admin Controller
+ * POST /api/admin/admins
+ */
+const createAdmin = async (req, res) => {
+  try {
+    const { email, name, password, scopes = [] } = req.body;
+
+    if (!email || !name || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, name and password are required',
+      });
+    }
+
+    if (password.length < 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 12 characters',
+      });
+    }
+
+    if (!areValidScopes(scopes)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes. Valid scopes: ${Object.keys(ADMIN_SCOPES).join(', ')}`,
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admin_users')
+      .insert([
+        {
+          email: email.trim().toLowerCase(),
+          name,
+          password_hash: await bcrypt.hash(password, 12),
+          scopes,
+          is_active: true,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'An admin with this email already exists',
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✅ Admin created: ${admin.email} by ${req.admin.email}`);
+
+    return res.status(201).json({
+      success: true,
+      admin: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error('❌ Error creating admin:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Update Admin Controller (scopes, active flag)
+ * PUT /api/admin/admins/:adminId
+ */
+const updateAdmin = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { scopes, isActive } = req.body;
+    const updates = {};
+
+    if (scopes !== undefined) {
+      if (!areValidScopes(scopes)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid scopes. Valid scopes: ${Object.keys(ADMIN_SCOPES).join(', ')}`,
+        });
+      }
+      updates.scopes = scopes;
+    }
+
+    if (isActive !== undefined) {
+      updates.is_active = Boolean(isActive);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Provide scopes or isActive',
+      });
+    }
+
+    // Stop admins from locking themselves out
+    if (adminId === req.admin.adminId && (updates.is_active === false ||
+        (updates.scopes && !updates.scopes.includes('admins:write')))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account or remove your own admins:write scope',
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admin_users')
+      .update(updates)
+      .eq('id', adminId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      admin: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error('❌ Error updating admin:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  adminLogin,
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+};
@@ -1,51 +1,298 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
+const { createOTP, verifyOTP } = require('../services/otpService');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessionService');
+const {
+  checkLoginLock,
+  recordSuccessfulLogin,
+  recordFailedLogin,
+} = require('../services/loginAttemptService');
+const {
+  isValidDeviceId,
+  findTrustedDevice,
+  trustDevice,
+} = require('../services/deviceService');
+const { getSubscription, getDaysRemaining, getEntitlements } = require('../services/subscriptionService');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// How long a new-device challenge stays valid (matches the OTP lifetime)
+const DEVICE_CHALLENGE_EXPIRES_IN = '10m';
+
+/**
+ * Validate PIN format (4-6 digits)
+ */
+const isValidPin = (pin) => /^\d{4,6}$/.test(pin);
 
 /**
- * Generate JWT token
+ * Send a 400 response for a phone number that cannot be normalized
  */
-const generateToken = (userId, phoneNumber) => {
+const sendInvalidPhoneResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid phone number format. Use 254XXXXXXXXX or 07XXXXXXXX',
+  });
+};
+
+/**
+ * Send a 400 response for a missing or malformed device id
+ */
+const sendInvalidDeviceResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'A valid deviceId is required',
+  });
+};
+
+/**
+ * Generate JWT access token (short-lived, tied to a session)
+ * userId is always the business (owner) id; staff tokens also carry staffId
+ */
+const generateToken = ({ userId, phoneNumber, sessionId, role = 'owner', staffId = null, deviceId = null }) => {
   return jwt.sign(
-    { userId, phoneNumber },
+    { userId, phoneNumber, sessionId, role, staffId, deviceId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+/**
+ * Find the account a phone number logs into
+ * Returns the business owner row and, for staff, their staff_members row
+ */
+const findAccountByPhone = async (phoneNumber) => {
+  const { data: user } = await supabase
+    .from('users')
+    .select('*')
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (user) {
+    return { user, staff: null };
+  }
+
+  const { data: staff } = await supabase
+    .from('staff_members')
+    .select('*')
+    .eq('phone_number', phoneNumber)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (!staff) {
+    return null;
+  }
+
+  const { data: business } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', staff.business_id)
+    .single();
+
+  return business ? { user: business, staff } : null;
+};
+
+/**
+ * Send a 423 response for a locked login
+ */
+const sendLockedResponse = (res, lockState) => {
+  const minutes = Math.ceil(lockState.retryAfter / 60);
+
+  res.set('Retry-After', String(lockState.retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: lockState.retryAfter,
+    lockedUntil: lockState.lockedUntil,
+  });
+};
+
+/**
+ * Check an OTP sent to a phone, with the same lockout as PIN logins
+ * Wrong codes count as failed logins for the phone number and client IP.
+ * Sends the error response itself and returns false when the code is not accepted.
+ */
+const verifyPhoneOTP = async (req, res, phoneNumber, otp) => {
+  const ipAddress = req.ip || null;
+  const userAgent = req.headers['user-agent'] || null;
+
+  const lockState = await checkLoginLock(phoneNumber, ipAddress);
+  if (lockState.locked) {
+    sendLockedResponse(res, lockState);
+    return false;
+  }
+
+  const result = await verifyOTP(phoneNumber, String(otp));
+
+  if (!result.success) {
+    const failedState = await recordFailedLogin(phoneNumber, ipAddress, { reason: 'wrong_otp', userAgent });
+
+    if (failedState.locked) {
+      sendLockedResponse(res, failedState);
+    } else {
+      res.status(401).json(result);
+    }
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Start a session and issue its access and refresh tokens
+ * @param {object} user - Business (owner) row
+ * @param {object} req - Express request
+ * @param {object} [options]
+ * @param {object} [options.staff] - staff_members row when a staff member logs in
+ * @param {string} [options.deviceId] - Trusted device the session runs on
+ */
+const issueTokens = async (user, req, { staff = null, deviceId = null } = {}) => {
+  const session = await createSession(user.id, {
+    staffId: staff?.id || null,
+    deviceId,
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null,
+  });
+
+  return {
+    token: generateToken({
+      userId: user.id,
+      phoneNumber: staff ? staff.phone_number : user.phone_number,
+      sessionId: session.sessionId,
+      role: staff ? staff.role : 'owner',
+      staffId: staff?.id || null,
+      deviceId,
+    }),
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Complete a login for a verified user
+ * Updates last login, trusts the device and builds the response payload
+ * shared by PIN, OTP and new-device logins
+ * @param {object} user - Business (owner) row
+ * @param {object} req - Express request
+ * @param {object} [options]
+ * @param {object} [options.staff] - staff_members row when a staff member logs in
+ * @param {string} [options.deviceId] - Device the user logged in from
+ */
+const buildLoginPayload = async (user, req, { staff = null, deviceId = null } = {}) => {
+  // Update last login
+  await supabase
+    .from(staff ? 'staff_members' : 'users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', staff ? staff.id : user.id);
+
+  if (deviceId) {
+    await trustDevice(user.id, {
+      staffId: staff?.id || null,
+      deviceId,
+      deviceName: req.body.deviceName || null,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+    });
+  }
+
+  const tokens = await issueTokens(user, req, { staff, deviceId });
+
+  return {
+    userId: user.id,
+    businessName: user.business_name,
+    phoneNumber: staff ? staff.phone_number : user.phone_number,
+    role: staff ? staff.role : 'owner',
+    ...(staff && { staffId: staff.id, staffName: staff.name }),
+    subscriptionStatus: user.subscription_status,
+    signupDate: user.created_at,
+    deviceId,
+    deletionScheduledFor: user.deletion_scheduled_for || null,
+    ...tokens,
+  };
+};
+
+/**
+ * Challenge a login from an unknown device
+ * Sends an OTP and returns a short-lived challenge token for POST /api/auth/devices/verify
+ * @param {object} res - Express response
+ * @param {object} account - { user, staff } from findAccountByPhone
+ * @param {string} phoneNumber - Normalized phone number that logged in
+ * @param {string|null} deviceId - Unknown device id, null when the app sent none
+ */
+const sendDeviceChallenge = async (res, { user, staff }, phoneNumber, deviceId) => {
+  const result = await createOTP(phoneNumber);
+
+  if (!result.success) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json(result);
+  }
+
+  const challengeToken = jwt.sign(
+    {
+      type: 'device_challenge',
+      userId: user.id,
+      staffId: staff?.id || null,
+      phoneNumber,
+      deviceId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: DEVICE_CHALLENGE_EXPIRES_IN }
+  );
+
+  console.log(`🔐 New device challenge for ${phoneNumber}`);
+
+  return res.status(202).json({
+    success: true,
+    code: 'DEVICE_VERIFICATION_REQUIRED',
+    message: 'New device. Enter the code sent to your phone to continue.',
+    data: {
+      challengeToken,
+      expiresAt: result.expiresAt,
+      ...(result.otp && { otp: result.otp }),
+    },
+  });
+};
+
 /**
  * Sign Up Controller
  * POST /api/auth/signup
  */
 const signup = async (req, res) => {
   try {
-    const { businessName, phoneNumber, pin } = req.body;
+    const { businessName, pin, deviceId } = req.body;
 
     // Validation
-    if (!businessName || !phoneNumber || !pin) {
+    if (!businessName || !req.body.phoneNumber || !pin) {
       return res.status(400).json({
         success: false,
         message: 'Business name, phone number, and PIN are required',
       });
     }
 
-    // Validate phone number format (Kenyan format)
-    const phoneRegex = /^(254|0)[17]\d{8}$/;
-    if (!phoneRegex.test(phoneNumber)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid phone number format. Use 254XXXXXXXXX or 07XXXXXXXX',
-      });
+    // Validate and normalize phone number (Kenyan format, stored as 254XXXXXXXXX)
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return sendInvalidPhoneResponse(res);
     }
 
     // Validate PIN (4-6 digits)
-    if (!/^\d{4,6}$/.test(pin)) {
+    if (!isValidPin(pin)) {
       return res.status(400).json({
         success: false,
         message: 'PIN must be 4-6 digits',
       });
     }
 
+    // The signup device becomes the first trusted device
+    if (deviceId !== undefined && !isValidDeviceId(deviceId)) {
+      return sendInvalidDeviceResponse(res);
+    }
+
     if (!supabase) {
       return res.status(503).json({
         success: false,
@@ -60,7 +307,15 @@ const signup = async (req, res) => {
       .eq('phone_number', phoneNumber)
       .single();
 
-    if (existingUser) {
+    // Staff phone numbers cannot also own a business
+    const { data: existingStaff } = await supabase
+      .from('staff_members')
+      .select('id')
+      .eq('phone_number', phoneNumber)
+      .neq('status', 'removed')
+      .maybeSingle();
+
+    if (existingUser || existingStaff) {
       return res.status(409).json({
         success: false,
         message: 'Phone number already registered',
@@ -94,8 +349,16 @@ const signup = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(newUser.id, newUser.phone_number);
+    if (deviceId) {
+      await trustDevice(newUser.id, {
+        deviceId,
+        deviceName: req.body.deviceName || null,
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || null,
+      });
+    }
+
+    const tokens = await issueTokens(newUser, req, { deviceId: deviceId || null });
 
     console.log(`✅ New user registered: ${phoneNumber}`);
 
@@ -106,8 +369,9 @@ const signup = async (req, res) => {
         userId: newUser.id,
         businessName: newUser.business_name,
         phoneNumber: newUser.phone_number,
+        role: 'owner',
         subscriptionStatus: newUser.subscription_status,
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -125,16 +389,26 @@ const signup = async (req, res) => {
  */
 const login = async (req, res) => {
   try {
-    const { phoneNumber, pin } = req.body;
+    const { pin, deviceId } = req.body;
 
     // Validation
-    if (!phoneNumber || !pin) {
+    if (!req.body.phoneNumber || !pin) {
       return res.status(400).json({
         success: false,
         message: 'Phone number and PIN are required',
       });
     }
 
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return sendInvalidPhoneResponse(res);
+    }
+
+    // Apps released before device ids may leave it out; they are challenged every time
+    if (deviceId != null && !isValidDeviceId(deviceId)) {
+      return sendInvalidDeviceResponse(res);
+    }
+
     if (!supabase) {
       return res.status(503).json({
         success: false,
@@ -142,55 +416,122 @@ const login = async (req, res) => {
       });
     }
 
-    // Find user by phone number
-    const { data: user, error: fetchError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('phone_number', phoneNumber)
-      .single();
+    const ipAddress = req.ip || null;
+    const userAgent = req.headers['user-agent'] || null;
+
+    // Refuse while the phone number or client IP is locked out
+    const lockState = await checkLoginLock(phoneNumber, ipAddress);
+    if (lockState.locked) {
+      return sendLockedResponse(res, lockState);
+    }
+
+    // Find the owner or staff account for this phone number
+    const account = await findAccountByPhone(phoneNumber);
+
+    if (!account) {
+      const failedState = await recordFailedLogin(phoneNumber, ipAddress, {
+        reason: 'unknown_phone',
+        userAgent,
+      });
+
+      if (failedState.locked) {
+        return sendLockedResponse(res, failedState);
+      }
 
-    if (fetchError || !user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or PIN',
       });
     }
 
+    const { user, staff } = account;
+
     // Verify PIN
-    const isPinValid = await bcrypt.compare(pin, user.pin);
+    const isPinValid = await bcrypt.compare(pin, staff ? staff.pin : user.pin);
 
     if (!isPinValid) {
+      // The business owner is alerted, including for staff accounts
+      const failedState = await recordFailedLogin(phoneNumber, ipAddress, { user, userAgent });
+
+      if (failedState.locked) {
+        return sendLockedResponse(res, failedState);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or PIN',
       });
     }
 
-    // Update last login
-    await supabase
-      .from('users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
+    await recordSuccessfulLogin(phoneNumber, ipAddress, { userId: user.id, userAgent });
+
+    // A correct PIN is not enough on a device we have not seen before
+    const device = deviceId ? await findTrustedDevice(user.id, staff?.id || null, deviceId) : null;
+    if (!device) {
+      return sendDeviceChallenge(res, account, phoneNumber, deviceId || null);
+    }
 
-    // Generate JWT token
-    const token = generateToken(user.id, user.phone_number);
+    const data = await buildLoginPayload(user, req, { staff, deviceId });
 
     console.log(`✅ User logged in: ${phoneNumber}`);
 
     return res.status(200).json({
       success: true,
       message: 'Login successful',
+      data,
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Request Login OTP Controller
+ * POST /api/auth/otp/request
+ * Answers the same whether or not the number is registered
+ */
+const requestLoginOTP = async (req, res) => {
+  try {
+    if (!req.body.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required',
+      });
+    }
+
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return sendInvalidPhoneResponse(res);
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const result = await createOTP(phoneNumber);
+
+    if (!result.success) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'OTP sent to your phone',
       data: {
-        userId: user.id,
-        businessName: user.business_name,
-        phoneNumber: user.phone_number,
-        subscriptionStatus: user.subscription_status,
-        signupDate: user.created_at,
-        token,
+        expiresAt: result.expiresAt,
+        ...(result.otp && { otp: result.otp }),
       },
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
+    console.error('❌ Request OTP error:', error);
     return res.status(500).json({
       success: false,
       message: error.message || 'Internal server error',
@@ -199,91 +540,354 @@ const login = async (req, res) => {
 };
 
 /**
- * Verify Token Controller (for protected routes)
- * GET /api/auth/verify
+ * Verify Login OTP Controller
+ * POST /api/auth/otp/verify
  */
-const verifyToken = async (req, res) => {
+const verifyLoginOTP = async (req, res) => {
+  try {
+    const { otp, deviceId } = req.body;
+
+    if (!req.body.phoneNumber || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number and OTP are required',
+      });
+    }
+
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return sendInvalidPhoneResponse(res);
+    }
+
+    if (deviceId != null && !isValidDeviceId(deviceId)) {
+      return sendInvalidDeviceResponse(res);
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    if (!await verifyPhoneOTP(req, res, phoneNumber, otp)) {
+      return;
+    }
+
+    // Numbers without an account are sent no code, so this only happens if the account just went away
+    const account = await findAccountByPhone(phoneNumber);
+
+    if (!account) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid OTP code.',
+      });
+    }
+
+    await recordSuccessfulLogin(phoneNumber, req.ip || null, {
+      userId: account.user.id,
+      userAgent: req.headers['user-agent'] || null,
+    });
+
+    // The OTP proves the phone is in hand, so the device (if sent) becomes trusted
+    const data = await buildLoginPayload(account.user, req, { staff: account.staff, deviceId });
+
+    console.log(`✅ User logged in with OTP: ${phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data,
+    });
+  } catch (error) {
+    console.error('❌ Verify OTP error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Verify New Device Controller
+ * POST /api/auth/devices/verify
+ * Completes a PIN login that was challenged with DEVICE_VERIFICATION_REQUIRED
+ */
+const verifyDevice = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1]; // Bearer token
+    const { challengeToken, otp } = req.body;
 
-    if (!token) {
+    if (!challengeToken || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and OTP are required',
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      challenge = null;
+    }
+
+    if (!challenge || challenge.type !== 'device_challenge') {
       return res.status(401).json({
         success: false,
-        message: 'No token provided',
+        message: 'Device verification expired. Please log in again.',
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const result = await verifyOTP(challenge.phoneNumber, String(otp));
+
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    // The account must still be the one that passed the PIN check
+    const account = await findAccountByPhone(challenge.phoneNumber);
+
+    if (!account || account.user.id !== challenge.userId ||
+        (account.staff?.id || null) !== challenge.staffId) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const data = await buildLoginPayload(account.user, req, {
+      staff: account.staff,
+      deviceId: challenge.deviceId,
+    });
+
+    console.log(`✅ New device verified for ${challenge.phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Device verified. Login successful',
+      data,
+    });
+  } catch (error) {
+    console.error('❌ Verify device error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Refresh Token Controller
+ * POST /api/auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const result = await rotateSession(presentedToken);
+
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
 
-    // Fetch user details
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, business_name, phone_number, subscription_status, created_at')
-      .eq('id', decoded.userId)
+      .select('id, phone_number')
+      .eq('id', result.session.user_id)
       .single();
 
-    if (error || !user) {
+    // Staff tokens pick up role changes on refresh
+    let staff = null;
+    if (result.session.staff_id) {
+      const { data: staffMember } = await supabase
+        .from('staff_members')
+        .select('id, phone_number, role, status')
+        .eq('id', result.session.staff_id)
+        .single();
+
+      staff = staffMember && staffMember.status === 'active' ? staffMember : null;
+    }
+
+    if (error || !user || (result.session.staff_id && !staff)) {
+      await revokeSession(result.session.id, 'user_not_found');
       return res.status(401).json({
         success: false,
-        message: 'Invalid token',
+        message: 'User not found',
       });
     }
 
     return res.status(200).json({
       success: true,
       data: {
-        userId: user.id,
-        businessName: user.business_name,
-        phoneNumber: user.phone_number,
-        subscriptionStatus: user.subscription_status,
-        signupDate: user.created_at,
+        token: generateToken({
+          userId: user.id,
+          phoneNumber: staff ? staff.phone_number : user.phone_number,
+          sessionId: result.session.id,
+          role: staff ? staff.role : 'owner',
+          staffId: staff?.id || null,
+          deviceId: result.session.device_id || null,
+        }),
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.expiresAt,
       },
     });
   } catch (error) {
-    console.error('❌ Token verification error:', error);
-    return res.status(401).json({
+    console.error('❌ Refresh token error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Invalid or expired token',
+      message: error.message || 'Internal server error',
     });
   }
 };
 
 /**
- * Get User Profile
- * GET /api/auth/profile
+ * Logout Controller (current device)
+ * POST /api/auth/logout
  */
-const getProfile = async (req, res) => {
+const logout = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    await revokeSession(req.user.sessionId, 'logout');
 
-    if (!token) {
-      return res.status(401).json({
+    console.log(`✅ User logged out: ${req.user.phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Logout All Devices Controller
+ * POST /api/auth/logout-all
+ */
+const logoutAllDevices = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.userId, { staffId: req.user.staffId });
+
+    console.log(`✅ Revoked ${revokedCount} sessions for ${req.user.phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: revokedCount,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Change PIN Controller
+ * PUT /api/auth/pin
+ */
+const changePin = async (req, res) => {
+  try {
+    const { currentPin, newPin } = req.body;
+
+    if (!currentPin || !newPin) {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided',
+        message: 'Current PIN and new PIN are required',
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!isValidPin(newPin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4-6 digits',
+      });
+    }
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, business_name, phone_number, subscription_status, created_at, last_login')
-      .eq('id', decoded.userId)
+    // Staff members change their own PIN, not the owner's
+    const table = req.user.staffId ? 'staff_members' : 'users';
+    const accountId = req.user.staffId || req.user.userId;
+
+    const { data: account, error: fetchError } = await supabase
+      .from(table)
+      .select('id, pin')
+      .eq('id', accountId)
       .single();
 
-    if (error || !user) {
+    if (fetchError || !account) {
       return res.status(404).json({
         success: false,
         message: 'User not found',
       });
     }
 
+    const isPinValid = await bcrypt.compare(currentPin, account.pin);
+
+    if (!isPinValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current PIN is incorrect',
+      });
+    }
+
+    const hashedPin = await bcrypt.hash(newPin, 10);
+
+    const { error: updateError } = await supabase
+      .from(table)
+      .update({ pin: hashedPin })
+      .eq('id', account.id);
+
+    if (updateError) {
+      console.error('❌ PIN update error:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change PIN',
+      });
+    }
+
+    // Keep this device signed in, log out the rest
+    await revokeAllSessions(req.user.userId, {
+      staffId: req.user.staffId,
+      exceptSessionId: req.user.sessionId,
+      reason: 'pin_changed',
+    });
+
+    console.log(`✅ PIN changed for ${req.user.phoneNumber}`);
+
     return res.status(200).json({
       success: true,
-      data: user,
+      message: 'PIN changed successfully. Other devices have been logged out.',
     });
   } catch (error) {
-    console.error('❌ Get profile error:', error);
+    console.error('❌ Change PIN error:', error);
     return res.status(500).json({
       success: false,
       message: error.message || 'Internal server error',
@@ -292,66 +896,167 @@ const getProfile = async (req, res) => {
 };
 
 /**
- * Update Subscription Status
- * PUT /api/auth/subscription
+ * Reset Forgotten PIN Controller
+ * POST /api/auth/pin/reset
+ * Requires an OTP from POST /api/auth/pin/forgot
  */
-const updateSubscription = async (req, res) => {
+const resetPin = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    const { otp, newPin } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
+    if (!req.body.phoneNumber || !otp || !newPin) {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided',
+        message: 'Phone number, OTP and new PIN are required',
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const { subscriptionStatus } = req.body;
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return sendInvalidPhoneResponse(res);
+    }
 
-    // Validate subscription status
-    const validStatuses = ['trial', 'basic', 'premium'];
-    if (!subscriptionStatus || !validStatuses.includes(subscriptionStatus)) {
+    // Validate before verifying so a bad PIN does not use up the OTP
+    if (!isValidPin(newPin)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid subscription status. Must be trial, basic, or premium',
+        message: 'PIN must be 4-6 digits',
       });
     }
 
-    // Update subscription in database
-    const { data: updatedUser, error } = await supabase
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    if (!await verifyPhoneOTP(req, res, phoneNumber, otp)) {
+      return;
+    }
+
+    const account = await findAccountByPhone(phoneNumber);
+
+    if (!account) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid OTP code.',
+      });
+    }
+
+    const { user, staff } = account;
+    const hashedPin = await bcrypt.hash(newPin, 10);
+
+    const { error: updateError } = await supabase
+      .from(staff ? 'staff_members' : 'users')
+      .update({ pin: hashedPin })
+      .eq('id', staff ? staff.id : user.id);
+
+    if (updateError) {
+      console.error('❌ PIN reset error:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reset PIN',
+      });
+    }
+
+    // A forgotten PIN may mean a lost phone: revoke every existing token
+    await revokeAllSessions(user.id, { staffId: staff?.id || null, reason: 'pin_reset' });
+
+    console.log(`✅ PIN reset for ${phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'PIN reset successfully. Please log in with your new PIN.',
+    });
+  } catch (error) {
+    console.error('❌ Reset PIN error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Verify Token Controller (for protected routes)
+ * GET /api/auth/verify
+ */
+const verifyToken = async (req, res) => {
+  try {
+    // Fetch user details
+    const { data: user, error } = await supabase
       .from('users')
-      .update({ 
-        subscription_status: subscriptionStatus,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', decoded.userId)
       .select('id, business_name, phone_number, subscription_status, created_at')
+      .eq('id', req.user.userId)
       .single();
 
-    if (error || !updatedUser) {
-      console.error('❌ Subscription update error:', error);
-      return res.status(500).json({
+    if (error || !user) {
+      return res.status(401).json({
         success: false,
-        message: 'Failed to update subscription',
+        message: 'Invalid token',
       });
     }
 
-    console.log(`✅ Subscription updated for user ${decoded.userId}: ${subscriptionStatus}`);
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.id,
+        businessName: user.business_name,
+        phoneNumber: user.phone_number,
+        subscriptionStatus: user.subscription_status,
+        signupDate: user.created_at,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Token verification error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token',
+    });
+  }
+};
+
+/**
+ * Get User Profile
+ * GET /api/auth/profile
+ */
+const getProfile = async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, business_name, phone_number, subscription_status, created_at, last_login, deletion_scheduled_for')
+      .eq('id', req.user.userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const subscription = await getSubscription(user.id);
+    const { entitlements } = await getEntitlements(user.id);
 
     return res.status(200).json({
       success: true,
-      message: 'Subscription updated successfully',
       data: {
-        userId: updatedUser.id,
-        businessName: updatedUser.business_name,
-        phoneNumber: updatedUser.phone_number,
-        subscriptionStatus: updatedUser.subscription_status,
-        signupDate: updatedUser.created_at,
+        ...user,
+        subscription: subscription && {
+          plan: subscription.plan,
+          planId: subscription.plan_id,
+          status: subscription.status,
+          currentPeriodStart: subscription.current_period_start,
+          currentPeriodEnd: subscription.current_period_end,
+          graceEndsAt: subscription.grace_ends_at,
+          daysRemaining: getDaysRemaining(subscription),
+        },
+        entitlements,
       },
     });
   } catch (error) {
-    console.error('❌ Update subscription error:', error);
+    console.error('❌ Get profile error:', error);
     return res.status(500).json({
       success: false,
       message: error.message || 'Internal server error',
@@ -362,7 +1067,14 @@ const updateSubscription = async (req, res) => {
 module.exports = {
   signup,
   login,
+  requestLoginOTP,
+  verifyLoginOTP,
+  verifyDevice,
+  refreshToken,
+  logout,
+  logoutAllDevices,
+  changePin,
+  resetPin,
   verifyToken,
   getProfile,
-  updateSubscription,
 };
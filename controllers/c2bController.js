@@ -0,0 +1,333 @@
+const supabase = require('../config/supabase');
+const {
+  TILL_STATUSES,
+  listTills,
+  addTill,
+  removeTill,
+  setTillStatus,
+  findTillForPayment,
+  recordC2BPayment,
+} = require('../services/c2bService');
+
+// Daraja C2B validation result codes
+const C2B_ACCEPT = '0';
+const C2B_INVALID_ACCOUNT = 'C2B00012';
+const C2B_INVALID_AMOUNT = 'C2B00013';
+const C2B_OTHER_ERROR = 'C2B00016';
+
+/**
+ * Shape a merchant_tills row for the app
+ */
+const formatTill = (till) => ({
+  id: till.id,
+  shortcode: till.shortcode,
+  shortcodeType: till.shortcode_type,
+  accountReference: till.account_reference,
+  status: till.status,
+  stkEnabled: Boolean(till.stk_passkey),
+  registeredAt: till.c2b_registered_at,
+  createdAt: till.created_at,
+});
+
+/**
+ * C2B Validation Controller
+ * POST /api/mpesa/c2b/validation/:token
+ * Only called when external validation is enabled on the shortcode.
+ * Rejects payments M-Pesa would otherwise take for an unknown account.
+ */
+const c2bValidation = async (req, res) => {
+  try {
+    const { TransID, TransAmount, BusinessShortCode, BillRefNumber } = req.body;
+
+    if (!(Number(TransAmount) > 0)) {
+      return res.status(200).json({
+        ResultCode: C2B_INVALID_AMOUNT,
+        ResultDesc: 'Rejected',
+      });
+    }
+
+    const till = await findTillForPayment(BusinessShortCode, BillRefNumber);
+
+    if (!till) {
+      console.warn(`⚠️ C2B validation rejected ${TransID}: no till for ${BusinessShortCode} (${BillRefNumber || 'no account'})`);
+      return res.status(200).json({
+        ResultCode: C2B_INVALID_ACCOUNT,
+        ResultDesc: 'Rejected',
+      });
+    }
+
+    return res.status(200).json({
+      ResultCode: C2B_ACCEPT,
+      ResultDesc: 'Accepted',
+    });
+  } catch (error) {
+    console.error('❌ C2B validation error:', error);
+    return res.status(200).json({
+      ResultCode: C2B_OTHER_ERROR,
+      ResultDesc: 'Rejected',
+    });
+  }
+};
+
+/**
+ * C2B Confirmation Controller
+ * POST /api/mpesa/c2b/confirmation/:token
+ * The money has already moved; record the sale and always acknowledge
+ */
+const c2bConfirmation = async (req, res) => {
+  try {
+    console.log('📱 C2B confirmation received:', JSON.stringify(req.body, null, 2));
+
+    if (!req.body?.TransID) {
+      console.warn('⚠️ C2B confirmation without TransID ignored');
+    } else {
+      await recordC2BPayment(req.body);
+    }
+  } catch (error) {
+    console.error('❌ C2B confirmation handler error:', error);
+  }
+
+  return res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Success',
+  });
+};
+
+/**
+ * List Tills Controller
+ * GET /api/mpesa/c2b/tills
+ */
+const getTills = async (req, res) => {
+  try {
+    const tills = await listTills(req.user.businessId);
+
+    return res.status(200).json({
+      success: true,
+      tills: tills.map(formatTill),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching tills:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tills',
+    });
+  }
+};
+
+/**
+ * Link Till Controller
+ * POST /api/mpesa/c2b/tills
+ * Body: { shortcode, shortcodeType: 'till' | 'paybill', accountReference? }
+ */
+const linkTill = async (req, res) => {
+  try {
+    const { shortcode, shortcodeType } = req.body;
+    const accountReference = typeof req.body.accountReference === 'string'
+      ? req.body.accountReference.trim() || null
+      : null;
+
+    if (typeof shortcode !== 'string' || !/^\d{5,7}$/.test(shortcode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shortcode must be a 5-7 digit till or paybill number',
+      });
+    }
+
+    if (!['till', 'paybill'].includes(shortcodeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'shortcodeType must be till or paybill',
+      });
+    }
+
+    if (accountReference && (shortcodeType !== 'paybill' || accountReference.length > 20)) {
+      return res.status(400).json({
+        success: false,
+        message: 'accountReference is only for paybills and must be at most 20 characters',
+      });
+    }
+
+    const till = await addTill(req.user.businessId, { shortcode, shortcodeType, accountReference });
+
+    console.log(`✅ Till ${shortcode} linked to business ${req.user.businessId}, awaiting activation`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Till linked. M-Pesa payments will be recorded once it is activated.',
+      till: formatTill(till),
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This till or paybill account is already linked to a business',
+      });
+    }
+
+    console.error('❌ Link till error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Unlink Till Controller
+ * DELETE /api/mpesa/c2b/tills/:id
+ */
+const unlinkTill = async (req, res) => {
+  try {
+    const till = await removeTill(req.user.businessId, req.params.id);
+
+    if (!till) {
+      return res.status(404).json({
+        success: false,
+        message: 'Till not found',
+      });
+    }
+
+    console.log(`✅ Till ${till.shortcode} unlinked from business ${req.user.businessId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Till unlinked',
+    });
+  } catch (error) {
+    console.error('❌ Unlink till error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * List All Tills Controller (admin)
+ * GET /api/admin/tills
+ */
+const listAllTills = async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabase
+      .from('merchant_tills')
+      .select('*, users (business_name, phone_number)')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: tills, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: tills.length,
+      // Passkeys are write-only
+      tills: tills.map(({ stk_passkey: stkPasskey, ...till }) => ({ ...till, stk_enabled: Boolean(stkPasskey) })),
+    });
+  } catch (error) {
+    console.error('❌ Error listing tills:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Update Till Status Controller (admin)
+ * PUT /api/admin/tills/:tillId
+ * Body: { status?: 'pending' | 'active' | 'disabled', stkShortcode?, stkPasskey? }
+ * stkPasskey (and stkShortcode, the store number of a Buy Goods till) let the
+ * business send M-Pesa prompts that pay into the till; null clears them
+ */
+const updateTillStatus = async (req, res) => {
+  try {
+    const { status, stkShortcode, stkPasskey } = req.body;
+
+    if (status !== undefined && !TILL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${TILL_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (stkShortcode !== undefined && stkShortcode !== null && !/^\d{5,7}$/.test(String(stkShortcode))) {
+      return res.status(400).json({
+        success: false,
+        message: 'stkShortcode must be a 5-7 digit store number',
+      });
+    }
+
+    if (stkPasskey !== undefined && stkPasskey !== null && (typeof stkPasskey !== 'string' || !stkPasskey.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'stkPasskey must be the shortcode\'s Lipa na M-Pesa Online passkey',
+      });
+    }
+
+    if (status === undefined && stkShortcode === undefined && stkPasskey === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update',
+      });
+    }
+
+    const { till, error } = await setTillStatus(req.params.tillId, status, {
+      stkShortcode: stkShortcode === undefined ? undefined : stkShortcode && String(stkShortcode),
+      stkPasskey: stkPasskey === undefined ? undefined : stkPasskey && stkPasskey.trim(),
+    });
+
+    if (!till) {
+      return res.status(404).json({
+        success: false,
+        message: 'Till not found',
+      });
+    }
+
+    if (error) {
+      return res.status(502).json({
+        success: false,
+        message: `Could not register C2B URLs with M-Pesa: ${error}`,
+      });
+    }
+
+    console.log(`✅ Till ${till.shortcode} updated (${status || till.status}) by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      till: formatTill(till),
+    });
+  } catch (error) {
+    console.error('❌ Error updating till:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  c2bValidation,
+  c2bConfirmation,
+  getTills,
+  linkTill,
+  unlinkTill,
+  listAllTills,
+  updateTillStatus,
+};
@@ -0,0 +1,104 @@
+const { hasPermission } = require('../config/roles');
+const { listDevices, removeDevice } = require('../services/deviceService');
+const { revokeAllSessions } = require('../services/sessionService');
+
+/**
+ * Shape a devices row for the app
+ */
+const formatDevice = (device, req) => ({
+  id: device.id,
+  deviceId: device.device_id,
+  deviceName: device.device_name,
+  staffId: device.staff_id,
+  staffName: device.staff_members?.name || null,
+  lastIp: device.last_ip,
+  trustedAt: device.trusted_at,
+  lastSeenAt: device.last_seen_at,
+  current: device.device_id === req.user.deviceId && device.staff_id === req.user.staffId,
+});
+
+/**
+ * List Devices Controller
+ * GET /api/auth/devices
+ * Owners see every device of the business; staff see their own
+ */
+const getDevices = async (req, res) => {
+  try {
+    const canManage = hasPermission(req.user.role, 'devices:manage');
+
+    const devices = await listDevices(req.user.businessId, {
+      staffId: canManage ? null : req.user.staffId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      devices: devices.map(device => formatDevice(device, req)),
+    });
+  } catch (error) {
+    console.error('❌ List devices error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Remove Device Controller
+ * DELETE /api/auth/devices/:id
+ * Logs the device out; its next login needs an OTP
+ */
+const deleteDevice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const canManage = hasPermission(req.user.role, 'devices:manage');
+
+    // Staff may only remove their own devices
+    if (!canManage) {
+      const ownDevices = await listDevices(req.user.businessId, { staffId: req.user.staffId });
+
+      if (!ownDevices.some(device => device.id === id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+        });
+      }
+    }
+
+    const device = await removeDevice(req.user.businessId, id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    const revokedCount = await revokeAllSessions(req.user.businessId, {
+      staffId: device.staff_id,
+      deviceId: device.device_id,
+      reason: 'device_removed',
+    });
+
+    console.log(`✅ Device removed: ${device.device_name || device.device_id} (${revokedCount} sessions revoked)`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Device removed',
+      data: {
+        revokedSessions: revokedCount,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Remove device error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  getDevices,
+  deleteDevice,
+};
@@ -1,5 +1,62 @@
 const { initiateSTKPush, handleCallback } = require('../services/mpesaService');
 const supabase = require('../config/supabase');
+const { verifyRenewalToken, getRenewalRetryAfter } = require('../services/subscriptionService');
+const {
+  confirmPayment,
+  failPayment,
+  isDueForQuery,
+  reconcileTransaction,
+} = require('../services/paymentService');
+const { getActivePlan } = require('../services/planService');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Send an STK push for a plan and record the pending transaction
+ * Shared by the in-app subscribe button and the renewal link in reminder SMS
+ * @param {object} user - users row (id, phone_number)
+ * @param {object} plan - plans row (current version from the catalog)
+ * @param {string} phoneNumber - Phone to send the STK push to
+ */
+const startSubscriptionPayment = async (user, plan, phoneNumber) => {
+  const amount = plan.price;
+
+  // Initiate STK Push
+  const result = await initiateSTKPush(
+    phoneNumber,
+    amount,
+    `SUB-${plan.code.toUpperCase()}`,
+    `Subscription: ${plan.name} plan`
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  // Store transaction in database
+  const { error } = await supabase
+    .from('mpesa_transactions')
+    .insert([
+      {
+        user_id: user.id,
+        merchant_request_id: result.data.merchantRequestId,
+        checkout_request_id: result.data.checkoutRequestId,
+        phone_number: phoneNumber,
+        amount: amount,
+        account_reference: plan.code,
+        plan_id: plan.id, // The plan version this payment buys
+        transaction_desc: `Subscription: ${plan.name} plan`,
+        status: 'pending',
+        created_at: new Date().toISOString(),
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error storing transaction:', error);
+  }
+
+  return result;
+};
 
 /**
  * Initiate subscription payment
@@ -7,20 +64,28 @@ const supabase = require('../config/supabase');
  */
 const initiateSubscription = async (req, res) => {
   try {
-    const { phoneNumber, planId } = req.body;
+    const { planId } = req.body;
 
     // Validation
-    if (!phoneNumber || !planId) {
+    if (!req.body.phoneNumber || !planId) {
       return res.status(400).json({
         success: false,
         message: 'Phone number and plan ID are required',
       });
     }
 
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid phone number format. Use 254XXXXXXXXX or 07XXXXXXXX',
+      });
+    }
+
     // Find user by phone number
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id')
+      .select('id, phone_number')
       .eq('phone_number', phoneNumber)
       .single();
 
@@ -31,82 +96,17 @@ const initiateSubscription = async (req, res) => {
       });
     }
 
-    // Define plan amounts
-    const planAmounts = {
-      basic: 30,
-      premium: 50,
-    };
-
-    const amount = planAmounts[planId];
-    if (!amount) {
+    const plan = await getActivePlan(planId);
+    if (!plan) {
       return res.status(400).json({
         success: false,
         message: 'Invalid plan ID',
       });
     }
 
-    // Initiate STK Push
-    const result = await initiateSTKPush(
-      phoneNumber,
-      amount,
-      `SUB-${planId.toUpperCase()}`,
-      `Subscription: ${planId} plan`
-    );
+    const result = await startSubscriptionPayment(user, plan, phoneNumber);
 
     if (result.success) {
-      // Store transaction in database
-      const { data: transaction, error } = await supabase
-        .from('mpesa_transactions')
-        .insert([
-          {
-            user_id: user.id,
-            merchant_request_id: result.data.merchantRequestId,
-            checkout_request_id: result.data.checkoutRequestId,
-            phone_number: phoneNumber,
-            amount: amount,
-            account_reference: planId, // Store planId for subscription update
-            transaction_desc: `Subscription: ${planId} plan`,
-            status: 'pending',
-            created_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Error storing transaction:', error);
-      }
-
-      // TEST MODE: Auto-complete payment after 5 seconds
-      if (result.data.checkoutRequestId.startsWith('TEST_CO_')) {
-        console.log('⚠️ TEST MODE: Auto-completing payment in 5 seconds...');
-        setTimeout(async () => {
-          try {
-            await supabase
-              .from('mpesa_transactions')
-              .update({
-                status: 'completed',
-                mpesa_receipt_number: `TEST_${Date.now()}`,
-                transaction_date: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-              })
-              .eq('checkout_request_id', result.data.checkoutRequestId);
-
-            // Update user subscription
-            await supabase
-              .from('users')
-              .update({
-                subscription_status: planId,
-              })
-              .eq('id', user.id);
-
-            console.log('✅ TEST MODE: Payment auto-completed');
-          } catch (err) {
-            console.error('❌ TEST MODE: Auto-complete error:', err);
-          }
-        }, 5000);
-      }
-
       return res.status(200).json({
         success: true,
         message: 'Payment request sent to your phone',
@@ -127,9 +127,113 @@ const initiateSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Minimal HTML page for renewal links opened from SMS
+ * @param {string} message - Plain text, escaped here
+ * @param {string} [extraHtml] - Markup shown under the message, e.g. the confirm form
+ */
+const renewalPage = (message, extraHtml = '') => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>CONFIRMED renewal</title></head>
+<body style="font-family: sans-serif; padding: 2em; text-align: center;"><p>${escapeHtml(message)}</p>${extraHtml}</body></html>`;
+
+/**
+ * Load the account and plan a renewal link is for
+ * @returns {object} { user, plan }, or { statusCode, message } for a page to show instead
+ */
+const loadRenewal = async (token) => {
+  const renewal = verifyRenewalToken(token);
+
+  if (!renewal) {
+    return { statusCode: 410, message: 'This renewal link has expired. Open the CONFIRMED app to renew.' };
+  }
+
+  const plan = await getActivePlan(renewal.plan);
+
+  if (!plan) {
+    return { statusCode: 410, message: 'This plan is no longer available. Open the CONFIRMED app to choose a plan.' };
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, phone_number')
+    .eq('id', renewal.userId)
+    .maybeSingle();
+
+  if (!user) {
+    return { statusCode: 404, message: 'Account not found.' };
+  }
+
+  return { user, plan };
+};
+
+/**
+ * Renewal link from a reminder SMS
+ * GET /api/mpesa/renew/:token
+ * Only shows what will be charged; link previews and scanners that open the
+ * link must not send an STK push, so paying takes the button below
+ */
+const showRenewal = async (req, res) => {
+  try {
+    const { user, plan, statusCode, message } = await loadRenewal(req.params.token);
+
+    if (!user) {
+      return res.status(statusCode).send(renewalPage(message));
+    }
+
+    return res.status(200).send(renewalPage(
+      `Renew the ${plan.name} plan for KES ${plan.price}. An M-Pesa prompt will be sent to your registered phone.`,
+      `<form method="post" action="/api/mpesa/renew/${encodeURIComponent(req.params.token)}">
+<p><button type="submit" style="font-size: 1.2em; padding: 0.5em 2em;">Pay with M-Pesa</button></p>
+</form>`
+    ));
+  } catch (error) {
+    console.error('❌ Renewal link error:', error);
+    return res.status(500).send(renewalPage('Something went wrong. Please try again.'));
+  }
+};
+
+/**
+ * Confirm a renewal from the page above
+ * POST /api/mpesa/renew/:token
+ * Sends an STK push to the account's phone; the customer still confirms with their M-Pesa PIN
+ */
+const renewSubscription = async (req, res) => {
+  try {
+    const { user, plan, statusCode, message } = await loadRenewal(req.params.token);
+
+    if (!user) {
+      return res.status(statusCode).send(renewalPage(message));
+    }
+
+    // The token stays valid until the grace period ends, so it can be replayed
+    const retryAfter = await getRenewalRetryAfter(user.id);
+
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).send(renewalPage(
+        `Too many payment attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      ));
+    }
+
+    const result = await startSubscriptionPayment(user, plan, user.phone_number);
+
+    if (!result.success) {
+      return res.status(502).send(renewalPage('We could not reach M-Pesa. Please try again in a few minutes.'));
+    }
+
+    return res.status(200).send(renewalPage(
+      `Check your phone and enter your M-Pesa PIN to pay KES ${plan.price} for the ${plan.name} plan.`
+    ));
+  } catch (error) {
+    console.error('❌ Renewal link error:', error);
+    return res.status(500).send(renewalPage('Something went wrong. Please try again.'));
+  }
+};
+
 /**
  * M-Pesa callback handler
- * POST /api/mpesa/callback
+ * POST /api/mpesa/callback/:token
  */
 const mpesaCallback = async (req, res) => {
   try {
@@ -138,55 +242,13 @@ const mpesaCallback = async (req, res) => {
     const result = handleCallback(req.body);
 
     if (result.success) {
-      // Get transaction to find user and plan
-      const { data: transaction } = await supabase
-        .from('mpesa_transactions')
-        .select('user_id, account_reference')
-        .eq('checkout_request_id', result.checkoutRequestId)
-        .single();
-
-      // Update transaction status in database
-      const { error } = await supabase
-        .from('mpesa_transactions')
-        .update({
-          status: 'completed',
-          mpesa_receipt_number: result.mpesaReceiptNumber,
-          transaction_date: result.transactionDate,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('checkout_request_id', result.checkoutRequestId);
-
-      if (error) {
-        console.error('❌ Error updating transaction:', error);
-      }
+      const outcome = await confirmPayment(result, { sourceIp: req.ip || null, payload: req.body });
 
-      // Update user subscription status
-      if (transaction && transaction.user_id && transaction.account_reference) {
-        const { error: subError } = await supabase
-          .from('users')
-          .update({
-            subscription_status: transaction.account_reference,
-          })
-          .eq('id', transaction.user_id);
-
-        if (subError) {
-          console.error('❌ Error updating subscription:', subError);
-        } else {
-          console.log(`✅ User ${transaction.user_id} upgraded to ${transaction.account_reference}`);
-        }
+      if (outcome.status === 'completed') {
+        console.log('✅ Payment confirmed and subscription updated');
       }
-
-      console.log('✅ Payment confirmed and subscription updated');
     } else {
-      // Update transaction as failed
-      await supabase
-        .from('mpesa_transactions')
-        .update({
-          status: 'failed',
-          result_desc: result.resultDesc,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('checkout_request_id', result.checkoutRequestId);
+      await failPayment(result);
     }
 
     // Always respond with success to M-Pesa
@@ -206,24 +268,28 @@ const mpesaCallback = async (req, res) => {
 /**
  * Check payment status
  * GET /api/mpesa/status/:checkoutRequestId
+ * Still-pending payments are checked with an STK query, so a lost callback
+ * does not leave the app polling forever
  */
 const checkPaymentStatus = async (req, res) => {
   try {
     const { checkoutRequestId } = req.params;
 
-    const { data: transaction, error } = await supabase
+    const { data: stored, error } = await supabase
       .from('mpesa_transactions')
       .select('*')
       .eq('checkout_request_id', checkoutRequestId)
       .single();
 
-    if (error || !transaction) {
+    if (error || !stored) {
       return res.status(404).json({
         success: false,
         message: 'Transaction not found',
       });
     }
 
+    const transaction = isDueForQuery(stored) ? await reconcileTransaction(stored) : stored;
+
     return res.status(200).json({
       success: true,
       status: transaction.status,
@@ -243,6 +309,8 @@ const checkPaymentStatus = async (req, res) => {
 
 module.exports = {
   initiateSubscription,
+  showRenewal,
+  renewSubscription,
   mpesaCallback,
   checkPaymentStatus,
 };
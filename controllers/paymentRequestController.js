@@ -0,0 +1,312 @@
+const supabase = require('../config/supabase');
+const {
+  MAX_EXPIRY_MINUTES,
+  getPaymentRequestStatus,
+  formatPaymentRequest,
+  createPaymentRequest,
+  listPaymentRequests,
+  getPaymentRequestByCode,
+  cancelPaymentRequest,
+  checkPromptThrottle,
+  startPaymentRequestPayment,
+} = require('../services/paymentRequestService');
+const { getPromptTill } = require('../services/c2bService');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Minimal HTML page for payment links and QR codes
+ * @param {string} title - Already escaped
+ * @param {string} body - HTML
+ */
+const paymentPage = (title, body) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title></head>
+<body style="font-family: sans-serif; padding: 2em; text-align: center; max-width: 28em; margin: auto;">${body}</body></html>`;
+
+/**
+ * Heading with the business, amount and description of a request
+ */
+const requestSummary = (paymentRequest) => {
+  const businessName = escapeHtml(paymentRequest.users?.business_name || 'CONFIRMED');
+  const description = paymentRequest.description ? `<p>${escapeHtml(paymentRequest.description)}</p>` : '';
+
+  return `<h2>${businessName}</h2><p style="font-size: 2em; margin: 0.5em 0;">KES ${paymentRequest.amount}</p>${description}`;
+};
+
+/**
+ * Page for a request that cannot be paid (paid, cancelled or expired)
+ */
+const closedRequestMessage = (status) => ({
+  paid: 'This payment request has been paid. Thank you!',
+  cancelled: 'This payment request was cancelled by the merchant.',
+  expired: 'This payment request has expired. Ask the merchant for a new one.',
+}[status]);
+
+/**
+ * Create Payment Request Controller
+ * POST /api/payment-requests
+ * Body: { amount, description?, expiresInMinutes? }
+ */
+const addPaymentRequest = async (req, res) => {
+  try {
+    const { amount, expiresInMinutes } = req.body;
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() || null : null;
+
+    if (!(Number.isInteger(amount) && amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a whole number of KES greater than 0',
+      });
+    }
+
+    if (description && description.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be at most 100 characters',
+      });
+    }
+
+    if (expiresInMinutes !== undefined && !(Number.isInteger(expiresInMinutes) && expiresInMinutes > 0 && expiresInMinutes <= MAX_EXPIRY_MINUTES)) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInMinutes must be a whole number from 1 to ${MAX_EXPIRY_MINUTES}`,
+      });
+    }
+
+    // Customers pay into the business's own till or paybill
+    if (!await getPromptTill(req.user.businessId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Link a till or paybill and have it activated for M-Pesa prompts to request payments',
+      });
+    }
+
+    const paymentRequest = await createPaymentRequest(req.user.businessId, { amount, description, expiresInMinutes });
+
+    console.log(`✅ Payment request ${paymentRequest.code} for KES ${amount} created by business ${req.user.businessId}`);
+
+    return res.status(201).json({
+      success: true,
+      paymentRequest: formatPaymentRequest(paymentRequest),
+    });
+  } catch (error) {
+    console.error('❌ Create payment request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * List Payment Requests Controller
+ * GET /api/payment-requests
+ * Optional query params: status (open, paid, cancelled), limit, offset
+ */
+const getPaymentRequests = async (req, res) => {
+  try {
+    const paymentRequests = await listPaymentRequests(req.user.businessId, {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      paymentRequests: paymentRequests.map(formatPaymentRequest),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payment requests:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment requests',
+    });
+  }
+};
+
+/**
+ * Get Payment Request Controller
+ * GET /api/payment-requests/:id
+ */
+const getPaymentRequest = async (req, res) => {
+  try {
+    const { data: paymentRequest } = await supabase
+      .from('payment_requests')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.businessId)
+      .maybeSingle();
+
+    if (!paymentRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment request not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      paymentRequest: formatPaymentRequest(paymentRequest),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payment request:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment request',
+    });
+  }
+};
+
+/**
+ * Cancel Payment Request Controller
+ * POST /api/payment-requests/:id/cancel
+ */
+const voidPaymentRequest = async (req, res) => {
+  try {
+    const paymentRequest = await cancelPaymentRequest(req.user.businessId, req.params.id);
+
+    if (!paymentRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment request not found or no longer open',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      paymentRequest: formatPaymentRequest(paymentRequest),
+    });
+  } catch (error) {
+    console.error('❌ Cancel payment request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Payment Page Controller (public)
+ * GET /pay/:code
+ * Opened from a shared link or by scanning the QR code
+ */
+const showPaymentPage = async (req, res) => {
+  try {
+    const paymentRequest = await getPaymentRequestByCode(req.params.code);
+
+    if (!paymentRequest) {
+      return res.status(404).send(paymentPage('Payment not found', '<p>This payment link is not valid.</p>'));
+    }
+
+    const status = getPaymentRequestStatus(paymentRequest);
+
+    if (status !== 'open') {
+      return res.status(status === 'paid' ? 200 : 410).send(paymentPage(
+        'CONFIRMED payment',
+        `${requestSummary(paymentRequest)}<p>${closedRequestMessage(status)}</p>`
+      ));
+    }
+
+    return res.status(200).send(paymentPage('CONFIRMED payment', `${requestSummary(paymentRequest)}
+<form method="post" action="/pay/${paymentRequest.code}">
+<p><label>Your M-Pesa number<br><input name="phoneNumber" type="tel" placeholder="07XXXXXXXX" required style="font-size: 1.2em; padding: 0.4em; width: 100%; box-sizing: border-box;"></label></p>
+<p><button type="submit" style="font-size: 1.2em; padding: 0.5em 2em;">Pay with M-Pesa</button></p>
+</form>`));
+  } catch (error) {
+    console.error('❌ Payment page error:', error);
+    return res.status(500).send(paymentPage('Error', '<p>Something went wrong. Please try again.</p>'));
+  }
+};
+
+/**
+ * Pay Payment Request Controller (public)
+ * POST /pay/:code
+ * Body (form or JSON): { phoneNumber }; sends an STK push to that number
+ */
+const payPaymentRequest = async (req, res) => {
+  const wantsJson = req.is('application/json');
+  const pageUrl = `/pay/${encodeURIComponent(req.params.code)}`;
+
+  /**
+   * Answer the form with a page, or API clients with JSON
+   * @param {string} [options.link] - Text of a link back to the payment page
+   */
+  const reply = (statusCode, message, { link = null, data = null } = {}) => {
+    if (wantsJson) {
+      return res.status(statusCode).json({ success: statusCode < 400, message, ...(data && { data }) });
+    }
+
+    const linkHtml = link ? ` <a href="${pageUrl}">${link}</a>` : '';
+    return res.status(statusCode).send(paymentPage('CONFIRMED payment', `<p>${escapeHtml(message)}${linkHtml}</p>`));
+  };
+
+  try {
+    const paymentRequest = await getPaymentRequestByCode(req.params.code);
+
+    if (!paymentRequest) {
+      return reply(404, 'This payment link is not valid.');
+    }
+
+    const status = getPaymentRequestStatus(paymentRequest);
+
+    if (status !== 'open') {
+      return reply(410, closedRequestMessage(status));
+    }
+
+    const phoneNumber = normalizePhoneNumber(req.body?.phoneNumber);
+
+    if (!phoneNumber) {
+      return reply(400, 'Enter a valid M-Pesa number, e.g. 0712345678.', { link: 'Try again' });
+    }
+
+    // One prompt at a time, so a request is not paid twice
+    const { data: waiting } = await supabase
+      .from('mpesa_transactions')
+      .select('id')
+      .eq('payment_request_id', paymentRequest.id)
+      .eq('status', 'pending')
+      .limit(1);
+
+    if (waiting?.length) {
+      return reply(409, 'A payment is already in progress. Complete it on your phone.', { link: 'Check the status' });
+    }
+
+    const clientIp = req.ip || null;
+    const throttle = await checkPromptThrottle(paymentRequest.id, clientIp);
+
+    if (throttle.limited) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return reply(429, `Too many payment attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`, { link: 'Back' });
+    }
+
+    const till = await getPromptTill(paymentRequest.user_id);
+
+    if (!till) {
+      return reply(503, 'This business cannot take M-Pesa payments here yet. Pay them directly.');
+    }
+
+    const result = await startPaymentRequestPayment(paymentRequest, phoneNumber, till, { clientIp });
+
+    if (!result.success) {
+      return reply(502, result.message, { link: 'Try again' });
+    }
+
+    return reply(200, `Check your phone and enter your M-Pesa PIN to pay KES ${paymentRequest.amount}.`, {
+      link: 'Check the status',
+      data: { checkoutRequestId: result.data.checkoutRequestId },
+    });
+  } catch (error) {
+    console.error('❌ Payment request payment error:', error);
+    return reply(500, 'Something went wrong. Please try again.');
+  }
+};
+
+module.exports = {
+  addPaymentRequest,
+  getPaymentRequests,
+  getPaymentRequest,
+  voidPaymentRequest,
+  showPaymentPage,
+  payPaymentRequest,
+};
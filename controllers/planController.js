@@ -0,0 +1,251 @@
+const {
+  formatPlan,
+  listPlans,
+  createPlan,
+  retirePlan,
+  revisePlan,
+} = require('../services/planService');
+const { ENTITLEMENT_FEATURES } = require('../config/plans');
+
+// users.subscription_status values that are not plan codes
+const RESERVED_PLAN_CODES = ['trial', 'expired'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a plan's entitlements against ENTITLEMENT_FEATURES
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateEntitlements = (entitlements) => {
+  if (typeof entitlements !== 'object' || entitlements === null || Array.isArray(entitlements)) {
+    return 'Entitlements must be an object';
+  }
+
+  for (const [feature, value] of Object.entries(entitlements)) {
+    const kind = ENTITLEMENT_FEATURES[feature];
+
+    if (!kind) {
+      return `Unknown entitlement ${feature}. Valid entitlements: ${Object.keys(ENTITLEMENT_FEATURES).join(', ')}`;
+    }
+    if (kind === 'switch' && typeof value !== 'boolean') {
+      return `${feature} must be true or false`;
+    }
+    if (kind === 'limit' && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return `${feature} must be a whole number, or null for unlimited`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate plan fields from a request body
+ * @param {object} body
+ * @param {boolean} partial - Only validate fields that are present (repricing)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePlanFields = (body, partial) => {
+  const { name, price, billingPeriodDays, trialDays, entitlements } = body;
+
+  if (!partial && (!name || price === undefined || billingPeriodDays === undefined)) {
+    return 'Name, price and billingPeriodDays are required';
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  if (price !== undefined && !isPositiveInteger(price)) {
+    return 'Price must be a whole number of KES greater than 0';
+  }
+  if (billingPeriodDays !== undefined && !isPositiveInteger(billingPeriodDays)) {
+    return 'billingPeriodDays must be a whole number greater than 0';
+  }
+  if (trialDays !== undefined && !(Number.isInteger(trialDays) && trialDays >= 0)) {
+    return 'trialDays must be a whole number, 0 or more';
+  }
+  if (entitlements !== undefined) {
+    return validateEntitlements(entitlements);
+  }
+
+  return null;
+};
+
+/**
+ * Get Plans Controller (public catalog)
+ * GET /api/plans
+ */
+const getPlans = async (req, res) => {
+  try {
+    const plans = await listPlans();
+
+    return res.status(200).json({
+      success: true,
+      plans: plans.map(formatPlan),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching plans:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+    });
+  }
+};
+
+/**
+ * List All Plans Controller (every version, including retired)
+ * GET /api/admin/plans
+ */
+const listAllPlans = async (req, res) => {
+  try {
+    const plans = await listPlans({ includeRetired: true });
+
+    return res.status(200).json({
+      success: true,
+      plans: plans.map(formatPlan),
+    });
+  } catch (error) {
+    console.error('❌ Error listing plans:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Add Plan Controller
+ * POST /api/admin/plans
+ */
+const addPlan = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (typeof code !== 'string' || !/^[a-z][a-z0-9_]{1,31}$/.test(code) || RESERVED_PLAN_CODES.includes(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code must be 2-32 lowercase letters, digits or underscores (not trial or expired)',
+      });
+    }
+
+    const validationError = validatePlanFields(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const plan = await createPlan({
+      code,
+      name: req.body.name.trim(),
+      price: req.body.price,
+      billingPeriodDays: req.body.billingPeriodDays,
+      trialDays: req.body.trialDays,
+      entitlements: req.body.entitlements,
+    });
+
+    console.log(`✅ Plan created: ${plan.code} v${plan.version} by ${req.admin.email}`);
+
+    return res.status(201).json({
+      success: true,
+      plan: formatPlan(plan),
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A plan with this code is already on sale',
+      });
+    }
+
+    console.error('❌ Error creating plan:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Update Plan Controller (reprice or change terms; creates a new version)
+ * PUT /api/admin/plans/:code
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { name, price, billingPeriodDays, trialDays, entitlements } = req.body;
+
+    const validationError = validatePlanFields(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const plan = await revisePlan(code, {
+      name: name?.trim(),
+      price,
+      billingPeriodDays,
+      trialDays,
+      entitlements,
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found or retired',
+      });
+    }
+
+    console.log(`✅ Plan updated: ${plan.code} v${plan.version} by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      plan: formatPlan(plan),
+    });
+  } catch (error) {
+    console.error('❌ Error updating plan:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Retire Plan Controller
+ * POST /api/admin/plans/:code/retire
+ */
+const removePlan = async (req, res) => {
+  try {
+    const plan = await retirePlan(req.params.code);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found or already retired',
+      });
+    }
+
+    console.log(`✅ Plan retired: ${plan.code} v${plan.version} by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      plan: formatPlan(plan),
+    });
+  } catch (error) {
+    console.error('❌ Error retiring plan:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  getPlans,
+  listAllPlans,
+  addPlan,
+  updatePlan,
+  removePlan,
+};
@@ -0,0 +1,108 @@
+const {
+  listBillingHistory,
+  getReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+} = require('../services/receiptService');
+
+const RECEIPT_FORMATS = ['pdf', 'html', 'json'];
+
+/**
+ * Billing History Controller
+ * GET /api/mpesa/billing-history
+ * Optional query params: status (pending, completed, failed, flagged), limit, offset
+ */
+const getBillingHistory = async (req, res) => {
+  try {
+    const payments = await listBillingHistory(req.user.businessId, {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      payments: payments.map(payment => ({
+        checkoutRequestId: payment.checkout_request_id,
+        amount: payment.amount,
+        plan: payment.plans?.name || payment.account_reference,
+        phoneNumber: payment.phone_number,
+        status: payment.status,
+        mpesaReceiptNumber: payment.mpesa_receipt_number,
+        resultDesc: payment.result_desc,
+        createdAt: payment.created_at,
+        receiptUrl: payment.status === 'completed' ? `/api/mpesa/receipts/${payment.checkout_request_id}` : null,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching billing history:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch billing history',
+    });
+  }
+};
+
+/**
+ * Payment Receipt Controller
+ * GET /api/mpesa/receipts/:checkoutRequestId
+ * Optional query param: format (pdf, html, json; default pdf)
+ */
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${RECEIPT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const { receipt, status } = await getReceipt(req.user.businessId, req.params.checkoutRequestId);
+
+    if (!receipt && !status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    if (!receipt) {
+      return res.status(409).json({
+        success: false,
+        message: `No receipt: this payment is ${status}`,
+        status,
+      });
+    }
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        receipt,
+      });
+    }
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(renderReceiptHtml(receipt));
+    }
+
+    const filename = `confirmed-receipt-${receipt.mpesaReceiptNumber || receipt.checkoutRequestId}.pdf`.replace(/[^\w.-]/g, '_');
+
+    res.status(200);
+    res.type('application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    return writeReceiptPdf(receipt, res);
+  } catch (error) {
+    console.error('❌ Error creating receipt:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create receipt',
+    });
+  }
+};
+
+module.exports = {
+  getBillingHistory,
+  getPaymentReceipt,
+};
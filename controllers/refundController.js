@@ -0,0 +1,248 @@
+const supabase = require('../config/supabase');
+const { handleResultCallback } = require('../services/mpesaService');
+const {
+  REFUND_METHODS,
+  startRefund,
+  settleRefund,
+  resolveRefund,
+} = require('../services/refundService');
+const { recordAdminAction } = require('../services/adminAuditService');
+
+/**
+ * Create Refund Controller (admin)
+ * POST /api/admin/payments/:transactionId/refunds
+ * Body: { method: 'reversal' | 'b2c', amount?, reason }
+ */
+const createRefund = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { method, amount } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Method must be one of: ${REFUND_METHODS.join(', ')}`,
+      });
+    }
+
+    if (amount !== undefined && !(Number.isInteger(amount) && amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a whole number of KES greater than 0',
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required',
+      });
+    }
+
+    const { refund, error, status } = await startRefund(transactionId, {
+      method,
+      amount,
+      reason,
+      adminId: req.admin.adminId,
+    });
+
+    if (refund) {
+      await recordAdminAction(req, 'payment.refund', {
+        statusCode: error ? status : 202,
+        metadata: {
+          refundId: refund.id,
+          mpesaTransactionId: transactionId,
+          userId: refund.user_id,
+          amount: refund.amount,
+          method,
+          status: refund.status,
+        },
+      });
+    }
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+        ...(refund && { refund }),
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: 'Refund sent to M-Pesa. Its status updates when M-Pesa replies.',
+      refund,
+    });
+  } catch (error) {
+    console.error('❌ Error starting refund:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Resolve Refund Controller (admin)
+ * PUT /api/admin/payments/refunds/:refundId
+ * Body: { status: 'completed' | 'failed', receiptNumber?, note }
+ * For refunds whose outcome is unknown because M-Pesa did not answer
+ */
+const updateRefund = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const receiptNumber = typeof req.body.receiptNumber === 'string' ? req.body.receiptNumber.trim().toUpperCase() : '';
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!['completed', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be completed or failed',
+      });
+    }
+
+    if (status === 'completed' && !/^[A-Z0-9]{10}$/.test(receiptNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The M-Pesa receipt number of the refund is required',
+      });
+    }
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note on what was checked is required',
+      });
+    }
+
+    const { refund, error, status: httpStatus } = await resolveRefund(req.params.refundId, {
+      status,
+      receiptNumber: receiptNumber || null,
+      note,
+    });
+
+    if (error) {
+      return res.status(httpStatus).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await recordAdminAction(req, 'payment.refund_resolve', {
+      statusCode: 200,
+      metadata: {
+        refundId: refund.id,
+        mpesaTransactionId: refund.mpesa_transaction_id,
+        userId: refund.user_id,
+        status,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      refund,
+    });
+  } catch (error) {
+    console.error('❌ Error resolving refund:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * List Refunds Controller (admin)
+ * GET /api/admin/payments/refunds
+ */
+const listRefunds = async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabase
+      .from('refunds')
+      .select('*, mpesa_transactions (amount, phone_number, mpesa_receipt_number, account_reference)')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+    if (req.query.transactionId) {
+      query = query.eq('mpesa_transaction_id', req.query.transactionId);
+    }
+
+    const { data: refunds, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: refunds.length,
+      refunds,
+    });
+  } catch (error) {
+    console.error('❌ Error listing refunds:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Refund Result Controller
+ * POST /api/mpesa/refunds/result/:token
+ * Daraja's answer to a B2C or reversal request
+ */
+const refundResult = async (req, res) => {
+  try {
+    console.log('📱 Refund result received:', JSON.stringify(req.body, null, 2));
+    await settleRefund(handleResultCallback(req.body));
+  } catch (error) {
+    console.error('❌ Refund result handler error:', error);
+  }
+
+  return res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Success',
+  });
+};
+
+/**
+ * Refund Timeout Controller
+ * POST /api/mpesa/refunds/timeout/:token
+ * The request expired in Daraja's queue and was not processed
+ */
+const refundTimeout = async (req, res) => {
+  try {
+    console.log('⏱️ Refund timed out:', JSON.stringify(req.body, null, 2));
+    await settleRefund(handleResultCallback(req.body), { timedOut: true });
+  } catch (error) {
+    console.error('❌ Refund timeout handler error:', error);
+  }
+
+  return res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Success',
+  });
+};
+
+module.exports = {
+  createRefund,
+  updateRefund,
+  listRefunds,
+  refundResult,
+  refundTimeout,
+};
@@ -0,0 +1,27 @@
+const { handleDeliveryReport } = require('../services/smsService');
+
+/**
+ * SMS delivery report callback
+ * POST /api/sms/delivery/:provider
+ */
+const smsDeliveryReport = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const result = await handleDeliveryReport(provider, req.body);
+
+    if (!result.success) {
+      console.warn(`⚠️ Unmatched ${provider} delivery report:`, JSON.stringify(req.body));
+    }
+
+    // Always acknowledge so the provider does not keep retrying
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('❌ SMS delivery report error:', error);
+    return res.status(200).json({ success: true });
+  }
+};
+
+module.exports = {
+  smsDeliveryReport,
+};
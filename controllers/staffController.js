@@ -0,0 +1,388 @@
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const { STAFF_ROLES } = require('../config/roles');
+const { generateOTP } = require('../services/otpService');
+const { sendSMS } = require('../services/smsService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// Invite codes are valid for 7 days and allow 5 wrong entries
+const INVITE_EXPIRES_DAYS = 7;
+const MAX_INVITE_ATTEMPTS = 5;
+
+/**
+ * Shape a staff_members row for the app
+ */
+const formatStaff = (staff) => ({
+  id: staff.id,
+  name: staff.name,
+  phoneNumber: staff.phone_number,
+  role: staff.role,
+  status: staff.status,
+  invitedAt: staff.invited_at,
+  activatedAt: staff.activated_at,
+  lastLogin: staff.last_login,
+});
+
+/**
+ * List staff members of the business
+ * GET /api/staff
+ */
+const listStaff = async (req, res) => {
+  try {
+    const { data: staff, error } = await supabase
+      .from('staff_members')
+      .select('*')
+      .eq('business_id', req.user.businessId)
+      .neq('status', 'removed')
+      .order('invited_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error fetching staff:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch staff',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      staff: staff.map(formatStaff),
+    });
+  } catch (error) {
+    console.error('❌ List staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Invite a staff member by phone number
+ * POST /api/staff
+ */
+const inviteStaff = async (req, res) => {
+  try {
+    const { name, role } = req.body;
+
+    if (!req.body.phoneNumber || !name || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number, name and role are required',
+      });
+    }
+
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid phone number format. Use 254XXXXXXXXX or 07XXXXXXXX',
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    // A phone number belongs to one account only
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('phone_number', phoneNumber)
+      .maybeSingle();
+
+    const { data: existingStaff } = await supabase
+      .from('staff_members')
+      .select('id, status')
+      .eq('phone_number', phoneNumber)
+      .maybeSingle();
+
+    if (existingUser || (existingStaff && existingStaff.status !== 'removed')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Phone number already registered',
+      });
+    }
+
+    const { data: business } = await supabase
+      .from('users')
+      .select('business_name')
+      .eq('id', req.user.businessId)
+      .single();
+
+    const inviteCode = generateOTP();
+    const inviteExpiresAt = new Date();
+    inviteExpiresAt.setDate(inviteExpiresAt.getDate() + INVITE_EXPIRES_DAYS);
+
+    const invite = {
+      business_id: req.user.businessId,
+      phone_number: phoneNumber,
+      name,
+      role,
+      status: 'invited',
+      pin: null,
+      invite_code_hash: await bcrypt.hash(inviteCode, 10),
+      invite_expires_at: inviteExpiresAt.toISOString(),
+      invite_attempts: 0,
+      invited_at: new Date().toISOString(),
+      activated_at: null,
+    };
+
+    // Re-inviting a removed staff member reuses their row
+    const query = existingStaff
+      ? supabase.from('staff_members').update(invite).eq('id', existingStaff.id)
+      : supabase.from('staff_members').insert([invite]);
+
+    const { data: staff, error } = await query.select().single();
+
+    if (error) {
+      console.error('❌ Error inviting staff:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to invite staff member',
+      });
+    }
+
+    await sendSMS(
+      phoneNumber,
+      `${business?.business_name || 'A business'} has invited you to CONFIRMED as a ${role}. ` +
+        `Your invite code is ${inviteCode}. Open the app and join the business to set your PIN.`,
+      { category: 'otp', userId: req.user.businessId }
+    );
+
+    console.log(`✅ Staff invited: ${phoneNumber} (${role})`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      staff: formatStaff(staff),
+    });
+  } catch (error) {
+    console.error('❌ Invite staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Accept an invitation and set a PIN
+ * POST /api/staff/activate
+ */
+const activateStaff = async (req, res) => {
+  try {
+    const { inviteCode, pin } = req.body;
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+
+    if (!phoneNumber || !inviteCode || !pin) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid phone number, invite code and PIN are required',
+      });
+    }
+
+    if (!/^\d{4,6}$/.test(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4-6 digits',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const { data: staff } = await supabase
+      .from('staff_members')
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .eq('status', 'invited')
+      .maybeSingle();
+
+    if (!staff || new Date() > new Date(staff.invite_expires_at)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No valid invitation found. Ask the business owner to invite you again.',
+      });
+    }
+
+    if (staff.invite_attempts >= MAX_INVITE_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Ask the business owner to invite you again.',
+      });
+    }
+
+    const isCodeValid = await bcrypt.compare(String(inviteCode), staff.invite_code_hash);
+
+    if (!isCodeValid) {
+      await supabase
+        .from('staff_members')
+        .update({ invite_attempts: staff.invite_attempts + 1 })
+        .eq('id', staff.id);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid invite code',
+        attemptsLeft: MAX_INVITE_ATTEMPTS - (staff.invite_attempts + 1),
+      });
+    }
+
+    const { error } = await supabase
+      .from('staff_members')
+      .update({
+        pin: await bcrypt.hash(pin, 10),
+        status: 'active',
+        invite_code_hash: null,
+        activated_at: new Date().toISOString(),
+      })
+      .eq('id', staff.id);
+
+    if (error) {
+      console.error('❌ Error activating staff:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to activate account',
+      });
+    }
+
+    console.log(`✅ Staff activated: ${phoneNumber}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account activated. You can now log in with your PIN.',
+    });
+  } catch (error) {
+    console.error('❌ Activate staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Change a staff member's role
+ * PUT /api/staff/:id
+ * Logs the staff member out everywhere, since their tokens carry the old role
+ */
+const updateStaffRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    const { data: staff, error } = await supabase
+      .from('staff_members')
+      .update({ role })
+      .eq('id', id)
+      .eq('business_id', req.user.businessId)
+      .neq('status', 'removed')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error updating staff role:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update staff member',
+      });
+    }
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    await revokeAllSessions(req.user.businessId, { staffId: staff.id, reason: 'staff_role_changed' });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role updated',
+      staff: formatStaff(staff),
+    });
+  } catch (error) {
+    console.error('❌ Update staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+/**
+ * Remove a staff member and log them out everywhere
+ * DELETE /api/staff/:id
+ */
+const removeStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: staff, error } = await supabase
+      .from('staff_members')
+      .update({
+        status: 'removed',
+        pin: null,
+        invite_code_hash: null,
+      })
+      .eq('id', id)
+      .eq('business_id', req.user.businessId)
+      .neq('status', 'removed')
+      .select('id, phone_number')
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error removing staff:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove staff member',
+      });
+    }
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    await revokeAllSessions(req.user.businessId, { staffId: staff.id, reason: 'staff_removed' });
+
+    console.log(`✅ Staff removed: ${staff.phone_number}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Staff member removed',
+    });
+  } catch (error) {
+    console.error('❌ Remove staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  listStaff,
+  inviteStaff,
+  activateStaff,
+  updateStaffRole,
+  removeStaff,
+};
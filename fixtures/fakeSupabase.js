@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Supabase client, for the node:test suites
+ * Covers the query builder calls the services make: select/insert/update/
+ * upsert/delete with eq, neq, is, in, not, gt, gte, lt, lte, order, limit,
+ * range, single and maybeSingle. Unique columns raise 23505 like Postgres.
+ *
+ * Install it before requiring any service, so config/supabase resolves to it:
+ *   const supabase = installFakeSupabase({ unique: { transactions: [['user_id', 'transaction_code']] } });
+ *   const { syncTransactions } = require('../services/syncService');
+ */
+
+const matches = (row, [method, column, value]) => {
+  const field = row[column];
+
+  switch (method) {
+    case 'eq':
+      return field !== null && field !== undefined && String(field) === String(value);
+    case 'neq':
+      return String(field) !== String(value);
+    case 'is':
+      return value === null ? field === null || field === undefined : field === value;
+    case 'not':
+      return !matches(row, [value.operator, column, value.value]);
+    case 'in':
+      return value.map(String).includes(String(field));
+    case 'gt':
+      return compare(field, value) > 0;
+    case 'gte':
+      return compare(field, value) >= 0;
+    case 'lt':
+      return compare(field, value) < 0;
+    case 'lte':
+      return compare(field, value) <= 0;
+    default:
+      throw new Error(`fakeSupabase: unsupported filter ${method}`);
+  }
+};
+
+// Numbers compare as numbers, everything else (ISO dates included) as text
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+
+  return String(a).localeCompare(String(b));
+};
+
+const copy = (value) => (value === null || value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+class FakeQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.op = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+  }
+
+  select(columns = '*', { count = null } = {}) {
+    if (this.op === 'select') {
+      this.columns = columns;
+      this.count = count;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    return this.write('insert', rows);
+  }
+
+  update(values) {
+    return this.write('update', values);
+  }
+
+  upsert(rows, options = {}) {
+    return this.write('upsert', rows, options);
+  }
+
+  delete() {
+    return this.write('delete');
+  }
+
+  write(op, payload, options = {}) {
+    this.op = op;
+    this.payload = copy(payload);
+    this.options = options;
+    return this;
+  }
+
+  filter(method, column, value) {
+    this.filters.push([method, column, value]);
+    return this;
+  }
+
+  eq(column, value) { return this.filter('eq', column, value); }
+  neq(column, value) { return this.filter('neq', column, value); }
+  is(column, value) { return this.filter('is', column, value); }
+  in(column, values) { return this.filter('in', column, values); }
+  gt(column, value) { return this.filter('gt', column, value); }
+  gte(column, value) { return this.filter('gte', column, value); }
+  lt(column, value) { return this.filter('lt', column, value); }
+  lte(column, value) { return this.filter('lte', column, value); }
+  not(column, operator, value) { return this.filter('not', column, { operator, value }); }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.shape = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.shape = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.client.execute(this)).then(resolve, reject);
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.tables] - Initial rows by table name
+ * @param {object} [options.unique] - Unique column sets by table, besides id,
+ *   e.g. { subscriptions: [['user_id']] }
+ */
+function createFakeSupabase({ tables = {}, unique = {} } = {}) {
+  const client = {
+    tables: copy(tables),
+    unique,
+    // Every query run, for tests that check how a query was built
+    queries: [],
+    failures: [],
+
+    from(table) {
+      return new FakeQuery(client, table);
+    },
+
+    rows(table) {
+      client.tables[table] = client.tables[table] || [];
+      return client.tables[table];
+    },
+
+    /**
+     * Make the next matching write (or read) fail with this error
+     * @param {string} table
+     * @param {string} op - select, insert, update, upsert or delete
+     * @param {object} error - e.g. { code: '23505', message: '...' }
+     * @param {function} [when] - (query) => boolean, to pick which call fails
+     */
+    failNext(table, op, error, when = () => true) {
+      client.failures.push({ table, op, error, when });
+    },
+
+    /**
+     * Start over with these rows, keeping the unique column sets
+     */
+    reset(nextTables = {}) {
+      client.tables = copy(nextTables);
+      client.queries = [];
+      client.failures = [];
+    },
+
+    conflict(table, row, ignore = null) {
+      const keySets = [['id'], ...(client.unique[table] || [])];
+
+      return keySets.find(columns => columns.every(column => row[column] !== null && row[column] !== undefined)
+        && client.rows(table).some(other => other !== ignore
+          && columns.every(column => String(other[column]) === String(row[column]))));
+    },
+
+    execute(query) {
+      client.queries.push(query);
+
+      const failure = client.failures.find(f => f.table === query.table && f.op === query.op && f.when(query));
+      if (failure) {
+        client.failures.splice(client.failures.indexOf(failure), 1);
+        return { data: null, error: failure.error, count: null };
+      }
+
+      const rows = client.rows(query.table);
+      const matched = rows.filter(row => query.filters.every(filter => matches(row, filter)));
+      let result;
+
+      switch (query.op) {
+        case 'select':
+          result = client.readRows(query, matched);
+          break;
+        case 'insert':
+        case 'upsert':
+          result = client.writeRows(query);
+          break;
+        case 'update':
+          matched.forEach(row => Object.assign(row, query.payload));
+          result = { data: matched };
+          break;
+        case 'delete':
+          client.tables[query.table] = rows.filter(row => !matched.includes(row));
+          result = { data: matched };
+          break;
+        default:
+          throw new Error(`fakeSupabase: unsupported operation ${query.op}`);
+      }
+
+      if (result.error) {
+        return { data: null, error: result.error, count: null };
+      }
+
+      const data = query.op === 'select' || query.returning ? copy(result.data) : null;
+      return client.shape(query, data, result.count ?? null);
+    },
+
+    readRows(query, matched) {
+      const sorted = [...matched].sort((a, b) => {
+        for (const { column, ascending } of query.orders) {
+          const order = compare(a[column], b[column]);
+          if (order !== 0) {
+            return ascending ? order : -order;
+          }
+        }
+        return 0;
+      });
+
+      let page = sorted;
+      if (query.rangeBounds) {
+        page = page.slice(query.rangeBounds[0], query.rangeBounds[1] + 1);
+      }
+      if (query.limitCount !== undefined) {
+        page = page.slice(0, query.limitCount);
+      }
+
+      return { data: page, count: query.count ? matched.length : null };
+    },
+
+    writeRows(query) {
+      const incoming = Array.isArray(query.payload) ? query.payload : [query.payload];
+      const onConflict = query.op === 'upsert' ? (query.options.onConflict || 'id').split(',') : null;
+      const written = [];
+      const staged = client.rows(query.table).map(row => ({ ...row }));
+      const original = client.tables[query.table];
+
+      // Postgres applies the statement as a whole: check every row before changing any
+      client.tables[query.table] = staged;
+
+      for (const values of incoming) {
+        const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...values };
+        const existing = onConflict && staged.find(other => onConflict.every(column => String(other[column]) === String(row[column])));
+
+        if (existing) {
+          if (!query.options.ignoreDuplicates) {
+            const clash = client.conflict(query.table, { ...existing, ...values }, existing);
+            if (clash) {
+              client.tables[query.table] = original;
+              return { error: { code: '23505', message: `duplicate key value violates unique constraint on ${query.table} (${clash.join(', ')})` } };
+            }
+            Object.assign(existing, values);
+            written.push(existing);
+          }
+          continue;
+        }
+
+        const clash = client.conflict(query.table, row);
+        if (clash) {
+          if (query.options?.ignoreDuplicates) {
+            continue;
+          }
+          client.tables[query.table] = original;
+          return { error: { code: '23505', message: `duplicate key value violates unique constraint on ${query.table} (${clash.join(', ')})` } };
+        }
+
+        staged.push(row);
+        written.push(row);
+      }
+
+      return { data: written };
+    },
+
+    shape(query, data, count) {
+      if (!query.shape) {
+        return { data, error: null, count };
+      }
+
+      const list = data || [];
+
+      if (list.length > 1 || (query.shape === 'single' && list.length === 0)) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: `JSON object requested, ${list.length} rows returned` },
+          count,
+        };
+      }
+
+      return { data: list[0] ?? null, error: null, count };
+    },
+  };
+
+  return client;
+}
+
+/**
+ * Put a fake client in place of config/supabase for every later require
+ * @param {object} [options] - As for createFakeSupabase
+ */
+function installFakeSupabase(options) {
+  const client = createFakeSupabase(options);
+  const modulePath = require.resolve('../config/supabase');
+
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: client,
+  };
+
+  return client;
+}
+
+module.exports = {
+  createFakeSupabase,
+  installFakeSupabase,
+};
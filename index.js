@@ -17,6 +17,9 @@ console.log('🔑 SUPABASE_URL:', process.env.SUPABASE_URL ? '✅ Set' : '❌ Mi
 console.log('🔑 SUPABASE_KEY:', process.env.SUPABASE_KEY ? '✅ Set' : '❌ Missing');
 console.log('🔑 JWT_SECRET:', process.env.JWT_SECRET ? '✅ Set' : '❌ Missing');
 
+// Trust the first proxy (Render) so req.ip is the client IP
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -29,6 +32,15 @@ const mpesaRoutes = require('./routes/mpesa');
 const debtsRoutes = require('./routes/debts');
 const purchasesRoutes = require('./routes/purchases');
 const adminRoutes = require('./routes/admin');
+const smsRoutes = require('./routes/sms');
+const staffRoutes = require('./routes/staff');
+const planRoutes = require('./routes/plans');
+const c2bRoutes = require('./routes/c2b');
+const paymentRequestRoutes = require('./routes/paymentRequests');
+const payRoutes = require('./routes/pay');
+const { startAccountDeletionJob } = require('./jobs/accountDeletionJob');
+const { startSubscriptionLifecycleJob } = require('./jobs/subscriptionLifecycleJob');
+const { startPaymentReconcilerJob } = require('./jobs/paymentReconcilerJob');
 
 app.get('/', (req, res) => {
   res.json({
@@ -39,19 +51,74 @@ app.get('/', (req, res) => {
       auth: {
         signup: 'POST /api/auth/signup',
         login: 'POST /api/auth/login',
+        otpRequest: 'POST /api/auth/otp/request',
+        otpVerify: 'POST /api/auth/otp/verify',
+        verifyDevice: 'POST /api/auth/devices/verify',
+        devices: 'GET /api/auth/devices',
+        removeDevice: 'DELETE /api/auth/devices/:id',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        changePin: 'PUT /api/auth/pin',
+        forgotPin: 'POST /api/auth/pin/forgot',
+        resetPin: 'POST /api/auth/pin/reset',
         verify: 'GET /api/auth/verify',
         profile: 'GET /api/auth/profile',
+        exportData: 'GET /api/auth/export',
+        deleteAccount: 'DELETE /api/auth/account',
+        restoreAccount: 'POST /api/auth/account/restore',
+      },
+      staff: {
+        list: 'GET /api/staff',
+        invite: 'POST /api/staff',
+        activate: 'POST /api/staff/activate',
+        updateRole: 'PUT /api/staff/:id',
+        remove: 'DELETE /api/staff/:id',
       },
       sync: 'POST /api/sync',
+      syncChanges: 'GET /api/sync/changes',
+      syncSms: 'POST /api/sync/sms',
       transactions: 'GET /api/transactions',
       stats: 'GET /api/transactions/stats',
+      exportTransactions: 'GET /api/transactions/export',
+      requestDebtPayment: 'POST /api/debts/:id/request-payment',
+      paymentRequests: 'GET|POST /api/payment-requests',
+      paymentRequest: 'GET /api/payment-requests/:id',
+      cancelPaymentRequest: 'POST /api/payment-requests/:id/cancel',
+      payPage: 'GET|POST /pay/:code',
+      plans: 'GET /api/plans',
+      billingHistory: 'GET /api/mpesa/billing-history',
+      receipt: 'GET /api/mpesa/receipts/:checkoutRequestId',
+      tills: 'GET|POST /api/mpesa/c2b/tills',
+      removeTill: 'DELETE /api/mpesa/c2b/tills/:id',
+      sms: {
+        deliveryReport: 'POST /api/sms/delivery/:provider/:token',
+      },
       admin: {
+        login: 'POST /api/admin/auth/login',
+        me: 'GET /api/admin/auth/me',
+        admins: 'GET|POST /api/admin/admins',
+        updateAdmin: 'PUT /api/admin/admins/:adminId',
+        auditLog: 'GET /api/admin/audit-log',
+        paymentAnomalies: 'GET /api/admin/payments/anomalies',
+        resolvePaymentAnomaly: 'PUT /api/admin/payments/anomalies/:anomalyId',
+        refunds: 'GET /api/admin/payments/refunds',
+        refundPayment: 'POST /api/admin/payments/:transactionId/refunds',
+        smsQuarantine: 'GET /api/admin/sms/quarantine',
+        resolveQuarantinedSms: 'PUT /api/admin/sms/quarantine/:messageId',
+        plans: 'GET|POST /api/admin/plans',
+        updatePlan: 'PUT /api/admin/plans/:code',
+        retirePlan: 'POST /api/admin/plans/:code/retire',
+        tills: 'GET /api/admin/tills',
+        updateTill: 'PUT /api/admin/tills/:tillId',
+        revokeUserSessions: 'POST /api/admin/users/:userId/revoke-sessions',
         overview: 'GET /api/admin/overview',
         users: 'GET /api/admin/users',
         userDetail: 'GET /api/admin/users/:userId',
         featureUsage: 'GET /api/admin/feature-usage',
         growth: 'GET /api/admin/growth',
         subscriptions: 'GET /api/admin/subscriptions',
+        loginAttempts: 'GET /api/admin/security/login-attempts',
       },
     }
   });
@@ -107,11 +174,20 @@ app.get('/api/test-connection', async (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/mpesa/c2b', c2bRoutes);
+// Daraja refuses to register C2B URLs containing "mpesa"
+app.use('/api/c2b', c2bRoutes);
 app.use('/api/mpesa', mpesaRoutes);
 app.use('/api', syncRoutes);
 app.use('/api', debtsRoutes);
 app.use('/api', purchasesRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/payment-requests', paymentRequestRoutes);
+// Short public links for payment requests (shared or scanned as QR codes)
+app.use('/pay', payRoutes);
 
 // Start server
 app.listen(PORT, HOST, () => {
@@ -119,6 +195,11 @@ app.listen(PORT, HOST, () => {
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API: http://${HOST}:${PORT}`);
   console.log(`✅ Ready to accept connections`);
+
+  // Background jobs
+  startAccountDeletionJob();
+  startSubscriptionLifecycleJob();
+  startPaymentReconcilerJob();
 });
 
 module.exports = app;
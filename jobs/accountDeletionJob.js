@@ -0,0 +1,40 @@
+const supabase = require('../config/supabase');
+const { purgeScheduledAccounts } = require('../services/accountService');
+
+// How often to look for accounts whose cooling-off period has ended
+const ACCOUNT_PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Run one purge pass, logging instead of throwing so the timer keeps going
+ */
+async function runAccountDeletionJob() {
+  try {
+    const deletedCount = await purgeScheduledAccounts();
+
+    if (deletedCount > 0) {
+      console.log(`🗑️ Account deletion job removed ${deletedCount} account(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Account deletion job failed:', error.message);
+  }
+}
+
+/**
+ * Start the periodic purge of accounts scheduled for deletion
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when the database is not configured
+ */
+function startAccountDeletionJob() {
+  if (!supabase) {
+    console.warn('⚠️ Account deletion job not started: database not configured');
+    return null;
+  }
+
+  runAccountDeletionJob();
+
+  return setInterval(runAccountDeletionJob, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  runAccountDeletionJob,
+  startAccountDeletionJob,
+};
@@ -0,0 +1,40 @@
+const supabase = require('../config/supabase');
+const { reconcilePendingTransactions } = require('../services/paymentService');
+
+// How often to query M-Pesa for payments whose callback has not arrived
+const MPESA_RECONCILE_INTERVAL_MINUTES = parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 1;
+
+/**
+ * Run one reconciliation pass, logging instead of throwing so the timer keeps going
+ */
+async function runPaymentReconcilerJob() {
+  try {
+    const { completed, failed } = await reconcilePendingTransactions();
+
+    if (completed || failed) {
+      console.log(`🔎 Payment reconciler: ${completed} completed, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Payment reconciler job failed:', error.message);
+  }
+}
+
+/**
+ * Start the periodic payment reconciler
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when the database is not configured
+ */
+function startPaymentReconcilerJob() {
+  if (!supabase) {
+    console.warn('⚠️ Payment reconciler not started: database not configured');
+    return null;
+  }
+
+  runPaymentReconcilerJob();
+
+  return setInterval(runPaymentReconcilerJob, MPESA_RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  runPaymentReconcilerJob,
+  startPaymentReconcilerJob,
+};
@@ -0,0 +1,40 @@
+const supabase = require('../config/supabase');
+const { processSubscriptionLifecycle } = require('../services/subscriptionService');
+
+// How often to send reminders and move subscriptions into grace or expiry
+const SUBSCRIPTION_JOB_INTERVAL_MINUTES = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES) || 60;
+
+/**
+ * Run one lifecycle pass, logging instead of throwing so the timer keeps going
+ */
+async function runSubscriptionLifecycleJob() {
+  try {
+    const { reminded, inGrace, expired } = await processSubscriptionLifecycle();
+
+    if (reminded || inGrace || expired) {
+      console.log(`🔁 Subscription job: ${reminded} reminded, ${inGrace} in grace, ${expired} downgraded`);
+    }
+  } catch (error) {
+    console.error('❌ Subscription lifecycle job failed:', error.message);
+  }
+}
+
+/**
+ * Start the periodic subscription lifecycle job
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when the database is not configured
+ */
+function startSubscriptionLifecycleJob() {
+  if (!supabase) {
+    console.warn('⚠️ Subscription lifecycle job not started: database not configured');
+    return null;
+  }
+
+  runSubscriptionLifecycleJob();
+
+  return setInterval(runSubscriptionLifecycleJob, SUBSCRIPTION_JOB_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  runSubscriptionLifecycleJob,
+  startSubscriptionLifecycleJob,
+};
@@ -0,0 +1,116 @@
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { recordAdminAction } = require('../services/adminAuditService');
+
+/**
+ * Secret for admin tokens (kept separate from merchant tokens when set)
+ */
+const getAdminSecret = () => process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Admin Authentication Middleware
+ * Verifies an admin JWT, checks the account is still active
+ * and attaches admin info to req.admin
+ */
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin token required',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getAdminSecret());
+    } catch (err) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired admin token',
+      });
+    }
+
+    // Merchant tokens are signed with the same secret when ADMIN_JWT_SECRET is not set
+    if (decoded.type !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired admin token',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    // Scopes are read from the database so changes apply immediately
+    const { data: admin } = await supabase
+      .from('admin_users')
+      .select('id, email, scopes, is_active')
+      .eq('id', decoded.adminId)
+      .maybeSingle();
+
+    if (!admin || !admin.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin account disabled',
+      });
+    }
+
+    req.admin = {
+      adminId: admin.id,
+      email: admin.email,
+      scopes: admin.scopes || [],
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Admin auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+};
+
+/**
+ * Scope Middleware
+ * Use after authenticateAdmin, e.g. requireScope('analytics:read')
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.admin || !req.admin.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Missing required scope: ${scope}`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Audit Middleware
+ * Logs every admin request to admin_audit_log once the response is sent
+ */
+const auditAdminRequest = (req, res, next) => {
+  res.on('finish', () => {
+    recordAdminAction(req, `${req.method} ${req.baseUrl}${req.route?.path || req.path}`, {
+      statusCode: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  authenticateAdmin,
+  requireScope,
+  auditAdminRequest,
+  getAdminSecret,
+};
@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { isSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../config/roles');
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user info to req.user
+ * Verifies JWT token, checks its session has not been revoked
+ * and attaches user info to req.user
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -18,23 +22,57 @@ const authenticateToken = (req, res, next) => {
     }
 
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        console.error('❌ Token verification failed:', err.message);
-        return res.status(403).json({
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      console.error('❌ Token verification failed:', err.message);
+
+      // Expired access tokens should be refreshed with POST /api/auth/refresh
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({
           success: false,
-          message: 'Invalid or expired token',
+          message: 'Access token expired',
+          code: 'TOKEN_EXPIRED',
         });
       }
 
-      // Attach user info to request
-      req.user = {
-        userId: decoded.userId,
-        phoneNumber: decoded.phoneNumber,
-      };
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token',
+      });
+    }
 
-      next();
-    });
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    // Tokens without a session (issued before sessions existed) cannot be revoked
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+        code: 'SESSION_REVOKED',
+      });
+    }
+
+    // Attach user info to request
+    // userId and businessId are the owner's id for both owners and staff,
+    // so data queries are always scoped to the business
+    req.user = {
+      userId: decoded.userId,
+      businessId: decoded.userId,
+      phoneNumber: decoded.phoneNumber,
+      sessionId: decoded.sessionId,
+      role: decoded.role || 'owner',
+      staffId: decoded.staffId || null,
+      deviceId: decoded.deviceId || null,
+    };
+
+    next();
   } catch (error) {
     console.error('❌ Auth middleware error:', error);
     return res.status(500).json({
@@ -44,4 +82,21 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+/**
+ * Permission Middleware
+ * Use after authenticateToken, e.g. requirePermission('debts:clear')
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Your role (${req.user?.role || 'unknown'}) is not allowed to do this`,
+      code: 'FORBIDDEN',
+      permission,
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateToken, requirePermission };
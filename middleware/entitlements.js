@@ -0,0 +1,149 @@
+const { getEntitlements } = require('../services/subscriptionService');
+const { listPlans } = require('../services/planService');
+const { getPrimaryDevice } = require('../services/deviceService');
+const { FREE_ENTITLEMENTS } = require('../config/plans');
+
+/**
+ * Load the business's entitlements once per request
+ */
+const loadEntitlements = async (req) => {
+  if (!req.entitlements) {
+    req.entitlements = await getEntitlements(req.user.businessId);
+  }
+
+  return req.entitlements;
+};
+
+/**
+ * Whether an entitlement value allows one more use
+ * @param {boolean|number|null} value - Switch, or limit (null means unlimited)
+ * @param {number} [usage] - Current usage for limits
+ */
+const allows = (value, usage) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  return value === null || usage < value;
+};
+
+/**
+ * Cheapest plan on sale that would allow the feature
+ */
+const findUpgradePlan = async (feature, usage) => {
+  const plans = await listPlans();
+
+  const plan = plans.find(candidate => {
+    const entitlements = { ...FREE_ENTITLEMENTS, ...(candidate.entitlements || {}) };
+    return allows(entitlements[feature], usage);
+  });
+
+  return plan ? { code: plan.code, name: plan.name, price: plan.price } : null;
+};
+
+/**
+ * Respond with a structured upgrade prompt for the app
+ */
+const sendUpgradeRequired = async (res, { feature, message, currentPlan, limit, usage }) => {
+  return res.status(402).json({
+    success: false,
+    error: 'upgrade_required',
+    message,
+    feature,
+    currentPlan,
+    ...(limit !== undefined && { limit, usage }),
+    upgradeTo: await findUpgradePlan(feature, usage),
+  });
+};
+
+/**
+ * Whether a request comes from a device other than the business's primary one
+ * For requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }).
+ * A token without a device id cannot show it is the primary device, so it
+ * counts as secondary; otherwise leaving the id out would skip the check
+ */
+const isSecondaryDevice = async (req) => {
+  if (!req.user.deviceId) {
+    return true;
+  }
+
+  const primary = await getPrimaryDevice(req.user.businessId);
+  return Boolean(primary) && primary.device_id !== req.user.deviceId;
+};
+
+/**
+ * Entitlement Middleware for on/off features
+ * Use after authenticateToken, e.g. requireEntitlement('reportExports')
+ * @param {string} feature - Switch in plans.entitlements
+ * @param {object} [options]
+ * @param {function} [options.appliesTo] - async (req) => boolean; when given,
+ *   only requests it returns true for need the feature
+ */
+const requireEntitlement = (feature, { appliesTo } = {}) => async (req, res, next) => {
+  try {
+    if (appliesTo && !(await appliesTo(req))) {
+      return next();
+    }
+
+    const { plan, entitlements } = await loadEntitlements(req);
+
+    if (!allows(entitlements[feature])) {
+      return sendUpgradeRequired(res, {
+        feature,
+        currentPlan: plan,
+        message: 'Your plan does not include this feature. Upgrade to continue.',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Entitlement check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check plan entitlements',
+    });
+  }
+};
+
+/**
+ * Entitlement Middleware for capped features
+ * Use after authenticateToken, e.g. enforceLimit('maxPendingDebts', countPendingDebts)
+ * @param {string} feature - Limit in plans.entitlements (null means unlimited)
+ * @param {function} countUsage - async (req) => current usage
+ */
+const enforceLimit = (feature, countUsage) => async (req, res, next) => {
+  try {
+    const { plan, entitlements } = await loadEntitlements(req);
+    const limit = entitlements[feature];
+
+    if (limit === null || limit === undefined) {
+      return next();
+    }
+
+    const usage = await countUsage(req);
+
+    if (!allows(limit, usage)) {
+      return sendUpgradeRequired(res, {
+        feature,
+        currentPlan: plan,
+        limit,
+        usage,
+        message: `Your plan allows ${limit}. Upgrade to add more.`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Entitlement check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check plan entitlements',
+    });
+  }
+};
+
+module.exports = {
+  isSecondaryDevice,
+  requireEntitlement,
+  enforceLimit,
+};
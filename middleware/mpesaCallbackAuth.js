@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Unauthenticated callbacks are counted and logged at most once a minute per
+// reason, so a flood of forged requests cannot fill the logs or the database
+const REJECTION_LOG_INTERVAL_MS = 60 * 1000;
+const rejections = new Map();
+
+/**
+ * Parse MPESA_CALLBACK_IP_ALLOWLIST (comma-separated IPs); empty means allow all
+ */
+const getAllowedIps = () => {
+  return (process.env.MPESA_CALLBACK_IP_ALLOWLIST || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Compare the URL token with MPESA_CALLBACK_TOKEN in constant time
+ */
+const isValidCallbackToken = (token) => {
+  const expected = process.env.MPESA_CALLBACK_TOKEN;
+
+  if (!expected) {
+    return true;
+  }
+
+  const tokenBuffer = Buffer.from(token || '');
+  const expectedBuffer = Buffer.from(expected);
+
+  if (tokenBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+};
+
+/**
+ * Count a rejected callback and log a summary, without the payload
+ */
+const logRejection = (reason, sourceIp) => {
+  const now = Date.now();
+  const entry = rejections.get(reason) || { count: 0, sinceLastLog: 0, loggedAt: 0 };
+
+  entry.count += 1;
+  entry.sinceLastLog += 1;
+  rejections.set(reason, entry);
+
+  if (now - entry.loggedAt >= REJECTION_LOG_INTERVAL_MS) {
+    console.warn(`⚠️ M-Pesa callback rejected (${reason}) from ${sourceIp || 'unknown'}: ${entry.sinceLastLog} since last report, ${entry.count} total`);
+    entry.sinceLastLog = 0;
+    entry.loggedAt = now;
+  }
+};
+
+/**
+ * M-Pesa Callback Source Middleware
+ * Rejects callbacks without the deployment's secret URL token
+ * (MPESA_CALLBACK_TOKEN) or from outside the IP allowlist
+ * (MPESA_CALLBACK_IP_ALLOWLIST). Both checks are skipped when unset.
+ * Rejections are only counted and logged: the request is unauthenticated, so
+ * its body is not stored. Payment anomalies are for authenticated callbacks
+ * whose content does not match.
+ */
+const verifyMpesaCallbackSource = (req, res, next) => {
+  // IPv4 clients can show up as IPv6-mapped addresses (::ffff:1.2.3.4)
+  const sourceIp = (req.ip || '').replace(/^::ffff:/, '');
+  const allowedIps = getAllowedIps();
+
+  let reason = null;
+  if (!isValidCallbackToken(req.params.token)) {
+    reason = 'invalid_callback_token';
+  } else if (allowedIps.length > 0 && !allowedIps.includes(sourceIp)) {
+    reason = 'ip_not_allowed';
+  }
+
+  if (reason) {
+    logRejection(reason, sourceIp);
+
+    return res.status(403).json({
+      ResultCode: 1,
+      ResultDesc: 'Rejected',
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyMpesaCallbackSource };
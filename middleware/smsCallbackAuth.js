@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { getProvider } = require('../services/smsService');
+
+/**
+ * Compare the URL token with SMS_CALLBACK_TOKEN in constant time
+ */
+const isValidCallbackToken = (token) => {
+  const expected = process.env.SMS_CALLBACK_TOKEN;
+
+  if (!expected) {
+    return true;
+  }
+
+  const tokenBuffer = Buffer.from(token || '');
+  const expectedBuffer = Buffer.from(expected);
+
+  if (tokenBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+};
+
+/**
+ * SMS Delivery Report Source Middleware
+ * Rejects reports without the deployment's secret URL token (SMS_CALLBACK_TOKEN,
+ * skipped when unset) and, for providers that sign their callbacks (Twilio),
+ * reports whose signature does not match.
+ */
+const verifySmsCallbackSource = (req, res, next) => {
+  let provider;
+
+  try {
+    provider = getProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  let reason = null;
+  if (!isValidCallbackToken(req.params.token)) {
+    reason = 'invalid callback token';
+  } else if (provider.verifyDeliveryReport && !provider.verifyDeliveryReport(req)) {
+    reason = 'invalid signature';
+  }
+
+  if (reason) {
+    console.warn(`⚠️ Rejected ${provider.name} delivery report from ${req.ip}: ${reason}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Rejected',
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifySmsCallbackSource };
@@ -1,29 +1,98 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
+const {
+  authenticateAdmin,
+  requireScope,
+  auditAdminRequest,
+} = require('../middleware/adminAuth');
+const {
+  adminLogin,
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+} = require('../controllers/adminAuthController');
+const {
+  listAllPlans,
+  addPlan,
+  updatePlan,
+  removePlan,
+} = require('../controllers/planController');
+const {
+  createRefund,
+  updateRefund,
+  listRefunds,
+} = require('../controllers/refundController');
+const {
+  listAllTills,
+  updateTillStatus,
+} = require('../controllers/c2bController');
+const { revokeAllSessions } = require('../services/sessionService');
+const { approveFlaggedTransaction } = require('../services/paymentService');
 
 /**
- * Simple admin authentication middleware
- * In production, use proper admin authentication
+ * POST /api/admin/auth/login
+ * Admin login with email and password (public)
  */
-const authenticateAdmin = (req, res, next) => {
-  const adminKey = req.headers['x-admin-key'];
-  
-  if (!adminKey || adminKey !== process.env.ADMIN_SECRET_KEY) {
-    return res.status(403).json({
-      success: false,
-      message: 'Unauthorized: Invalid admin key',
-    });
-  }
-  
-  next();
-};
+router.post('/auth/login', adminLogin);
+
+// Every route below requires an admin token and is written to the audit log
+router.use(authenticateAdmin, auditAdminRequest);
+
+/**
+ * GET /api/admin/auth/me
+ * Current admin and their scopes
+ */
+router.get('/auth/me', getCurrentAdmin);
+
+/**
+ * GET /api/admin/admins
+ * List admin accounts
+ */
+router.get('/admins', requireScope('admins:write'), listAdmins);
+
+/**
+ * POST /api/admin/admins
+ * Create an admin account
+ */
+router.post('/admins', requireScope('admins:write'), createAdmin);
+
+/**
+ * PUT /api/admin/admins/:adminId
+ * Change an admin's scopes or disable the account
+ */
+router.put('/admins/:adminId', requireScope('admins:write'), updateAdmin);
+
+/**
+ * GET /api/admin/plans
+ * Every plan version, including retired ones
+ */
+router.get('/plans', requireScope('plans:write'), listAllPlans);
+
+/**
+ * POST /api/admin/plans
+ * Add a plan to the catalog
+ */
+router.post('/plans', requireScope('plans:write'), addPlan);
+
+/**
+ * PUT /api/admin/plans/:code
+ * Reprice a plan or change its terms (creates a new version)
+ */
+router.put('/plans/:code', requireScope('plans:write'), updatePlan);
+
+/**
+ * POST /api/admin/plans/:code/retire
+ * Stop selling a plan
+ */
+router.post('/plans/:code/retire', requireScope('plans:write'), removePlan);
 
 /**
  * GET /api/admin/overview
  * Get high-level overview of the entire platform
  */
-router.get('/overview', authenticateAdmin, async (req, res) => {
+router.get('/overview', requireScope('analytics:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -142,7 +211,7 @@ router.get('/overview', authenticateAdmin, async (req, res) => {
  * GET /api/admin/users
  * Get list of all users with their activity
  */
-router.get('/users', authenticateAdmin, async (req, res) => {
+router.get('/users', requireScope('users:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -225,7 +294,7 @@ router.get('/users', authenticateAdmin, async (req, res) => {
  * GET /api/admin/users/:userId
  * Get detailed information about a specific user
  */
-router.get('/users/:userId', authenticateAdmin, async (req, res) => {
+router.get('/users/:userId', requireScope('users:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -321,7 +390,7 @@ router.get('/users/:userId', authenticateAdmin, async (req, res) => {
  * GET /api/admin/feature-usage
  * Get usage statistics for different features
  */
-router.get('/feature-usage', authenticateAdmin, async (req, res) => {
+router.get('/feature-usage', requireScope('analytics:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -402,7 +471,7 @@ router.get('/feature-usage', authenticateAdmin, async (req, res) => {
  * GET /api/admin/growth
  * Get growth metrics over time
  */
-router.get('/growth', authenticateAdmin, async (req, res) => {
+router.get('/growth', requireScope('analytics:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -474,7 +543,7 @@ router.get('/growth', authenticateAdmin, async (req, res) => {
  * GET /api/admin/subscriptions
  * Get subscription tier breakdown
  */
-router.get('/subscriptions', authenticateAdmin, async (req, res) => {
+router.get('/subscriptions', requireScope('analytics:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -515,4 +584,443 @@ router.get('/subscriptions', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/security/login-attempts
+ * Failed PIN logins grouped by phone number and client IP
+ * Optional query params: hours (default 24), minFailures (default 3)
+ */
+router.get('/security/login-attempts', requireScope('security:read'), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const hours = parseInt(req.query.hours) || 24;
+    const minFailures = parseInt(req.query.minFailures) || 3;
+
+    const since = new Date();
+    since.setHours(since.getHours() - hours);
+
+    const { data: attempts, error } = await supabase
+      .from('login_attempts')
+      .select('phone_number, ip_address, user_id, failure_reason, created_at')
+      .eq('success', false)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    // Group failures by phone number and by IP
+    const byPhone = {};
+    const byIp = {};
+
+    attempts.forEach(attempt => {
+      const phone = byPhone[attempt.phone_number] || {
+        phoneNumber: attempt.phone_number,
+        userId: attempt.user_id,
+        failures: 0,
+        ips: new Set(),
+        lastAttempt: attempt.created_at,
+      };
+      phone.failures++;
+      if (attempt.ip_address) phone.ips.add(attempt.ip_address);
+      byPhone[attempt.phone_number] = phone;
+
+      if (attempt.ip_address) {
+        const ip = byIp[attempt.ip_address] || {
+          ipAddress: attempt.ip_address,
+          failures: 0,
+          phones: new Set(),
+          lastAttempt: attempt.created_at,
+        };
+        ip.failures++;
+        ip.phones.add(attempt.phone_number);
+        byIp[attempt.ip_address] = ip;
+      }
+    });
+
+    const phones = Object.values(byPhone)
+      .filter(p => p.failures >= minFailures)
+      .sort((a, b) => b.failures - a.failures)
+      .map(({ ips, ...p }) => ({ ...p, distinctIps: ips.size }));
+
+    const ips = Object.values(byIp)
+      .filter(i => i.failures >= minFailures)
+      .sort((a, b) => b.failures - a.failures)
+      .map(({ phones: targeted, ...i }) => ({ ...i, distinctPhones: targeted.size }));
+
+    return res.status(200).json({
+      success: true,
+      period: `${hours} hours`,
+      data: {
+        totalFailures: attempts.length,
+        phones,
+        ips,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/security/login-attempts:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/revoke-sessions
+ * Log a merchant (and their staff) out of every device
+ */
+router.post('/users/:userId/revoke-sessions', requireScope('users:write'), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const { userId } = req.params;
+
+    const { data: staff } = await supabase
+      .from('staff_members')
+      .select('id')
+      .eq('business_id', userId);
+
+    let revokedSessions = await revokeAllSessions(userId, { reason: 'admin_revoked' });
+
+    for (const member of staff || []) {
+      revokedSessions += await revokeAllSessions(userId, { staffId: member.id, reason: 'admin_revoked' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/users/:userId/revoke-sessions:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Admin actions, newest first
+ * Optional query params: adminId, limit, offset
+ */
+router.get('/audit-log', requireScope('audit:read'), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabase
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.adminId) {
+      query = query.eq('admin_id', req.query.adminId);
+    }
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries,
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/audit-log:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/payments/anomalies
+ * M-Pesa callbacks that failed verification, newest first
+ * Optional query params: status (open, resolved, dismissed), limit, offset
+ */
+router.get('/payments/anomalies', requireScope('payments:read'), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabase
+      .from('payment_anomalies')
+      .select('*, mpesa_transactions (status, amount, phone_number, account_reference)')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: anomalies, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: anomalies.length,
+      anomalies,
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/payments/anomalies:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/payments/anomalies/:anomalyId
+ * Close an anomaly: { status: 'resolved' | 'dismissed', note, approvePayment }
+ * approvePayment completes the flagged transaction and extends the subscription
+ */
+router.put('/payments/anomalies/:anomalyId', requireScope('payments:write'), async (req, res) => {
+  try {
+    const { anomalyId } = req.params;
+    const { status, note, approvePayment } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be resolved or dismissed',
+      });
+    }
+
+    const { data: anomaly } = await supabase
+      .from('payment_anomalies')
+      .select('*')
+      .eq('id', anomalyId)
+      .maybeSingle();
+
+    if (!anomaly) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anomaly not found',
+      });
+    }
+
+    let transaction = null;
+    if (approvePayment) {
+      if (status !== 'resolved' || !anomaly.mpesa_transaction_id || !anomaly.received?.mpesaReceiptNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only resolved anomalies with a transaction and M-Pesa receipt can be approved',
+        });
+      }
+
+      transaction = await approveFlaggedTransaction(anomaly.mpesa_transaction_id, {
+        mpesaReceiptNumber: anomaly.received.mpesaReceiptNumber,
+        transactionDate: anomaly.received.transactionDate || null,
+      });
+
+      if (!transaction) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transaction is not flagged and cannot be approved',
+        });
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('payment_anomalies')
+      .update({
+        status,
+        resolution_note: note || null,
+        reviewed_by: req.admin.adminId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', anomalyId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      anomaly: updated,
+      ...(transaction && { transaction }),
+    });
+  } catch (error) {
+    console.error('❌ Error updating payment anomaly:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/payments/refunds
+ * Refunds, newest first
+ * Optional query params: status (pending, completed, failed, unknown), transactionId, limit, offset
+ */
+router.get('/payments/refunds', requireScope('payments:read'), listRefunds);
+
+/**
+ * PUT /api/admin/payments/refunds/:refundId
+ * Resolve a refund M-Pesa did not answer, after checking it on M-Pesa:
+ * { status: 'completed' | 'failed', receiptNumber?, note }
+ */
+router.put('/payments/refunds/:refundId', requireScope('payments:write'), updateRefund);
+
+/**
+ * POST /api/admin/payments/:transactionId/refunds
+ * Refund a completed subscription payment: { method: 'reversal' | 'b2c', amount?, reason }
+ * The subscription loses the days the refunded amount paid for once M-Pesa confirms
+ */
+router.post('/payments/:transactionId/refunds', requireScope('payments:write'), createRefund);
+
+/**
+ * GET /api/admin/sms/quarantine
+ * M-Pesa SMS the server parser could not read, newest first
+ * Optional query params: status (open, resolved, dismissed), limit, offset
+ */
+router.get('/sms/quarantine', requireScope('payments:read'), async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabase
+      .from('sms_quarantine')
+      .select('*, users (business_name, phone_number)')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: messages, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages,
+    });
+  } catch (error) {
+    console.error('❌ Error in /admin/sms/quarantine:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/sms/quarantine/:messageId
+ * Close a quarantined SMS: { status: 'resolved' | 'dismissed', note }
+ * Resolve once its format is in fixtures/mpesa-sms.json and the parser handles it
+ */
+router.put('/sms/quarantine/:messageId', requireScope('payments:write'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be resolved or dismissed',
+      });
+    }
+
+    const { data: sms, error } = await supabase
+      .from('sms_quarantine')
+      .update({
+        status,
+        resolution_note: note || null,
+        reviewed_by: req.admin.adminId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', req.params.messageId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!sms) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined SMS not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      sms,
+    });
+  } catch (error) {
+    console.error('❌ Error updating quarantined SMS:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/tills
+ * Tills and paybills linked by merchants, newest first
+ * Optional query params: status (pending, active, disabled), limit, offset
+ */
+router.get('/tills', requireScope('users:read'), listAllTills);
+
+/**
+ * PUT /api/admin/tills/:tillId
+ * Set a till's status: { status: 'pending' | 'active' | 'disabled' }
+ * Activating registers the shortcode's C2B URLs with Daraja
+ */
+router.put('/tills/:tillId', requireScope('users:write'), updateTillStatus);
+
 module.exports = router;
@@ -3,10 +3,24 @@ const router = express.Router();
 const {
   signup,
   login,
+  requestLoginOTP,
+  verifyLoginOTP,
+  verifyDevice,
+  refreshToken,
+  logout,
+  logoutAllDevices,
+  changePin,
+  resetPin,
   verifyToken,
   getProfile,
-  updateSubscription,
 } = require('../controllers/authController');
+const {
+  exportAccountData,
+  deleteAccount,
+  restoreAccount,
+} = require('../controllers/accountController');
+const { getDevices, deleteDevice } = require('../controllers/deviceController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 /**
  * @route   POST /api/auth/signup
@@ -22,25 +36,116 @@ router.post('/signup', signup);
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Send a login OTP (only registered numbers get an SMS; the response is the same)
+ * @access  Public
+ */
+router.post('/otp/request', requestLoginOTP);
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Login with an OTP instead of a PIN
+ * @access  Public
+ */
+router.post('/otp/verify', verifyLoginOTP);
+
+/**
+ * @route   POST /api/auth/devices/verify
+ * @desc    Complete a login from a new device with the OTP sent to the phone
+ * @access  Public (requires challenge token)
+ */
+router.post('/devices/verify', verifyDevice);
+
+/**
+ * @route   GET /api/auth/devices
+ * @desc    List trusted devices (owners see all devices of the business)
+ * @access  Protected (requires token)
+ */
+router.get('/devices', authenticateToken, getDevices);
+
+/**
+ * @route   DELETE /api/auth/devices/:id
+ * @desc    Remove a trusted device and log it out
+ * @access  Protected (requires token)
+ */
+router.delete('/devices/:id', authenticateToken, deleteDevice);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public (requires refresh token)
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Protected (requires token)
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the user (log out all devices)
+ * @access  Protected (requires token)
+ */
+router.post('/logout-all', authenticateToken, logoutAllDevices);
+
+/**
+ * @route   PUT /api/auth/pin
+ * @desc    Change PIN (requires the current PIN)
+ * @access  Protected (requires token)
+ */
+router.put('/pin', authenticateToken, changePin);
+
+/**
+ * @route   POST /api/auth/pin/forgot
+ * @desc    Send an OTP for resetting a forgotten PIN
+ * @access  Public
+ */
+router.post('/pin/forgot', requestLoginOTP);
+
+/**
+ * @route   POST /api/auth/pin/reset
+ * @desc    Set a new PIN using an OTP and revoke all sessions
+ * @access  Public
+ */
+router.post('/pin/reset', resetPin);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify JWT token
- * @access  Public
+ * @access  Protected (requires token)
  */
-router.get('/verify', verifyToken);
+router.get('/verify', authenticateToken, verifyToken);
 
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
  * @access  Protected (requires token)
  */
-router.get('/profile', getProfile);
+router.get('/profile', authenticateToken, getProfile);
 
 /**
- * @route   PUT /api/auth/subscription
- * @desc    Update user subscription status
- * @access  Protected (requires token)
+ * @route   GET /api/auth/export
+ * @desc    Download all business data as a zip of JSON and CSV files
+ * @access  Protected (owner)
+ */
+router.get('/export', authenticateToken, requirePermission('account:manage'), exportAccountData);
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Schedule the account for deletion (requires PIN, cooling-off period applies)
+ * @access  Protected (owner)
+ */
+router.delete('/account', authenticateToken, requirePermission('account:manage'), deleteAccount);
+
+/**
+ * @route   POST /api/auth/account/restore
+ * @desc    Cancel a scheduled account deletion
+ * @access  Protected (owner)
  */
-router.put('/subscription', updateSubscription);
+router.post('/account/restore', authenticateToken, requirePermission('account:manage'), restoreAccount);
 
 module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  c2bValidation,
+  c2bConfirmation,
+  getTills,
+  linkTill,
+  unlinkTill,
+} = require('../controllers/c2bController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { verifyMpesaCallbackSource } = require('../middleware/mpesaCallbackAuth');
+
+/**
+ * @route   POST /api/mpesa/c2b/validation/:token
+ * @desc    Daraja C2B validation (accept or reject a payment before it completes)
+ *          Also served at /api/c2b, which is the URL registered with Daraja
+ * @access  Public (secret URL token and optional IP allowlist)
+ */
+router.post('/validation{/:token}', verifyMpesaCallbackSource, c2bValidation);
+
+/**
+ * @route   POST /api/mpesa/c2b/confirmation/:token
+ * @desc    Daraja C2B confirmation; records the payment as a sale
+ *          Also served at /api/c2b, which is the URL registered with Daraja
+ * @access  Public (secret URL token and optional IP allowlist)
+ */
+router.post('/confirmation{/:token}', verifyMpesaCallbackSource, c2bConfirmation);
+
+/**
+ * @route   GET /api/mpesa/c2b/tills
+ * @desc    List the business's linked tills and paybills
+ * @access  Protected (owner)
+ */
+router.get('/tills', authenticateToken, requirePermission('tills:manage'), getTills);
+
+/**
+ * @route   POST /api/mpesa/c2b/tills
+ * @desc    Link a till or paybill; payments are recorded once an admin activates it
+ * @access  Protected (owner)
+ */
+router.post('/tills', authenticateToken, requirePermission('tills:manage'), linkTill);
+
+/**
+ * @route   DELETE /api/mpesa/c2b/tills/:id
+ * @desc    Unlink a till or paybill
+ * @access  Protected (owner)
+ */
+router.delete('/tills/:id', authenticateToken, requirePermission('tills:manage'), unlinkTill);
+
+module.exports = router;
@@ -1,22 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { enforceLimit } = require('../middleware/entitlements');
+const { getDebtBalance, startDebtPayment } = require('../services/debtPaymentService');
+const { getPromptTill } = require('../services/c2bService');
+const { normalizePhoneNumber } = require('../utils/phone');
 
 /**
- * GET /api/debts
- * Get all pending debts for a user
+ * Shape a debts row for the app
  */
-router.get('/debts', async (req, res) => {
-  try {
-    const { phoneNumber } = req.query;
+const formatDebt = (debt) => ({
+  id: debt.id,
+  customerName: debt.customer_name,
+  amount: parseFloat(debt.amount),
+  amountPaid: parseFloat(debt.amount_paid),
+  balance: getDebtBalance(debt),
+  phoneNumber: debt.phone_number,
+  checkoutRequestId: debt.checkout_request_id,
+  mpesaReceiptNumber: debt.mpesa_receipt_number,
+  createdAt: debt.created_at,
+  status: debt.status,
+});
 
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number required',
-      });
-    }
+/**
+ * Count a business's pending debts (for the maxPendingDebts limit)
+ */
+const countPendingDebts = async (req) => {
+  const { count, error } = await supabase
+    .from('debts')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', req.user.businessId)
+    .eq('status', 'pending');
+
+  if (error) {
+    throw error;
+  }
+
+  return count;
+};
 
+/**
+ * GET /api/debts
+ * Get all pending debts for the authenticated business
+ */
+router.get('/debts', authenticateToken, requirePermission('debts:read'), async (req, res) => {
+  try {
     if (!supabase) {
       return res.status(503).json({
         success: false,
@@ -24,25 +53,11 @@ router.get('/debts', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
     // Get all debts for this user (pending only)
     const { data: debts, error } = await supabase
       .from('debts')
       .select('*')
-      .eq('user_id', userData.id)
+      .eq('user_id', req.user.businessId)
       .eq('status', 'pending')
       .order('created_at', { ascending: false });
 
@@ -54,19 +69,9 @@ router.get('/debts', async (req, res) => {
       });
     }
 
-    // Transform to frontend format
-    const transformedDebts = debts.map(debt => ({
-      id: debt.id,
-      customerName: debt.customer_name,
-      amount: parseFloat(debt.amount),
-      phoneNumber: debt.phone_number,
-      createdAt: debt.created_at,
-      status: debt.status,
-    }));
-
     res.status(200).json({
       success: true,
-      debts: transformedDebts,
+      debts: debts.map(formatDebt),
     });
   } catch (error) {
     console.error('❌ Error in GET /api/debts:', error);
@@ -79,37 +84,33 @@ router.get('/debts', async (req, res) => {
 
 /**
  * POST /api/debts
- * Add a new debt
+ * Add a new debt (owner and cashier)
+ * The number of pending debts is capped by the plan (maxPendingDebts)
  */
-router.post('/debts', async (req, res) => {
+router.post('/debts', authenticateToken, requirePermission('debts:create'), enforceLimit('maxPendingDebts', countPendingDebts), async (req, res) => {
   try {
-    const { phoneNumber, customerName, amount, customerPhone } = req.body;
+    const { customerName, amount, customerPhone } = req.body;
 
-    if (!phoneNumber || !customerName || !amount) {
+    if (!customerName || !amount) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number, customer name, and amount required',
+        message: 'Customer name and amount required',
       });
     }
 
-    if (!supabase) {
-      return res.status(503).json({
+    // Customer phone is optional, but must be a valid number when given
+    const normalizedCustomerPhone = customerPhone ? normalizePhoneNumber(customerPhone) : null;
+    if (customerPhone && !normalizedCustomerPhone) {
+      return res.status(400).json({
         success: false,
-        message: 'Database not configured',
+        message: 'Invalid customer phone number. Use 254XXXXXXXXX or 07XXXXXXXX',
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
+    if (!supabase) {
+      return res.status(503).json({
         success: false,
-        message: 'User not found',
+        message: 'Database not configured',
       });
     }
 
@@ -117,10 +118,10 @@ router.post('/debts', async (req, res) => {
     const { data: debt, error } = await supabase
       .from('debts')
       .insert([{
-        user_id: userData.id,
+        user_id: req.user.businessId,
         customer_name: customerName,
         amount: amount,
-        phone_number: customerPhone || null,
+        phone_number: normalizedCustomerPhone,
         status: 'pending',
       }])
       .select()
@@ -138,14 +139,7 @@ router.post('/debts', async (req, res) => {
 
     res.status(201).json({
       success: true,
-      debt: {
-        id: debt.id,
-        customerName: debt.customer_name,
-        amount: parseFloat(debt.amount),
-        phoneNumber: debt.phone_number,
-        createdAt: debt.created_at,
-        status: debt.status,
-      },
+      debt: formatDebt(debt),
     });
   } catch (error) {
     console.error('❌ Error in POST /api/debts:', error);
@@ -158,19 +152,11 @@ router.post('/debts', async (req, res) => {
 
 /**
  * PUT /api/debts/:id/clear
- * Clear a debt (mark as paid)
+ * Clear a debt (mark as paid) - owner only
  */
-router.put('/debts/:id/clear', async (req, res) => {
+router.put('/debts/:id/clear', authenticateToken, requirePermission('debts:clear'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { phoneNumber } = req.body;
-
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number required',
-      });
-    }
 
     if (!supabase) {
       return res.status(503).json({
@@ -179,20 +165,6 @@ router.put('/debts/:id/clear', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
     // Update debt status
     const { data: debt, error } = await supabase
       .from('debts')
@@ -201,7 +173,7 @@ router.put('/debts/:id/clear', async (req, res) => {
         cleared_at: new Date().toISOString(),
       })
       .eq('id', id)
-      .eq('user_id', userData.id)
+      .eq('user_id', req.user.businessId)
       .select()
       .single();
 
@@ -235,4 +207,119 @@ router.put('/debts/:id/clear', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/debts/:id/request-payment
+ * Send an STK push to the customer for the balance, or part of it ({ amount })
+ * A successful payment reduces the balance and clears the debt once paid.
+ * Follow it with GET /api/mpesa/status/:checkoutRequestId.
+ */
+router.post('/debts/:id/request-payment', authenticateToken, requirePermission('debts:collect'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount } = req.body;
+
+    if (amount !== undefined && !(Number.isInteger(amount) && amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a whole number of KES greater than 0',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const { data: debt } = await supabase
+      .from('debts')
+      .select('*, users (business_name)')
+      .eq('id', id)
+      .eq('user_id', req.user.businessId)
+      .maybeSingle();
+
+    if (!debt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Debt not found',
+      });
+    }
+
+    const balance = getDebtBalance(debt);
+
+    if (debt.status !== 'pending' || balance <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This debt has already been paid',
+      });
+    }
+
+    if (!debt.phone_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add the customer\'s phone number to request payment',
+      });
+    }
+
+    if (amount !== undefined && amount > balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot be more than the balance of KES ${balance}`,
+      });
+    }
+
+    // The customer pays the business directly, into its own till or paybill
+    const till = await getPromptTill(req.user.businessId);
+
+    if (!till) {
+      return res.status(409).json({
+        success: false,
+        message: 'Link a till or paybill and have it activated for M-Pesa prompts to request payments',
+      });
+    }
+
+    // One prompt at a time, so the customer is not asked to pay twice
+    const { data: waiting } = await supabase
+      .from('mpesa_transactions')
+      .select('checkout_request_id')
+      .eq('debt_id', debt.id)
+      .eq('status', 'pending')
+      .limit(1);
+
+    if (waiting?.length) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payment request is already waiting for the customer',
+        checkoutRequestId: waiting[0].checkout_request_id,
+      });
+    }
+
+    const requested = amount === undefined ? balance : amount;
+    const result = await startDebtPayment(debt, requested, debt.users?.business_name || 'CONFIRMED', till);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    console.log(`📲 Payment of KES ${requested} requested for debt ${debt.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment request sent to the customer\'s phone',
+      data: {
+        checkoutRequestId: result.data.checkoutRequestId,
+        amount: requested,
+        balance,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/debts/:id/request-payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
 module.exports = router;
@@ -2,9 +2,15 @@ const express = require('express');
 const router = express.Router();
 const {
   initiateSubscription,
+  showRenewal,
+  renewSubscription,
   mpesaCallback,
   checkPaymentStatus,
 } = require('../controllers/mpesaController');
+const { refundResult, refundTimeout } = require('../controllers/refundController');
+const { getBillingHistory, getPaymentReceipt } = require('../controllers/receiptController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { verifyMpesaCallbackSource } = require('../middleware/mpesaCallbackAuth');
 
 /**
  * @route   POST /api/mpesa/subscribe
@@ -14,11 +20,40 @@ const {
 router.post('/subscribe', initiateSubscription);
 
 /**
- * @route   POST /api/mpesa/callback
+ * @route   GET /api/mpesa/renew/:token
+ * @desc    Renewal link from reminder SMS (confirm page, no side effects)
+ * @access  Public (requires signed renewal token)
+ */
+router.get('/renew/:token', showRenewal);
+
+/**
+ * @route   POST /api/mpesa/renew/:token
+ * @desc    Confirm a renewal (sends an STK push; throttled per account)
+ * @access  Public (requires signed renewal token)
+ */
+router.post('/renew/:token', renewSubscription);
+
+/**
+ * @route   POST /api/mpesa/callback/:token
  * @desc    M-Pesa callback for payment confirmation
- * @access  Public
+ *          The token segment must match MPESA_CALLBACK_TOKEN when it is set
+ * @access  Public (secret URL token and optional IP allowlist)
+ */
+router.post('/callback{/:token}', verifyMpesaCallbackSource, mpesaCallback);
+
+/**
+ * @route   POST /api/mpesa/refunds/result/:token
+ * @desc    Daraja result for a refund (B2C or transaction reversal)
+ * @access  Public (secret URL token and optional IP allowlist)
  */
-router.post('/callback', mpesaCallback);
+router.post('/refunds/result{/:token}', verifyMpesaCallbackSource, refundResult);
+
+/**
+ * @route   POST /api/mpesa/refunds/timeout/:token
+ * @desc    Daraja queue timeout for a refund; the refund is marked failed
+ * @access  Public (secret URL token and optional IP allowlist)
+ */
+router.post('/refunds/timeout{/:token}', verifyMpesaCallbackSource, refundTimeout);
 
 /**
  * @route   GET /api/mpesa/status/:checkoutRequestId
@@ -27,4 +62,18 @@ router.post('/callback', mpesaCallback);
  */
 router.get('/status/:checkoutRequestId', checkPaymentStatus);
 
+/**
+ * @route   GET /api/mpesa/billing-history
+ * @desc    The business's subscription payments, newest first
+ * @access  Private (owner)
+ */
+router.get('/billing-history', authenticateToken, requirePermission('subscription:manage'), getBillingHistory);
+
+/**
+ * @route   GET /api/mpesa/receipts/:checkoutRequestId
+ * @desc    Receipt for a completed subscription payment (?format=pdf, html or json)
+ * @access  Private (owner)
+ */
+router.get('/receipts/:checkoutRequestId', authenticateToken, requirePermission('subscription:manage'), getPaymentReceipt);
+
 module.exports = router;
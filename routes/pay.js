@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { showPaymentPage, payPaymentRequest } = require('../controllers/paymentRequestController');
+
+/**
+ * @route   GET /pay/:code
+ * @desc    Payment page for a payment request (shared link or QR code)
+ * @access  Public
+ */
+router.get('/:code', showPaymentPage);
+
+/**
+ * @route   POST /pay/:code
+ * @desc    Send an STK push for the request to the number the customer entered
+ * @access  Public
+ */
+router.post('/:code', payPaymentRequest);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  addPaymentRequest,
+  getPaymentRequests,
+  getPaymentRequest,
+  voidPaymentRequest,
+} = require('../controllers/paymentRequestController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/payment-requests
+ * @desc    Create an amount-bound payment request with a short code, link and QR payload
+ * @access  Protected (owner and cashier)
+ */
+router.post('/', authenticateToken, requirePermission('sales:write'), addPaymentRequest);
+
+/**
+ * @route   GET /api/payment-requests
+ * @desc    List the business's payment requests, newest first
+ * @access  Protected
+ */
+router.get('/', authenticateToken, requirePermission('sales:read'), getPaymentRequests);
+
+/**
+ * @route   GET /api/payment-requests/:id
+ * @desc    Get one payment request (e.g. to see when it is paid)
+ * @access  Protected
+ */
+router.get('/:id', authenticateToken, requirePermission('sales:read'), getPaymentRequest);
+
+/**
+ * @route   POST /api/payment-requests/:id/cancel
+ * @desc    Cancel an open payment request
+ * @access  Protected (owner and cashier)
+ */
+router.post('/:id/cancel', authenticateToken, requirePermission('sales:write'), voidPaymentRequest);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getPlans } = require('../controllers/planController');
+
+/**
+ * @route   GET /api/plans
+ * @desc    Subscription plans on sale (price, billing period, trial, entitlements)
+ * @access  Public
+ */
+router.get('/', getPlans);
+
+module.exports = router;
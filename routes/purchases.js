@@ -1,21 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isSecondaryDevice, requireEntitlement } = require('../middleware/entitlements');
+const { parseReportRange, collectReportRows } = require('../services/reportService');
+const { toCSV } = require('../utils/csv');
 
 /**
  * GET /api/purchases
- * Get all purchases for a user with optional date filtering
+ * Get all purchases for the authenticated business with optional date filtering
  */
-router.get('/purchases', async (req, res) => {
+router.get('/purchases', authenticateToken, requirePermission('purchases:read'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
-    const { phoneNumber, period } = req.query;
-
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number required',
-      });
-    }
+    const { period } = req.query;
 
     if (!supabase) {
       return res.status(503).json({
@@ -24,20 +21,6 @@ router.get('/purchases', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
     // Calculate date range based on period
     let dateFilter = null;
     const now = new Date();
@@ -62,7 +45,7 @@ router.get('/purchases', async (req, res) => {
         *,
         purchase_items (*)
       `)
-      .eq('user_id', userData.id);
+      .eq('user_id', req.user.businessId);
 
     // Apply date filter if specified
     if (dateFilter) {
@@ -110,16 +93,16 @@ router.get('/purchases', async (req, res) => {
 
 /**
  * POST /api/purchases
- * Add a new purchase with items
+ * Add a new purchase with items (owner and cashier)
  */
-router.post('/purchases', async (req, res) => {
+router.post('/purchases', authenticateToken, requirePermission('purchases:create'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
-    const { phoneNumber, items, notes } = req.body;
+    const { items, notes } = req.body;
 
-    if (!phoneNumber || !items || !Array.isArray(items) || items.length === 0) {
+    if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number and items array required',
+        message: 'Items array required',
       });
     }
 
@@ -130,20 +113,6 @@ router.post('/purchases', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
     // Calculate total amount
     const totalAmount = items.reduce((sum, item) => sum + item.totalPrice, 0);
 
@@ -151,7 +120,7 @@ router.post('/purchases', async (req, res) => {
     const { data: purchase, error: purchaseError } = await supabase
       .from('purchases')
       .insert([{
-        user_id: userData.id,
+        user_id: req.user.businessId,
         total_amount: totalAmount,
         notes: notes || null,
       }])
@@ -220,20 +189,41 @@ router.post('/purchases', async (req, res) => {
 });
 
 /**
- * GET /api/purchases/stats
- * Get purchase statistics with optional date filtering
+ * GET /api/purchases/export
+ * Purchases report as CSV (plans with report exports)
+ * Optional query params: from, to (ISO dates, filter on created_at)
  */
-router.get('/purchases/stats', async (req, res) => {
+router.get('/purchases/export', authenticateToken, requirePermission('purchases:read'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), requireEntitlement('reportExports'), async (req, res) => {
   try {
-    const { phoneNumber, period } = req.query;
-
-    if (!phoneNumber) {
+    const range = parseReportRange(req.query);
+    if (!range) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number required',
+        message: 'Invalid from or to date',
       });
     }
 
+    const rows = await collectReportRows('purchases', req.user.businessId, range);
+
+    res.attachment(`confirmed-purchases-${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.status(200).send(toCSV(rows));
+  } catch (error) {
+    console.error('❌ Error exporting purchases report:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/purchases/stats
+ * Get purchase statistics with optional date filtering
+ */
+router.get('/purchases/stats', authenticateToken, requirePermission('purchases:read'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
+  try {
+    const { period } = req.query;
+
     if (!supabase) {
       return res.status(503).json({
         success: false,
@@ -241,20 +231,6 @@ router.get('/purchases/stats', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
     // Calculate date range based on period
     let dateFilter = null;
     const now = new Date();
@@ -276,7 +252,7 @@ router.get('/purchases/stats', async (req, res) => {
     let query = supabase
       .from('purchases')
       .select('total_amount')
-      .eq('user_id', userData.id);
+      .eq('user_id', req.user.businessId);
 
     // Apply date filter if specified
     if (dateFilter) {
@@ -311,4 +287,76 @@ router.get('/purchases/stats', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/purchases/:id
+ * Delete a purchase and its items - owner only
+ */
+router.delete('/purchases/:id', authenticateToken, requirePermission('purchases:delete'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    // Make sure the purchase belongs to this business
+    const { data: purchase } = await supabase
+      .from('purchases')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.businessId)
+      .maybeSingle();
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found',
+      });
+    }
+
+    // Delete items first, then the purchase header
+    const { error: itemsError } = await supabase
+      .from('purchase_items')
+      .delete()
+      .eq('purchase_id', purchase.id);
+
+    if (itemsError) {
+      console.error('❌ Error deleting purchase items:', itemsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete purchase',
+      });
+    }
+
+    const { error } = await supabase
+      .from('purchases')
+      .delete()
+      .eq('id', purchase.id);
+
+    if (error) {
+      console.error('❌ Error deleting purchase:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete purchase',
+      });
+    }
+
+    console.log('✅ Purchase deleted successfully:', purchase.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase deleted successfully',
+    });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/purchases/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { smsDeliveryReport } = require('../controllers/smsController');
+const { verifySmsCallbackSource } = require('../middleware/smsCallbackAuth');
+
+/**
+ * @route   POST /api/sms/delivery/:provider/:token
+ * @desc    Delivery report callback (africastalking, twilio or outbox)
+ *          The token segment must match SMS_CALLBACK_TOKEN when it is set
+ * @access  Public (secret URL token; Twilio reports must also be signed)
+ */
+router.post('/delivery/:provider{/:token}', verifySmsCallbackSource, smsDeliveryReport);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listStaff,
+  inviteStaff,
+  activateStaff,
+  updateStaffRole,
+  removeStaff,
+} = require('../controllers/staffController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/staff/activate
+ * @desc    Accept a staff invitation with the SMS invite code and set a PIN
+ * @access  Public
+ */
+router.post('/activate', activateStaff);
+
+/**
+ * @route   GET /api/staff
+ * @desc    List staff members of the business
+ * @access  Protected (owner)
+ */
+router.get('/', authenticateToken, requirePermission('staff:manage'), listStaff);
+
+/**
+ * @route   POST /api/staff
+ * @desc    Invite a staff member (cashier or viewer) by phone number
+ * @access  Protected (owner)
+ */
+router.post('/', authenticateToken, requirePermission('staff:manage'), inviteStaff);
+
+/**
+ * @route   PUT /api/staff/:id
+ * @desc    Change a staff member's role
+ * @access  Protected (owner)
+ */
+router.put('/:id', authenticateToken, requirePermission('staff:manage'), updateStaffRole);
+
+/**
+ * @route   DELETE /api/staff/:id
+ * @desc    Remove a staff member and revoke their sessions
+ * @access  Protected (owner)
+ */
+router.delete('/:id', authenticateToken, requirePermission('staff:manage'), removeStaff);
+
+module.exports = router;
@@ -1,21 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isSecondaryDevice, requireEntitlement } = require('../middleware/entitlements');
+const { parseReportRange, collectReportRows } = require('../services/reportService');
+const {
+  MAX_SYNC_BATCH,
+  syncTransactions,
+  parseSyncCursor,
+  getSyncTables,
+  getChangesSince,
+} = require('../services/syncService');
+const { processMpesaSms } = require('../services/mpesaSmsService');
+const { toCSV } = require('../utils/csv');
+
+// Raw SMS accepted per POST /api/sync/sms
+const MAX_SMS_PER_SYNC = 100;
 
 /**
  * POST /api/sync/sales-summary
  * Save sales summary (totals) to cloud
+ * The business comes from the token; a phoneNumber sent by older apps is ignored
  */
-router.post('/sync/sales-summary', async (req, res) => {
+router.post('/sync/sales-summary', authenticateToken, requirePermission('sales:write'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
-    const { phoneNumber, salesSummary } = req.body;
+    const { salesSummary } = req.body;
+    const userId = req.user.businessId;
 
     // Validation
-    if (!phoneNumber || !salesSummary) {
+    if (!salesSummary) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid request: phoneNumber and salesSummary required',
+        message: 'Invalid request: salesSummary required',
       });
     }
 
@@ -28,28 +44,13 @@ router.post('/sync/sales-summary', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      console.error('❌ User not found:', phoneNumber);
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
-    console.log(`📥 Saving sales summary for user ${userData.id}`);
+    console.log(`📥 Saving sales summary for user ${userId}`);
 
     // Upsert sales summary
     const { data, error } = await supabase
       .from('sales_summary')
       .upsert([{
-        user_id: userData.id,
+        user_id: userId,
         todays_total: salesSummary.todaysTotal,
         total_sales: salesSummary.totalSales,
         cash_sales: salesSummary.cashSales,
@@ -86,16 +87,19 @@ router.post('/sync/sales-summary', async (req, res) => {
 /**
  * POST /api/sync/transaction
  * Save a single transaction (from M-Pesa notification)
+ * The business comes from the token; a phoneNumber sent by older apps is ignored
+ * Goes through the same checks as POST /api/sync
  */
-router.post('/sync/transaction', async (req, res) => {
+router.post('/sync/transaction', authenticateToken, requirePermission('sales:write'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
-    const { phoneNumber, transaction } = req.body;
+    const { transaction } = req.body;
+    const userId = req.user.businessId;
 
     // Validation
-    if (!phoneNumber || !transaction) {
+    if (!transaction || typeof transaction !== 'object') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid request: phoneNumber and transaction required',
+        message: 'Invalid request: transaction required',
       });
     }
 
@@ -108,74 +112,40 @@ router.post('/sync/transaction', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
-
-    if (userError || !userData) {
-      console.error('❌ User not found:', phoneNumber);
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
+    console.log(`📥 Saving transaction for user ${userId}`);
+
+    // Older apps send camelCase fields and may leave out the timestamp
+    const [result] = await syncTransactions(userId, [{
+      id: transaction.id,
+      amount: transaction.amount,
+      timestamp: transaction.timestamp ?? new Date().toISOString(),
+      payment_method: transaction.type || 'mpesa',
+      transaction_code: transaction.transactionCode || null,
+      sender_name: transaction.senderName,
+      phone_number: transaction.phoneNumber,
+    }]);
+
+    if (result.status === 'duplicate') {
+      console.log('ℹ️ Transaction already exists:', result.existingId || transaction.id);
+      return res.status(200).json({
+        success: true,
+        message: 'Transaction already exists',
+        ...(result.existingId && { existingId: result.existingId }),
       });
     }
 
-    console.log(`📥 Saving transaction for user ${userData.id}`);
-
-    // Parse timestamp safely
-    let timestampISO;
-    try {
-      if (transaction.timestamp) {
-        timestampISO = new Date(transaction.timestamp).toISOString();
-      } else {
-        timestampISO = new Date().toISOString();
-      }
-    } catch (err) {
-      console.error('❌ Invalid timestamp:', transaction.timestamp);
-      timestampISO = new Date().toISOString();
-    }
-
-    // Insert transaction
-    const { data, error } = await supabase
-      .from('transactions')
-      .insert([{
-        id: transaction.id,
-        user_id: userData.id,
-        amount: transaction.amount,
-        sender_name: transaction.senderName,
-        transaction_code: transaction.transactionCode || null,
-        phone_number: transaction.phoneNumber,
-        timestamp: timestampISO,
-        payment_method: transaction.type || 'mpesa',
-        category: 'sales',
-      }])
-      .select();
-
-    if (error) {
-      // If duplicate key, ignore (transaction already exists)
-      if (error.code === '23505') {
-        console.log('ℹ️ Transaction already exists:', transaction.id);
-        return res.status(200).json({
-          success: true,
-          message: 'Transaction already exists',
-        });
-      }
-      
-      console.error('❌ Error inserting transaction:', JSON.stringify(error, null, 2));
-      return res.status(500).json({
+    if (result.status === 'rejected') {
+      console.warn(`⚠️ Rejected transaction for user ${userId}: ${result.reason}`);
+      return res.status(400).json({
         success: false,
-        message: 'Failed to save transaction',
-        error: error.message,
+        message: result.reason,
       });
     }
 
     console.log('✅ Transaction saved successfully');
     res.status(201).json({
       success: true,
-      data: data[0],
+      data: { id: result.id },
     });
 
   } catch (error) {
@@ -191,8 +161,11 @@ router.post('/sync/transaction', async (req, res) => {
  * POST /api/sync
  * Sync transactions from mobile device to Supabase
  * Requires authentication - each user's transactions are isolated
+ * Syncing from more than one device needs a plan with multi-device sync
+ * Each transaction is validated on its own; results lists every id as
+ * accepted, duplicate or rejected (with a reason) so the app retries only what failed
  */
-router.post('/sync', authenticateToken, async (req, res) => {
+router.post('/sync', authenticateToken, requirePermission('sales:write'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
     const { transactions } = req.body;
     const userId = req.user.userId; // Get from authenticated token
@@ -205,6 +178,13 @@ router.post('/sync', authenticateToken, async (req, res) => {
       });
     }
 
+    if (transactions.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid request: at most ${MAX_SYNC_BATCH} transactions per sync`,
+      });
+    }
+
     if (transactions.length === 0) {
       return res.status(200).json({
         success: true,
@@ -224,45 +204,25 @@ router.post('/sync', authenticateToken, async (req, res) => {
 
     console.log(`📥 Received ${transactions.length} transactions to sync for user ${userId}`);
 
-    // Prepare transactions for upsert - add user_id for multi-tenancy
-    const transactionsToUpsert = transactions.map(t => ({
-      id: t.id,
-      user_id: userId, // Associate with authenticated user - MULTI-TENANCY
-      amount: t.amount,
-      category: t.category,
-      payment_method: t.payment_method,
-      created_at: t.created_at,
-      sender_name: t.sender_name || null,
-      mpesa_code: t.mpesa_code || null,
-      phone_number: t.phone_number || null,
-      note: t.note || null,
-      synced_at: new Date().toISOString(),
-    }));
-
-    // Upsert to Supabase (using id as conflict resolution)
-    const { data, error} = await supabase
-      .from('transactions')
-      .upsert(transactionsToUpsert, {
-        onConflict: 'id',
-        ignoreDuplicates: false,
-      });
+    const results = await syncTransactions(userId, transactions);
+    const count = (status) => results.filter(result => result.status === status).length;
+    const acceptedCount = count('accepted');
+    const duplicateCount = count('duplicate');
+    const rejectedCount = count('rejected');
 
-    if (error) {
-      console.error('❌ Supabase error:', error);
-      return res.status(500).json({
-        success: false,
-        message: error.message || 'Database error',
-        error: error,
-      });
+    if (rejectedCount) {
+      console.warn(`⚠️ Rejected ${rejectedCount} of ${transactions.length} transactions for user ${userId}`);
     }
-
-    console.log(`✅ Successfully synced ${transactions.length} transactions for user ${userId}`);
+    console.log(`✅ Synced ${acceptedCount} transactions for user ${userId} (${duplicateCount} duplicates)`);
 
     return res.status(200).json({
       success: true,
-      syncedCount: transactions.length,
-      message: 'Sync successful',
-      data: data,
+      syncedCount: acceptedCount,
+      acceptedCount,
+      duplicateCount,
+      rejectedCount,
+      message: rejectedCount ? `${rejectedCount} transactions rejected` : 'Sync successful',
+      results,
     });
   } catch (error) {
     console.error('❌ Sync error:', error);
@@ -274,17 +234,33 @@ router.post('/sync', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/sync/transactions/:phoneNumber
- * Get transactions for a user by phone number (for initial sync after login)
+ * POST /api/sync/sms
+ * Parse raw M-Pesa confirmation SMS on the server; money received is saved as sales
+ * Body: { messages: [{ body, receivedAt? }] } (or an array of SMS texts)
+ * Messages the parser cannot read are quarantined for review
  */
-router.get('/sync/transactions/:phoneNumber', async (req, res) => {
+router.post('/sync/sms', authenticateToken, requirePermission('sales:write'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
   try {
-    const { phoneNumber } = req.params;
+    const { messages } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_SMS_PER_SYNC) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid request: messages array of 1 to ${MAX_SMS_PER_SYNC} SMS required`,
+      });
+    }
+
+    const smsMessages = messages.map(message => (typeof message === 'string' ? { body: message } : message || {}));
 
-    if (!phoneNumber) {
+    const invalidIndex = smsMessages.findIndex(({ body, receivedAt }) => (
+      typeof body !== 'string' || !body.trim() || body.length > 1000
+      || (receivedAt !== undefined && isNaN(Date.parse(receivedAt)))
+    ));
+
+    if (invalidIndex !== -1) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number required',
+        message: `Invalid message at index ${invalidIndex}: body must be the SMS text and receivedAt an ISO date`,
       });
     }
 
@@ -295,27 +271,58 @@ router.get('/sync/transactions/:phoneNumber', async (req, res) => {
       });
     }
 
-    // Get user by phone number
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('phone_number', phoneNumber)
-      .single();
+    const results = [];
 
-    if (userError || !userData) {
-      console.log('ℹ️ User not found:', phoneNumber);
-      return res.status(200).json({
-        success: true,
-        transactions: [],
-        count: 0,
+    for (const [index, { body, receivedAt }] of smsMessages.entries()) {
+      const result = await processMpesaSms(req.user.businessId, {
+        body,
+        receivedAt: receivedAt ? new Date(receivedAt).toISOString() : null,
       });
+
+      results.push({ index, ...result });
     }
 
-    // Get transactions for this user
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    console.log(`📥 Parsed ${results.length} SMS for user ${req.user.businessId}: ${count('recorded')} recorded, ${count('quarantined')} quarantined`);
+
+    return res.status(200).json({
+      success: true,
+      recordedCount: count('recorded'),
+      quarantinedCount: count('quarantined'),
+      results,
+    });
+  } catch (error) {
+    console.error('❌ SMS sync error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/sync/transactions/:phoneNumber
+ * Get the business's transactions (for initial sync after login)
+ * The business comes from the token; the phone number in the path is kept for
+ * older apps and ignored
+ */
+router.get('/sync/transactions/:phoneNumber', authenticateToken, requirePermission('sales:read'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
+  try {
+    const userId = req.user.businessId;
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    // Get transactions for this business
     const { data, error } = await supabase
       .from('transactions')
       .select('*')
-      .eq('user_id', userData.id)
+      .eq('user_id', userId)
       .order('timestamp', { ascending: false });
 
     if (error) {
@@ -326,7 +333,7 @@ router.get('/sync/transactions/:phoneNumber', async (req, res) => {
       });
     }
 
-    console.log(`✅ Fetched ${data.length} transactions for user ${phoneNumber}`);
+    console.log(`✅ Fetched ${data.length} transactions for user ${userId}`);
 
     return res.status(200).json({
       success: true,
@@ -342,12 +349,58 @@ router.get('/sync/transactions/:phoneNumber', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sync/changes
+ * Inserts, updates and deletes since a cursor, for every merchant table the role can read
+ * Query params: cursor (nextCursor from the previous page; omit for a full download), limit
+ * Pulling on more than one device needs a plan with multi-device sync
+ */
+router.get('/sync/changes', authenticateToken, requirePermission('sales:read'), requireEntitlement('multiDeviceSync', { appliesTo: isSecondaryDevice }), async (req, res) => {
+  try {
+    const cursor = parseSyncCursor(req.query.cursor);
+
+    if (cursor === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not configured',
+      });
+    }
+
+    const { changes, nextCursor, hasMore } = await getChangesSince(req.user.businessId, {
+      cursor,
+      tables: getSyncTables(req.user.role),
+      limit: parseInt(req.query.limit) || undefined,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: changes.length,
+      changes,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sync changes:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
 /**
  * GET /api/transactions
  * Get transactions for authenticated user only - MULTI-TENANCY
  * Optional query params: limit, offset
  */
-router.get('/transactions', authenticateToken, async (req, res) => {
+router.get('/transactions', authenticateToken, requirePermission('sales:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
@@ -389,11 +442,39 @@ router.get('/transactions', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transactions/export
+ * Sales report as CSV (plans with report exports)
+ * Optional query params: from, to (ISO dates, filter on created_at)
+ */
+router.get('/transactions/export', authenticateToken, requirePermission('sales:read'), requireEntitlement('reportExports'), async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date',
+      });
+    }
+
+    const rows = await collectReportRows('transactions', req.user.businessId, range);
+
+    res.attachment(`confirmed-sales-${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.status(200).send(toCSV(rows));
+  } catch (error) {
+    console.error('❌ Error exporting transactions report:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+    });
+  }
+});
+
 /**
  * GET /api/transactions/stats
  * Get statistics for authenticated user only - MULTI-TENANCY
  */
-router.get('/transactions/stats', authenticateToken, async (req, res) => {
+router.get('/transactions/stats', authenticateToken, requirePermission('sales:read'), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({
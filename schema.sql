@@ -7,18 +7,23 @@ CREATE TABLE IF NOT EXISTS users (
   business_name TEXT NOT NULL,
   phone_number TEXT UNIQUE NOT NULL,
   pin TEXT NOT NULL,
-  subscription_status TEXT DEFAULT 'trial' CHECK (subscription_status IN ('trial', 'basic', 'premium')),
+  -- 'trial', 'expired' or the code of a plan in the plans table
+  subscription_status TEXT DEFAULT 'trial' CHECK (subscription_status ~ '^[a-z][a-z0-9_]*$'),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_login TIMESTAMP WITH TIME ZONE,
   is_verified BOOLEAN DEFAULT false,
-  CONSTRAINT phone_format CHECK (phone_number ~ '^(254|0)[17]\d{8}$')
+  -- Set by DELETE /api/auth/account; the row is deleted once deletion_scheduled_for passes
+  deletion_requested_at TIMESTAMP WITH TIME ZONE,
+  deletion_scheduled_for TIMESTAMP WITH TIME ZONE,
+  -- Phone numbers are stored as 254XXXXXXXXX (see utils/phone.js)
+  CONSTRAINT phone_format CHECK (phone_number ~ '^254[17]\d{8}$')
 );
 
 -- 1b. Create OTP Table (for login only)
 CREATE TABLE IF NOT EXISTS otp_codes (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   phone_number TEXT NOT NULL,
-  otp_code TEXT NOT NULL,
+  otp_hash TEXT NOT NULL, -- HMAC of the code (see otpService.hashOTP), never the code itself
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   verified BOOLEAN DEFAULT false,
@@ -29,6 +34,97 @@ CREATE TABLE IF NOT EXISTS otp_codes (
 CREATE INDEX IF NOT EXISTS idx_otp_phone ON otp_codes(phone_number, verified);
 CREATE INDEX IF NOT EXISTS idx_otp_expires ON otp_codes(expires_at);
 
+-- 1c. Create Staff Members Table (cashier/viewer logins for a business)
+CREATE TABLE IF NOT EXISTS staff_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  phone_number TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('cashier', 'viewer')),
+  status TEXT DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'removed')),
+  pin TEXT,
+  invite_code_hash TEXT,
+  invite_expires_at TIMESTAMP WITH TIME ZONE,
+  invite_attempts INTEGER DEFAULT 0,
+  invited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  activated_at TIMESTAMP WITH TIME ZONE,
+  last_login TIMESTAMP WITH TIME ZONE
+);
+
+-- 1d. Create Sessions Table (refresh tokens, one row per login)
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  staff_id UUID REFERENCES staff_members(id) ON DELETE CASCADE,
+  device_id TEXT,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 1e. Create Devices Table (trusted devices; unknown devices need an OTP)
+CREATE TABLE IF NOT EXISTS devices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  staff_id UUID REFERENCES staff_members(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  device_name TEXT,
+  user_agent TEXT,
+  last_ip TEXT,
+  trusted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, staff_id, device_id)
+);
+
+-- 1f. Create Login Attempts Table (PIN and admin login lockout and security review)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number TEXT NOT NULL, -- 'admin:<email>' for admin console logins
+  ip_address TEXT,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 1g. Create SMS Messages Table (every outgoing SMS and its delivery status)
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  phone_number TEXT NOT NULL,
+  message TEXT NOT NULL,
+  category TEXT DEFAULT 'general' CHECK (category IN ('otp', 'payment', 'reminder', 'alert', 'general')),
+  provider TEXT NOT NULL,
+  provider_message_id TEXT,
+  status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'delivered', 'failed')),
+  failure_reason TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 1h. Create Payment Requests Table (amount-bound links and QR codes customers pay with STK push)
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  code TEXT UNIQUE NOT NULL, -- short code in the /pay/<code> link
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  description TEXT,
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'paid', 'cancelled')), -- open past expires_at = expired
+  mpesa_receipt_number TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- 2. Create Transactions Table
 CREATE TABLE IF NOT EXISTS transactions (
   id TEXT PRIMARY KEY,
@@ -41,6 +137,10 @@ CREATE TABLE IF NOT EXISTS transactions (
   phone_number TEXT,
   timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
   note TEXT,
+  -- app: synced from the phone; c2b: recorded from a Daraja C2B confirmation;
+  -- payment_request: paid through a payment link or QR code; sms: parsed from a raw M-Pesa SMS on the server
+  source TEXT DEFAULT 'app' CHECK (source IN ('app', 'c2b', 'payment_request', 'sms')),
+  payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL,
   synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -55,13 +155,46 @@ CREATE TABLE IF NOT EXISTS sales_summary (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 2c. Create Merchant Tills Table (till/paybill numbers whose C2B payments are recorded as sales)
+-- Shared paybills are told apart by account_reference (the customer's account number)
+CREATE TABLE IF NOT EXISTS merchant_tills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  shortcode TEXT NOT NULL,
+  shortcode_type TEXT NOT NULL CHECK (shortcode_type IN ('till', 'paybill')),
+  account_reference TEXT,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'disabled')),
+  stk_shortcode TEXT, -- store number an M-Pesa prompt is sent from, for tills under a store; else shortcode
+  stk_passkey TEXT, -- Lipa na M-Pesa Online passkey; prompts to this till are off until set
+  c2b_registered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (shortcode, account_reference)
+);
+
+-- 2d. Create SMS Quarantine Table (M-Pesa SMS the server parser could not read, for review)
+CREATE TABLE IF NOT EXISTS sms_quarantine (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE, -- when the phone got the SMS
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  reviewed_by UUID, -- admin_users.id (table created below)
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, body)
+);
+
 -- 3. Create Debts Table (for Deni Manager)
 CREATE TABLE IF NOT EXISTS debts (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
   customer_name TEXT NOT NULL,
   amount INTEGER NOT NULL CHECK (amount > 0),
+  amount_paid INTEGER NOT NULL DEFAULT 0 CHECK (amount_paid >= 0), -- via M-Pesa payment requests
   phone_number TEXT,
+  checkout_request_id TEXT, -- latest payment request sent to the customer
+  mpesa_receipt_number TEXT, -- latest M-Pesa payment towards the debt
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   cleared_at TIMESTAMP WITH TIME ZONE,
   status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'cleared'))
@@ -76,7 +209,36 @@ CREATE TABLE IF NOT EXISTS purchases (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 5. Create M-Pesa Transactions Table (for subscription payments)
+-- 4b. Create Plans Table (subscription catalog)
+-- Plans are versioned: repricing retires the current row and adds version + 1,
+-- so each payment keeps the exact terms it bought
+CREATE TABLE IF NOT EXISTS plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL CHECK (code ~ '^[a-z][a-z0-9_]*$' AND code NOT IN ('trial', 'expired')),
+  version INTEGER NOT NULL DEFAULT 1,
+  name TEXT NOT NULL,
+  price INTEGER NOT NULL CHECK (price > 0), -- KES per billing period
+  billing_period_days INTEGER NOT NULL CHECK (billing_period_days > 0),
+  trial_days INTEGER NOT NULL DEFAULT 0 CHECK (trial_days >= 0),
+  entitlements JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  retired_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (code, version)
+);
+
+-- Only one version of each plan is on sale at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plans_active_code ON plans(code) WHERE status = 'active';
+
+-- Launch plans
+-- Entitlements override FREE_ENTITLEMENTS in config/plans.js (null = unlimited)
+INSERT INTO plans (code, version, name, price, billing_period_days, entitlements)
+VALUES
+  ('basic', 1, 'Basic', 30, 30, '{"maxPendingDebts": null, "multiDeviceSync": true, "reportExports": false}'),
+  ('premium', 1, 'Premium', 50, 30, '{"maxPendingDebts": null, "multiDeviceSync": true, "reportExports": true}')
+ON CONFLICT (code, version) DO NOTHING;
+
+-- 5. Create M-Pesa Transactions Table (subscription payments, debt payment requests and payment links)
 CREATE TABLE IF NOT EXISTS mpesa_transactions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -85,54 +247,344 @@ CREATE TABLE IF NOT EXISTS mpesa_transactions (
   phone_number TEXT NOT NULL,
   amount INTEGER NOT NULL CHECK (amount > 0),
   account_reference TEXT,
+  plan_id UUID REFERENCES plans(id), -- plan version this payment bought
+  purpose TEXT NOT NULL DEFAULT 'subscription' CHECK (purpose IN ('subscription', 'debt', 'payment_request')),
+  debt_id UUID REFERENCES debts(id) ON DELETE SET NULL, -- debt this payment is towards
+  payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL, -- payment request this pays
+  till_id UUID REFERENCES merchant_tills(id) ON DELETE SET NULL, -- merchant till the prompt paid into; platform paybill when null
+  client_ip TEXT, -- who asked for the prompt, for public payment pages
   transaction_desc TEXT,
-  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'flagged')),
   mpesa_receipt_number TEXT,
   transaction_date TEXT,
   result_desc TEXT,
+  last_queried_at TIMESTAMP WITH TIME ZONE, -- last STK Push Query for a missing callback
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 5a. Create Payment Anomalies Table (callbacks that failed verification, for admin review)
+CREATE TABLE IF NOT EXISTS payment_anomalies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reason TEXT NOT NULL CHECK (reason IN (
+    'unknown_checkout', 'not_pending', 'amount_mismatch', 'phone_mismatch',
+    'duplicate_receipt', 'invalid_callback_token', 'ip_not_allowed'
+  )),
+  mpesa_transaction_id UUID REFERENCES mpesa_transactions(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  checkout_request_id TEXT,
+  expected JSONB,
+  received JSONB,
+  source_ip TEXT,
+  payload JSONB,
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  reviewed_by UUID, -- admin_users.id (table created below)
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5b. Create Subscriptions Table (one row per paying user, current period)
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  plan TEXT NOT NULL, -- plans.code
+  plan_id UUID REFERENCES plans(id), -- version of the last payment
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'grace', 'expired')),
+  current_period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  current_period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+  grace_ends_at TIMESTAMP WITH TIME ZONE,
+  last_reminder_days INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5c. Create Subscription Events Table (status history)
+CREATE TABLE IF NOT EXISTS subscription_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID REFERENCES subscriptions(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('activated', 'renewed', 'reminder_sent', 'grace_started', 'expired', 'refunded')),
+  from_status TEXT,
+  to_status TEXT,
+  plan TEXT,
+  period_end TIMESTAMP WITH TIME ZONE,
+  mpesa_transaction_id UUID REFERENCES mpesa_transactions(id) ON DELETE SET NULL,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5d. Create Admin Users Table (replaces the shared x-admin-key)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN DEFAULT true,
+  last_login TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5e. Create Admin Audit Log Table (who did what, when)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  admin_email TEXT,
+  action TEXT NOT NULL,
+  method TEXT,
+  path TEXT,
+  params JSONB,
+  metadata JSONB,
+  status_code INTEGER,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5f. Create Refunds Table (money returned for subscription payments)
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  mpesa_transaction_id UUID NOT NULL REFERENCES mpesa_transactions(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  method TEXT NOT NULL CHECK (method IN ('reversal', 'b2c')),
+  reason TEXT NOT NULL,
+  -- unknown: the request to M-Pesa timed out, so it may have been paid; resolved by an admin
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'unknown')),
+  conversation_id TEXT, -- Daraja ConversationID, matches the result callback
+  originator_conversation_id TEXT,
+  refund_receipt_number TEXT,
+  result_code INTEGER,
+  result_desc TEXT,
+  requested_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 5g. Create Change Log Table (delta sync; filled by the triggers in 9b)
+-- One row per merchant record: each change moves it to the end of the log with a new seq,
+-- so a device only ever pulls a record's latest state. Deletes stay as tombstones.
+CREATE SEQUENCE IF NOT EXISTS change_log_seq;
+
+CREATE TABLE IF NOT EXISTS change_log (
+  seq BIGINT NOT NULL DEFAULT nextval('change_log_seq'),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  table_name TEXT NOT NULL CHECK (table_name IN ('transactions', 'debts', 'purchases', 'sales_summary')),
+  record_id TEXT NOT NULL, -- sales_summary rows are keyed by user_id
+  operation TEXT NOT NULL CHECK (operation IN ('upsert', 'delete')),
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (table_name, record_id)
+);
+
+-- 5h. Upgrade Databases Created From an Earlier Version of This File
+-- CREATE TABLE IF NOT EXISTS leaves existing tables as they were, so columns and
+-- CHECKs added since are applied here. Every statement is safe to run again.
+-- Only structure changes belong here; rewriting existing rows is left to the
+-- one-off scripts in scripts/, which report before they change anything.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_subscription_status_check;
+ALTER TABLE users ADD CONSTRAINT users_subscription_status_check CHECK (subscription_status ~ '^[a-z][a-z0-9_]*$');
+
+-- NOT VALID: 07XXXXXXXX numbers already stored are converted by scripts/normalize-phone-numbers.js
+ALTER TABLE users DROP CONSTRAINT IF EXISTS phone_format;
+ALTER TABLE users ADD CONSTRAINT phone_format CHECK (phone_number ~ '^254[17]\d{8}$') NOT VALID;
+
+-- Codes were stored in the clear; outstanding ones stop working and can be requested again
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS otp_hash TEXT;
+ALTER TABLE otp_codes DROP COLUMN IF EXISTS otp_code;
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS staff_id UUID REFERENCES staff_members(id) ON DELETE CASCADE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS device_id TEXT;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'app';
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_source_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_source_check CHECK (source IN ('app', 'c2b', 'payment_request', 'sms'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL;
+
+ALTER TABLE merchant_tills ADD COLUMN IF NOT EXISTS stk_shortcode TEXT;
+ALTER TABLE merchant_tills ADD COLUMN IF NOT EXISTS stk_passkey TEXT;
+
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS amount_paid INTEGER NOT NULL DEFAULT 0 CHECK (amount_paid >= 0);
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS checkout_request_id TEXT;
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS mpesa_receipt_number TEXT;
+
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES plans(id);
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'subscription';
+ALTER TABLE mpesa_transactions DROP CONSTRAINT IF EXISTS mpesa_transactions_purpose_check;
+ALTER TABLE mpesa_transactions ADD CONSTRAINT mpesa_transactions_purpose_check CHECK (purpose IN ('subscription', 'debt', 'payment_request'));
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS debt_id UUID REFERENCES debts(id) ON DELETE SET NULL;
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL;
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS till_id UUID REFERENCES merchant_tills(id) ON DELETE SET NULL;
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS client_ip TEXT;
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS last_queried_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE mpesa_transactions DROP CONSTRAINT IF EXISTS mpesa_transactions_status_check;
+ALTER TABLE mpesa_transactions ADD CONSTRAINT mpesa_transactions_status_check CHECK (status IN ('pending', 'completed', 'failed', 'flagged'));
+
+-- Plans were a fixed list before the plans table
+ALTER TABLE subscriptions DROP CONSTRAINT IF EXISTS subscriptions_plan_check;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES plans(id);
+ALTER TABLE subscription_events DROP CONSTRAINT IF EXISTS subscription_events_event_type_check;
+ALTER TABLE subscription_events ADD CONSTRAINT subscription_events_event_type_check
+  CHECK (event_type IN ('activated', 'renewed', 'reminder_sent', 'grace_started', 'expired', 'refunded'));
+
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_status_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_status_check CHECK (status IN ('pending', 'completed', 'failed', 'unknown'));
+
 -- 6. Create Indexes for Performance
 CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone_number);
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_transactions_payment_method ON transactions(payment_method);
+-- A sale synced from the phone and its C2B confirmation share a transaction code
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_code_unique ON transactions(user_id, transaction_code) WHERE transaction_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_merchant_tills_user_id ON merchant_tills(user_id);
+CREATE INDEX IF NOT EXISTS idx_sms_quarantine_status ON sms_quarantine(status, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_debts_user_id ON debts(user_id);
 CREATE INDEX IF NOT EXISTS idx_debts_status ON debts(status);
 CREATE INDEX IF NOT EXISTS idx_purchases_user_id ON purchases(user_id);
 CREATE INDEX IF NOT EXISTS idx_mpesa_checkout_request ON mpesa_transactions(checkout_request_id);
 CREATE INDEX IF NOT EXISTS idx_mpesa_status ON mpesa_transactions(status);
 CREATE INDEX IF NOT EXISTS idx_mpesa_user_id ON mpesa_transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_mpesa_pending ON mpesa_transactions(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_mpesa_debt_id ON mpesa_transactions(debt_id) WHERE debt_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_mpesa_payment_request_id ON mpesa_transactions(payment_request_id) WHERE payment_request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_mpesa_client_ip ON mpesa_transactions(client_ip, created_at) WHERE client_ip IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_requests_user_id ON payment_requests(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_staff_business_id ON staff_members(business_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id, staff_id);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_phone ON login_attempts(phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC);
+-- A receipt can only pay for one transaction
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mpesa_receipt_unique ON mpesa_transactions(mpesa_receipt_number) WHERE mpesa_receipt_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_anomalies_status ON payment_anomalies(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_refunds_transaction ON refunds(mpesa_transaction_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_conversation ON refunds(conversation_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_change_log_user_seq ON change_log(user_id, seq);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status_end ON subscriptions(status, current_period_end);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_user ON subscription_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created_at ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_admin_id ON admin_audit_log(admin_id);
+CREATE INDEX IF NOT EXISTS idx_sms_provider_message ON sms_messages(provider, provider_message_id);
+CREATE INDEX IF NOT EXISTS idx_sms_user_id ON sms_messages(user_id);
 -- 7. Enable Row Level Security (RLS) - But allow service role full access
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE otp_codes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE merchant_tills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_quarantine ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE debts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE purchases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE mpesa_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_anomalies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE change_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
 
 -- 8. Create RLS Policies - Allow service role (our backend) full access
 -- This allows our backend with the service key to manage all data
+DROP POLICY IF EXISTS "Service role has full access to users" ON users;
 CREATE POLICY "Service role has full access to users" ON users
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to otp_codes" ON otp_codes;
 CREATE POLICY "Service role has full access to otp_codes" ON otp_codes
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to transactions" ON transactions;
 CREATE POLICY "Service role has full access to transactions" ON transactions
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to merchant_tills" ON merchant_tills;
+CREATE POLICY "Service role has full access to merchant_tills" ON merchant_tills
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to sms_quarantine" ON sms_quarantine;
+CREATE POLICY "Service role has full access to sms_quarantine" ON sms_quarantine
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to payment_requests" ON payment_requests;
+CREATE POLICY "Service role has full access to payment_requests" ON payment_requests
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to debts" ON debts;
 CREATE POLICY "Service role has full access to debts" ON debts
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to purchases" ON purchases;
 CREATE POLICY "Service role has full access to purchases" ON purchases
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to mpesa_transactions" ON mpesa_transactions;
 CREATE POLICY "Service role has full access to mpesa_transactions" ON mpesa_transactions
   FOR ALL USING (true);
 
+DROP POLICY IF EXISTS "Service role has full access to plans" ON plans;
+CREATE POLICY "Service role has full access to plans" ON plans
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to staff_members" ON staff_members;
+CREATE POLICY "Service role has full access to staff_members" ON staff_members
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to sessions" ON sessions;
+CREATE POLICY "Service role has full access to sessions" ON sessions
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to devices" ON devices;
+CREATE POLICY "Service role has full access to devices" ON devices
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to login_attempts" ON login_attempts;
+CREATE POLICY "Service role has full access to login_attempts" ON login_attempts
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to sms_messages" ON sms_messages;
+CREATE POLICY "Service role has full access to sms_messages" ON sms_messages
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to payment_anomalies" ON payment_anomalies;
+CREATE POLICY "Service role has full access to payment_anomalies" ON payment_anomalies
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to refunds" ON refunds;
+CREATE POLICY "Service role has full access to refunds" ON refunds
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to change_log" ON change_log;
+CREATE POLICY "Service role has full access to change_log" ON change_log
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to subscriptions" ON subscriptions;
+CREATE POLICY "Service role has full access to subscriptions" ON subscriptions
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to subscription_events" ON subscription_events;
+CREATE POLICY "Service role has full access to subscription_events" ON subscription_events
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to admin_users" ON admin_users;
+CREATE POLICY "Service role has full access to admin_users" ON admin_users
+  FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role has full access to admin_audit_log" ON admin_audit_log;
+CREATE POLICY "Service role has full access to admin_audit_log" ON admin_audit_log
+  FOR ALL USING (true);
+
 -- 8. Create Views for Quick Stats
 CREATE OR REPLACE VIEW user_stats AS
 SELECT 
@@ -146,6 +598,10 @@ SELECT
   COUNT(DISTINCT d.id) as total_debts,
   COALESCE(SUM(CASE WHEN d.status = 'pending' THEN d.amount ELSE 0 END), 0) as pending_debt_amount
 FROM users u
+LEFT JOIN transactions t ON t.user_id = u.id
+LEFT JOIN debts d ON d.user_id = u.id
+GROUP BY u.id, u.business_name, u.subscription_status;
+
 -- 9. Create Functions
 -- Function to clean old trial users
 CREATE OR REPLACE FUNCTION cleanup_expired_trials()
@@ -158,6 +614,16 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to clean old login attempts (run periodically)
+CREATE OR REPLACE FUNCTION cleanup_old_login_attempts()
+RETURNS void AS $$
+BEGIN
+  -- Lockouts only look at the last 24 hours; keep 90 days for review
+  DELETE FROM login_attempts
+  WHERE created_at < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to clean expired OTP codes (run periodically)
 CREATE OR REPLACE FUNCTION cleanup_expired_otps()
 RETURNS void AS $$
@@ -167,11 +633,89 @@ BEGIN
   WHERE created_at < NOW() - INTERVAL '24 hours';
 END;
 $$ LANGUAGE plpgsql;
-  WHERE subscription_status = 'trial' 
-    AND created_at < NOW() - INTERVAL '40 days';
+
+-- 9b. Change Log Triggers (delta sync, GET /api/sync/changes)
+CREATE OR REPLACE FUNCTION log_merchant_change()
+RETURNS trigger AS $$
+DECLARE
+  row_data JSONB := CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END;
+  owner_id UUID := (row_data ->> 'user_id')::UUID;
+BEGIN
+  -- Rows removed with their account need no tombstone
+  IF owner_id IS NULL OR NOT EXISTS (SELECT 1 FROM users WHERE id = owner_id) THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO change_log (user_id, table_name, record_id, operation)
+  VALUES (
+    owner_id,
+    TG_TABLE_NAME,
+    COALESCE(row_data ->> 'id', row_data ->> 'user_id'),
+    CASE WHEN TG_OP = 'DELETE' THEN 'delete' ELSE 'upsert' END
+  )
+  ON CONFLICT (table_name, record_id) DO UPDATE SET
+    seq = nextval('change_log_seq'),
+    user_id = EXCLUDED.user_id,
+    operation = EXCLUDED.operation,
+    changed_at = NOW();
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS transactions_change_log ON transactions;
+CREATE TRIGGER transactions_change_log AFTER INSERT OR UPDATE OR DELETE ON transactions
+  FOR EACH ROW EXECUTE FUNCTION log_merchant_change();
+
+DROP TRIGGER IF EXISTS debts_change_log ON debts;
+CREATE TRIGGER debts_change_log AFTER INSERT OR UPDATE OR DELETE ON debts
+  FOR EACH ROW EXECUTE FUNCTION log_merchant_change();
+
+DROP TRIGGER IF EXISTS purchases_change_log ON purchases;
+CREATE TRIGGER purchases_change_log AFTER INSERT OR UPDATE OR DELETE ON purchases
+  FOR EACH ROW EXECUTE FUNCTION log_merchant_change();
+
+DROP TRIGGER IF EXISTS sales_summary_change_log ON sales_summary;
+CREATE TRIGGER sales_summary_change_log AFTER INSERT OR UPDATE OR DELETE ON sales_summary
+  FOR EACH ROW EXECUTE FUNCTION log_merchant_change();
+
+-- Rows that existed before the triggers
+INSERT INTO change_log (user_id, table_name, record_id, operation)
+SELECT user_id, 'transactions', id, 'upsert' FROM transactions WHERE user_id IS NOT NULL
+UNION ALL SELECT user_id, 'debts', id::TEXT, 'upsert' FROM debts WHERE user_id IS NOT NULL
+UNION ALL SELECT user_id, 'purchases', id::TEXT, 'upsert' FROM purchases WHERE user_id IS NOT NULL
+UNION ALL SELECT user_id, 'sales_summary', user_id::TEXT, 'upsert' FROM sales_summary
+ON CONFLICT (table_name, record_id) DO NOTHING;
+
+-- 9c. Refund Limit
+-- Refunds of a payment that are not failed never add up to more than the payment.
+-- The payment row is locked first, so two refunds started at once cannot both pass.
+CREATE OR REPLACE FUNCTION check_refund_total()
+RETURNS trigger AS $$
+DECLARE
+  paid INTEGER;
+  refunded INTEGER;
+BEGIN
+  SELECT amount INTO paid FROM mpesa_transactions WHERE id = NEW.mpesa_transaction_id FOR UPDATE;
+
+  SELECT COALESCE(SUM(amount), 0) INTO refunded
+  FROM refunds
+  WHERE mpesa_transaction_id = NEW.mpesa_transaction_id
+    AND status IN ('pending', 'unknown', 'completed');
+
+  IF refunded + NEW.amount > paid THEN
+    RAISE EXCEPTION 'Refunds of payment % would exceed KES %', NEW.mpesa_transaction_id, paid
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS refunds_within_payment ON refunds;
+CREATE TRIGGER refunds_within_payment BEFORE INSERT ON refunds
+  FOR EACH ROW EXECUTE FUNCTION check_refund_total();
+
 -- 10. Success Message
 DO $$
 BEGIN
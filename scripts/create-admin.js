@@ -0,0 +1,64 @@
+/**
+ * Create the first admin account (or reset an admin's password)
+ * Usage: ADMIN_PASSWORD='...' node scripts/create-admin.js <email> <name> [scope,scope,...]
+ * Scopes default to all scopes.
+ */
+
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const { ADMIN_SCOPES, areValidScopes } = require('../config/adminScopes');
+
+async function createAdmin() {
+  const [email, name, scopeList] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !name || !password) {
+    console.error("Usage: ADMIN_PASSWORD='...' node scripts/create-admin.js <email> <name> [scope,scope,...]");
+    process.exit(1);
+  }
+
+  if (password.length < 12) {
+    console.error('❌ Password must be at least 12 characters');
+    process.exit(1);
+  }
+
+  if (!supabase) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+
+  const scopes = scopeList ? scopeList.split(',').map(s => s.trim()) : Object.keys(ADMIN_SCOPES);
+
+  if (!areValidScopes(scopes)) {
+    console.error(`❌ Invalid scopes. Valid scopes: ${Object.keys(ADMIN_SCOPES).join(', ')}`);
+    process.exit(1);
+  }
+
+  const { data: admin, error } = await supabase
+    .from('admin_users')
+    .upsert([
+      {
+        email: email.trim().toLowerCase(),
+        name,
+        password_hash: await bcrypt.hash(password, 12),
+        scopes,
+        is_active: true,
+      },
+    ], {
+      onConflict: 'email',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`✅ Admin ready: ${admin.email}`);
+  console.log(`   Scopes: ${admin.scopes.join(', ')}`);
+}
+
+createAdmin();
@@ -0,0 +1,449 @@
+/**
+ * Local Daraja (M-Pesa API) simulator for development and testing
+ * Usage: node scripts/daraja-simulator.js [--port 4000] [--outcome success]
+ *
+ * Point the API at it with MPESA_BASE_URL=http://localhost:4000 and any
+ * MPESA_CONSUMER_KEY / MPESA_CONSUMER_SECRET. It implements OAuth, STK push,
+ * STK query, C2B (register URL, simulate), B2C and transaction reversal, and sends real callbacks
+ * to the URLs in each request.
+ *
+ * Outcomes (what the customer "does"):
+ *   success            - paid; ResultCode 0
+ *   cancelled          - customer dismissed the prompt; ResultCode 1032
+ *   insufficient_funds - ResultCode 1
+ *   timeout            - no callback; STK query says "being processed" until
+ *                        SIMULATOR_TIMEOUT_SECONDS, then ResultCode 1037
+ *   duplicate          - paid, and the same callback is delivered twice
+ *
+ * The default outcome comes from --outcome or SIMULATOR_OUTCOME. Queue the
+ * outcome of upcoming requests with:
+ *   curl -X POST localhost:4000/simulator/outcomes -H 'Content-Type: application/json' \
+ *     -d '{"outcome": "cancelled", "phoneNumber": "254712345678"}'
+ * (phoneNumber is optional; without it the outcome applies to the next request)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const PORT = parseInt(argValue('port') || process.env.SIMULATOR_PORT) || 4000;
+const DEFAULT_OUTCOME = argValue('outcome') || process.env.SIMULATOR_OUTCOME || 'success';
+// Time between a request and its callback (the customer entering their PIN)
+const CALLBACK_DELAY_MS = parseInt(process.env.SIMULATOR_CALLBACK_DELAY_MS) || 2000;
+// How long a timed-out STK push stays "being processed"
+const TIMEOUT_SECONDS = parseInt(process.env.SIMULATOR_TIMEOUT_SECONDS) || 60;
+
+const OUTCOMES = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached', silent: true },
+  duplicate: { resultCode: 0, resultDesc: 'The service request is processed successfully.', deliveries: 2 },
+};
+
+if (!OUTCOMES[DEFAULT_OUTCOME]) {
+  console.error(`❌ Unknown outcome ${DEFAULT_OUTCOME}. Valid outcomes: ${Object.keys(OUTCOMES).join(', ')}`);
+  process.exit(1);
+}
+
+// In-memory state; restarting the simulator forgets everything
+const accessTokens = new Set();
+const queuedOutcomes = [];
+const stkRequests = new Map();
+const c2bUrls = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Receipt numbers look like M-Pesa's: 10 uppercase letters and digits
+ */
+const randomReceipt = () => crypto.randomBytes(8).toString('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 10).toUpperCase().padEnd(10, 'X');
+
+const timestamp = () => new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+
+/**
+ * Take the outcome for a request: the first queued one for this phone,
+ * then the first queued one for anyone, then the default
+ */
+const takeOutcome = (phoneNumber) => {
+  let index = queuedOutcomes.findIndex(entry => entry.phoneNumber && entry.phoneNumber === String(phoneNumber));
+  if (index === -1) {
+    index = queuedOutcomes.findIndex(entry => !entry.phoneNumber);
+  }
+
+  const name = index === -1 ? DEFAULT_OUTCOME : queuedOutcomes.splice(index, 1)[0].outcome;
+  return { name, ...OUTCOMES[name] };
+};
+
+/**
+ * POST a callback to our API, as many times as the outcome asks for
+ */
+const sendCallback = async (url, body, deliveries = 1) => {
+  for (let attempt = 1; attempt <= deliveries; attempt++) {
+    try {
+      const response = await axios.post(url, body, { timeout: 10000 });
+      console.log(`📤 Callback ${attempt}/${deliveries} to ${url}: ${response.status}`);
+    } catch (error) {
+      console.error(`❌ Callback to ${url} failed:`, error.response?.status || error.message);
+    }
+  }
+};
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log(`➡️  ${req.method} ${req.path}`);
+  next();
+});
+
+/**
+ * Daraja rejects API calls without a token from /oauth/v1/generate
+ */
+const requireAccessToken = (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+  if (!accessTokens.has(token)) {
+    return res.status(401).json({
+      requestId: randomId('req'),
+      errorCode: '404.001.03',
+      errorMessage: 'Invalid Access Token',
+    });
+  }
+
+  next();
+};
+
+const badRequest = (res, field) => res.status(400).json({
+  requestId: randomId('req'),
+  errorCode: '400.002.02',
+  errorMessage: `Bad Request - Invalid ${field}`,
+});
+
+/**
+ * OAuth: any consumer key and secret are accepted
+ */
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!(req.headers.authorization || '').startsWith('Basic ')) {
+    return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  accessTokens.add(token);
+
+  res.json({ access_token: token, expires_in: '3599' });
+});
+
+/**
+ * STK push: accept, then call back with the outcome after CALLBACK_DELAY_MS
+ */
+app.post('/mpesa/stkpush/v1/processrequest', requireAccessToken, (req, res) => {
+  const { BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL } = req.body;
+
+  for (const [field, value] of Object.entries({ BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL })) {
+    if (!value) {
+      return badRequest(res, field);
+    }
+  }
+
+  const outcome = takeOutcome(PhoneNumber);
+  const request = {
+    merchantRequestId: randomId('MR'),
+    checkoutRequestId: `ws_CO_${timestamp()}${crypto.randomBytes(4).toString('hex')}`,
+    amount: Math.ceil(Number(Amount)),
+    phoneNumber: Number(PhoneNumber),
+    outcome,
+    createdAt: Date.now(),
+    settled: false,
+  };
+  stkRequests.set(request.checkoutRequestId, request);
+
+  console.log(`📱 STK push ${request.checkoutRequestId}: KES ${request.amount} from ${PhoneNumber} -> ${outcome.name}`);
+
+  res.json({
+    MerchantRequestID: request.merchantRequestId,
+    CheckoutRequestID: request.checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing',
+  });
+
+  if (outcome.silent) {
+    return;
+  }
+
+  setTimeout(() => {
+    request.settled = true;
+
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: outcome.resultCode,
+      ResultDesc: outcome.resultDesc,
+    };
+
+    if (outcome.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: request.amount },
+          { Name: 'MpesaReceiptNumber', Value: randomReceipt() },
+          { Name: 'TransactionDate', Value: Number(timestamp()) },
+          { Name: 'PhoneNumber', Value: request.phoneNumber },
+        ],
+      };
+    }
+
+    sendCallback(CallBackURL, { Body: { stkCallback } }, outcome.deliveries);
+  }, CALLBACK_DELAY_MS);
+});
+
+/**
+ * STK query: "being processed" until the outcome is known
+ */
+app.post('/mpesa/stkpushquery/v1/query', requireAccessToken, (req, res) => {
+  const request = stkRequests.get(req.body.CheckoutRequestID);
+
+  if (!request) {
+    return badRequest(res, 'CheckoutRequestID');
+  }
+
+  const timedOut = request.outcome.silent && Date.now() - request.createdAt >= TIMEOUT_SECONDS * 1000;
+
+  if (!request.settled && !timedOut) {
+    return res.status(500).json({
+      requestId: randomId('req'),
+      errorCode: '500.001.1001',
+      errorMessage: 'The transaction is being processed',
+    });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    MerchantRequestID: request.merchantRequestId,
+    CheckoutRequestID: request.checkoutRequestId,
+    ResultCode: String(request.outcome.resultCode),
+    ResultDesc: request.outcome.resultDesc,
+  });
+});
+
+/**
+ * C2B: register the validation and confirmation URLs for a shortcode
+ */
+app.post('/mpesa/c2b/:version/registerurl', requireAccessToken, (req, res) => {
+  const { ShortCode, ConfirmationURL, ValidationURL, ResponseType } = req.body;
+
+  if (!ShortCode || !ConfirmationURL) {
+    return badRequest(res, ShortCode ? 'ConfirmationURL' : 'ShortCode');
+  }
+
+  c2bUrls.set(String(ShortCode), { ConfirmationURL, ValidationURL, ResponseType: ResponseType || 'Completed' });
+
+  res.json({
+    OriginatorCoversationID: randomId('req'),
+    ResponseCode: '0',
+    ResponseDescription: 'Success',
+  });
+});
+
+/**
+ * C2B: simulate a customer paying to a till or paybill
+ * Calls the validation URL (if registered), then the confirmation URL
+ */
+app.post('/mpesa/c2b/:version/simulate', requireAccessToken, async (req, res) => {
+  const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+  const urls = c2bUrls.get(String(ShortCode));
+
+  if (!urls) {
+    return badRequest(res, 'ShortCode (no URLs registered)');
+  }
+
+  const outcome = takeOutcome(Msisdn);
+
+  res.json({
+    OriginatorCoversationID: randomId('req'),
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.',
+  });
+
+  if (outcome.resultCode !== 0) {
+    console.log(`💸 C2B payment to ${ShortCode} from ${Msisdn} not made (${outcome.name})`);
+    return;
+  }
+
+  const payment = {
+    TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+    TransID: randomReceipt(),
+    TransTime: timestamp(),
+    TransAmount: String(Amount),
+    BusinessShortCode: String(ShortCode),
+    BillRefNumber: BillRefNumber || '',
+    InvoiceNumber: '',
+    OrgAccountBalance: '',
+    ThirdPartyTransID: '',
+    MSISDN: String(Msisdn),
+    FirstName: 'John',
+    MiddleName: '',
+    LastName: 'Doe',
+  };
+
+  setTimeout(async () => {
+    if (urls.ValidationURL) {
+      try {
+        const { data } = await axios.post(urls.ValidationURL, payment, { timeout: 10000 });
+
+        if (data?.ResultCode !== undefined && String(data.ResultCode) !== '0') {
+          console.log(`🚫 C2B payment ${payment.TransID} rejected by validation: ${data.ResultDesc}`);
+          return;
+        }
+      } catch (error) {
+        console.error('❌ C2B validation call failed:', error.response?.status || error.message);
+
+        if (urls.ResponseType === 'Cancelled') {
+          return;
+        }
+      }
+    }
+
+    sendCallback(urls.ConfirmationURL, payment, outcome.deliveries);
+  }, CALLBACK_DELAY_MS);
+});
+
+/**
+ * Accept an asynchronous request (B2C, reversal) and post its result to
+ * ResultURL after CALLBACK_DELAY_MS, or to QueueTimeOutURL for timeouts
+ * @param {function} [resultParameters] - (Result) => ResultParameter list on success
+ */
+const acceptAsyncRequest = (req, res, { label, outcome, resultParameters }) => {
+  const { ResultURL, QueueTimeOutURL } = req.body;
+  const conversationId = randomId('AG');
+  const originatorConversationId = req.body.OriginatorConversationID || randomId('OC');
+
+  console.log(`💸 ${label} ${conversationId} -> ${outcome.name}`);
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: originatorConversationId,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.',
+  });
+
+  setTimeout(() => {
+    // A timed-out request goes to the queue timeout URL instead
+    if (outcome.silent) {
+      if (QueueTimeOutURL) {
+        sendCallback(QueueTimeOutURL, { Result: { ConversationID: conversationId, OriginatorConversationID: originatorConversationId } });
+      }
+      return;
+    }
+
+    const Result = {
+      ResultType: 0,
+      ResultCode: outcome.resultCode,
+      ResultDesc: outcome.resultDesc,
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      TransactionID: randomReceipt(),
+    };
+
+    if (outcome.resultCode === 0 && resultParameters) {
+      Result.ResultParameters = { ResultParameter: resultParameters(Result) };
+    }
+
+    sendCallback(ResultURL, { Result }, outcome.deliveries);
+  }, CALLBACK_DELAY_MS);
+};
+
+/**
+ * B2C: pay a customer; the result goes to ResultURL
+ */
+app.post('/mpesa/b2c/:version/paymentrequest', requireAccessToken, (req, res) => {
+  const { Amount, PartyA, PartyB, ResultURL } = req.body;
+
+  for (const [field, value] of Object.entries({ Amount, PartyA, PartyB, ResultURL })) {
+    if (!value) {
+      return badRequest(res, field);
+    }
+  }
+
+  acceptAsyncRequest(req, res, {
+    label: `B2C KES ${Amount} to ${PartyB}`,
+    outcome: takeOutcome(PartyB),
+    resultParameters: (Result) => [
+      { Key: 'TransactionAmount', Value: Number(Amount) },
+      { Key: 'TransactionReceipt', Value: Result.TransactionID },
+      { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - John Doe` },
+      { Key: 'TransactionCompletedDateTime', Value: new Date().toLocaleString('en-GB') },
+      { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000 },
+      { Key: 'B2CWorkingAccountAvailableFunds', Value: 100000 },
+      { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+      { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0 },
+    ],
+  });
+});
+
+/**
+ * Transaction reversal: return a payment to the customer; the result goes to ResultURL
+ */
+app.post('/mpesa/reversal/:version/request', requireAccessToken, (req, res) => {
+  const { TransactionID, Amount, ReceiverParty, ResultURL } = req.body;
+
+  for (const [field, value] of Object.entries({ TransactionID, Amount, ReceiverParty, ResultURL })) {
+    if (!value) {
+      return badRequest(res, field);
+    }
+  }
+
+  acceptAsyncRequest(req, res, {
+    label: `Reversal of ${TransactionID} (KES ${Amount})`,
+    outcome: takeOutcome(),
+    resultParameters: () => [
+      { Key: 'DebitAccountBalance', Value: 'Utility Account|KES|100000.00' },
+      { Key: 'Amount', Value: Number(Amount) },
+      { Key: 'OriginalTransactionID', Value: TransactionID },
+      { Key: 'TransCompletedTime', Value: Number(timestamp()) },
+    ],
+  });
+});
+
+/**
+ * Simulator control: queue outcomes for upcoming requests
+ * Body: { outcome, phoneNumber? }
+ */
+app.post('/simulator/outcomes', (req, res) => {
+  const { outcome, phoneNumber } = req.body;
+
+  if (!OUTCOMES[outcome]) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown outcome. Valid outcomes: ${Object.keys(OUTCOMES).join(', ')}`,
+    });
+  }
+
+  queuedOutcomes.push({ outcome, phoneNumber: phoneNumber ? String(phoneNumber) : null });
+
+  res.status(201).json({ success: true, queued: queuedOutcomes });
+});
+
+/**
+ * Simulator control: inspect queued outcomes and STK requests
+ */
+app.get('/simulator/state', (req, res) => {
+  res.json({
+    defaultOutcome: DEFAULT_OUTCOME,
+    queued: queuedOutcomes,
+    stkRequests: [...stkRequests.values()].map(({ outcome, ...request }) => ({ ...request, outcome: outcome.name })),
+    c2bShortCodes: [...c2bUrls.keys()],
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Daraja simulator on http://localhost:${PORT} (default outcome: ${DEFAULT_OUTCOME})`);
+  console.log(`   Set MPESA_BASE_URL=http://localhost:${PORT} in the API's .env`);
+});
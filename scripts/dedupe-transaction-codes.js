@@ -0,0 +1,113 @@
+/**
+ * Remove sales recorded more than once under the same M-Pesa transaction code
+ * Usage: node scripts/dedupe-transaction-codes.js [--dry-run]
+ *
+ * Before idx_transactions_code_unique existed, a sale could be synced from the
+ * phone and also recorded from its C2B confirmation (or synced twice). The
+ * index cannot be created while such copies exist, and schema.sql fails on it.
+ * Run with --dry-run first and check the report; the first copy of each code
+ * (oldest created_at, then lowest id) is kept and the others deleted.
+ */
+
+require('dotenv').config();
+
+const supabase = require('../config/supabase');
+
+const PAGE_SIZE = 1000;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Read every sale that has a transaction code, oldest first
+ */
+async function fetchCodedTransactions() {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, user_id, transaction_code, amount, source, created_at')
+      .not('transaction_code', 'is', null)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read transactions: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Group rows by business and code, keeping groups with more than one row
+ * Rows arrive oldest first, so the first of each group is the one kept
+ */
+function findDuplicates(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = `${row.user_id}:${row.transaction_code}`;
+    const group = groups.get(key) || [];
+    group.push(row);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+async function dedupeTransactionCodes() {
+  if (!supabase) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+
+  console.log(`🧾 Looking for duplicate transaction codes${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const duplicates = findDuplicates(await fetchCodedTransactions());
+
+  if (duplicates.length === 0) {
+    console.log('\n✅ No duplicate transaction codes found');
+    return;
+  }
+
+  let deleted = 0;
+
+  for (const [kept, ...copies] of duplicates) {
+    console.log(`   ${kept.transaction_code} (business ${kept.user_id}): keeping ${kept.id} (${kept.source}, KES ${kept.amount})`);
+
+    for (const copy of copies) {
+      const differs = copy.amount !== kept.amount ? ' ⚠️ different amount' : '';
+      console.log(`      ${DRY_RUN ? 'would delete' : 'deleting'} ${copy.id} (${copy.source}, KES ${copy.amount})${differs}`);
+
+      if (DRY_RUN) {
+        continue;
+      }
+
+      const { error } = await supabase
+        .from('transactions')
+        .delete()
+        .eq('id', copy.id)
+        .eq('user_id', copy.user_id);
+
+      if (error) {
+        console.error(`      ❌ ${copy.id}: ${error.message}`);
+      } else {
+        deleted++;
+      }
+    }
+  }
+
+  const copyCount = duplicates.reduce((total, group) => total + group.length - 1, 0);
+  console.log(`\n${duplicates.length} code(s) recorded more than once, ${copyCount} extra row(s)` +
+    (DRY_RUN ? '' : `, ${deleted} deleted`));
+}
+
+dedupeTransactionCodes().catch((error) => {
+  console.error('❌ Dedupe failed:', error.message);
+  process.exit(1);
+});
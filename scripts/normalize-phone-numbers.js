@@ -0,0 +1,171 @@
+/**
+ * Rewrite stored phone numbers to the canonical 254XXXXXXXXX format
+ * Usage: node scripts/normalize-phone-numbers.js [--dry-run]
+ *
+ * Accounts (users, staff_members) whose numbers collide once normalized are
+ * reported as duplicates and left untouched so they can be merged by hand.
+ * Numbers that cannot be normalized (e.g. masked M-Pesa senders) are kept.
+ *
+ * Once the script reports no duplicates, tighten the users constraint:
+ *   ALTER TABLE users DROP CONSTRAINT phone_format;
+ *   ALTER TABLE users ADD CONSTRAINT phone_format CHECK (phone_number ~ '^254[17]\d{8}$');
+ */
+
+require('dotenv').config();
+
+const supabase = require('../config/supabase');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+const PAGE_SIZE = 1000;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Tables where a phone number identifies an account and must stay unique
+const ACCOUNT_TABLES = ['users', 'staff_members'];
+
+// Tables where the phone number is a plain reference
+const REFERENCE_TABLES = [
+  'otp_codes',
+  'login_attempts',
+  'sms_messages',
+  'debts',
+  'transactions',
+  'mpesa_transactions',
+];
+
+/**
+ * Read every row of a table that has a phone number
+ */
+async function fetchAllRows(table) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id, phone_number')
+      .not('phone_number', 'is', null)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Work out which rows need rewriting
+ * Returns the planned updates plus numbers that could not be normalized
+ */
+function planTable(rows) {
+  const updates = [];
+  const invalid = [];
+
+  for (const row of rows) {
+    const normalized = normalizePhoneNumber(row.phone_number);
+
+    if (!normalized) {
+      invalid.push(row);
+    } else if (normalized !== row.phone_number) {
+      updates.push({ id: row.id, from: row.phone_number, to: normalized });
+    }
+  }
+
+  return { updates, invalid };
+}
+
+/**
+ * Group account rows (across users and staff_members) by normalized number
+ * and return the groups with more than one account
+ */
+function findDuplicateAccounts(rowsByTable) {
+  const accounts = new Map();
+
+  for (const [table, rows] of Object.entries(rowsByTable)) {
+    for (const row of rows) {
+      const normalized = normalizePhoneNumber(row.phone_number) || row.phone_number;
+      const group = accounts.get(normalized) || [];
+      group.push({ table, id: row.id, phoneNumber: row.phone_number });
+      accounts.set(normalized, group);
+    }
+  }
+
+  return [...accounts.entries()].filter(([, group]) => group.length > 1);
+}
+
+async function applyUpdates(table, updates) {
+  let updated = 0;
+
+  for (const update of updates) {
+    const { error } = await supabase
+      .from(table)
+      .update({ phone_number: update.to })
+      .eq('id', update.id)
+      .eq('phone_number', update.from);
+
+    if (error) {
+      console.error(`   ❌ ${table} ${update.id}: ${error.message}`);
+    } else {
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+async function normalizePhoneNumbers() {
+  if (!supabase) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+
+  console.log(`📞 Normalizing phone numbers${DRY_RUN ? ' (dry run)' : ''}`);
+
+  // Accounts first, so duplicates can be excluded from the rewrite
+  const accountRows = {};
+  for (const table of ACCOUNT_TABLES) {
+    accountRows[table] = await fetchAllRows(table);
+  }
+
+  const duplicates = findDuplicateAccounts(accountRows);
+  const duplicateIds = new Set(duplicates.flatMap(([, group]) => group.map(account => account.id)));
+
+  for (const table of [...ACCOUNT_TABLES, ...REFERENCE_TABLES]) {
+    const rows = accountRows[table] || await fetchAllRows(table);
+    const { updates, invalid } = planTable(rows);
+    const safeUpdates = updates.filter(update => !duplicateIds.has(update.id));
+    const skipped = updates.length - safeUpdates.length;
+
+    const updated = DRY_RUN ? 0 : await applyUpdates(table, safeUpdates);
+
+    console.log(
+      `   ${table}: ${rows.length} rows, ${safeUpdates.length} to rewrite` +
+        (DRY_RUN ? '' : `, ${updated} rewritten`) +
+        (skipped ? `, ${skipped} skipped (duplicate account)` : '') +
+        (invalid.length ? `, ${invalid.length} not normalizable` : '')
+    );
+  }
+
+  if (duplicates.length > 0) {
+    console.log(`\n⚠️ ${duplicates.length} phone number(s) belong to more than one account:`);
+    for (const [phoneNumber, group] of duplicates) {
+      console.log(`   ${phoneNumber}`);
+      for (const account of group) {
+        console.log(`      ${account.table} ${account.id} (stored as ${account.phoneNumber})`);
+      }
+    }
+    console.log('   Merge or remove these accounts, then run the script again.');
+  } else {
+    console.log('\n✅ No duplicate accounts found');
+  }
+}
+
+normalizePhoneNumbers().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * Mask one-time codes in SMS messages stored before sends were masked
+ * Usage: node scripts/redact-otp-messages.js [--dry-run]
+ *
+ * Login OTPs and staff invite codes (category 'otp') used to be saved to
+ * sms_messages as sent. New messages are masked by smsService; this rewrites
+ * the older rows the same way.
+ */
+
+require('dotenv').config();
+
+const supabase = require('../config/supabase');
+
+const PAGE_SIZE = 1000;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Same mask smsService applies when it stores an OTP message
+const CODE_PATTERN = /\d{4,8}/g;
+const MASK = '******';
+
+/**
+ * Read every OTP message
+ */
+async function fetchOtpMessages() {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('sms_messages')
+      .select('id, message')
+      .eq('category', 'otp')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read sms_messages: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+async function redactOtpMessages() {
+  if (!supabase) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+
+  console.log(`🔐 Masking stored one-time codes${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const rows = await fetchOtpMessages();
+  const updates = rows
+    .map(row => ({ id: row.id, message: (row.message || '').replace(CODE_PATTERN, MASK) }))
+    .filter((update, index) => update.message !== rows[index].message);
+
+  console.log(`   ${rows.length} OTP message(s), ${updates.length} still showing a code`);
+
+  if (DRY_RUN) {
+    console.log('\nDry run: nothing written');
+    return;
+  }
+
+  for (const update of updates) {
+    const { error } = await supabase
+      .from('sms_messages')
+      .update({ message: update.message })
+      .eq('id', update.id);
+
+    if (error) {
+      throw new Error(`Failed to mask message ${update.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n✅ Masked ${updates.length} message(s)`);
+}
+
+redactOtpMessages().catch((error) => {
+  console.error('❌ Redaction failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+const supabase = require('../config/supabase');
+
+// Days between a deletion request and the cascade delete
+const ACCOUNT_DELETION_COOLING_OFF_DAYS = parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS) || 14;
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// Tables included in a data export, keyed by the file name used in the archive
+const EXPORT_TABLES = {
+  transactions: { select: '*', orderBy: 'timestamp' },
+  sales_summary: { select: '*', orderBy: 'updated_at' },
+  debts: { select: '*', orderBy: 'created_at' },
+  purchases: { select: '*, purchase_items (*)', orderBy: 'created_at' },
+  mpesa_transactions: { select: '*', orderBy: 'created_at' },
+};
+
+/**
+ * Read every row a user owns in one table
+ */
+async function fetchAllUserRows(table, userId, { select, orderBy }) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(select)
+      .eq('user_id', userId)
+      .order(orderBy, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`❌ Error exporting ${table}:`, error);
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Collect everything stored about a business for a data export
+ * @param {string} userId - Business (owner) id
+ * @returns {object} { profile, transactions, sales_summary, debts, purchases, mpesa_transactions }
+ */
+async function collectAccountData(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error || !user) {
+    throw new Error('User not found');
+  }
+
+  // Never export the PIN hash
+  const { pin, ...profile } = user;
+
+  const data = { profile };
+
+  for (const [table, options] of Object.entries(EXPORT_TABLES)) {
+    data[table] = await fetchAllUserRows(table, userId, options);
+  }
+
+  return data;
+}
+
+/**
+ * Schedule a business and all its data for deletion
+ * @param {string} userId - Business (owner) id
+ * @returns {Date} When the account will be deleted
+ */
+async function scheduleAccountDeletion(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const scheduledFor = new Date();
+  scheduledFor.setDate(scheduledFor.getDate() + ACCOUNT_DELETION_COOLING_OFF_DAYS);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      deletion_requested_at: new Date().toISOString(),
+      deletion_scheduled_for: scheduledFor.toISOString(),
+    })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('❌ Error scheduling account deletion:', error);
+    throw error;
+  }
+
+  return scheduledFor;
+}
+
+/**
+ * Cancel a pending deletion during the cooling-off period
+ * @param {string} userId - Business (owner) id
+ * @returns {boolean} Whether a deletion was pending
+ */
+async function cancelAccountDeletion(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({
+      deletion_requested_at: null,
+      deletion_scheduled_for: null,
+    })
+    .eq('id', userId)
+    .not('deletion_scheduled_for', 'is', null)
+    .select('id');
+
+  if (error) {
+    console.error('❌ Error cancelling account deletion:', error);
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Delete every account whose cooling-off period has ended
+ * Deleting the users row cascades to transactions, debts, purchases, staff,
+ * sessions and payments; phone-keyed rows are removed afterwards.
+ * @returns {number} Number of accounts deleted
+ */
+async function purgeScheduledAccounts() {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, phone_number')
+    .lte('deletion_scheduled_for', new Date().toISOString());
+
+  if (error) {
+    console.error('❌ Error finding accounts to delete:', error);
+    throw error;
+  }
+
+  let deletedCount = 0;
+
+  for (const user of users) {
+    const { data: staff } = await supabase
+      .from('staff_members')
+      .select('phone_number')
+      .eq('business_id', user.id);
+
+    const phoneNumbers = [user.phone_number, ...(staff || []).map(s => s.phone_number)];
+
+    // Re-check the schedule so a last-minute cancellation is respected
+    const { data: deleted, error: deleteError } = await supabase
+      .from('users')
+      .delete()
+      .eq('id', user.id)
+      .lte('deletion_scheduled_for', new Date().toISOString())
+      .select('id');
+
+    if (deleteError) {
+      console.error(`❌ Error deleting account ${user.id}:`, deleteError);
+      continue;
+    }
+
+    if (deleted.length === 0) {
+      continue;
+    }
+
+    // These tables are keyed by phone number rather than cascading from users
+    await supabase.from('otp_codes').delete().in('phone_number', phoneNumbers);
+    await supabase.from('login_attempts').delete().in('phone_number', phoneNumbers);
+    await supabase.from('sms_messages').delete().in('phone_number', phoneNumbers);
+
+    deletedCount++;
+    console.log(`🗑️ Account deleted: ${user.id}`);
+  }
+
+  return deletedCount;
+}
+
+module.exports = {
+  ACCOUNT_DELETION_COOLING_OFF_DAYS,
+  collectAccountData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeScheduledAccounts,
+};
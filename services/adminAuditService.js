@@ -0,0 +1,69 @@
+const supabase = require('../config/supabase');
+
+// Request body fields never written to the audit log
+const REDACTED_FIELDS = ['password', 'pin', 'newPin', 'currentPin', 'token', 'refreshToken', 'stkPasskey'];
+
+/**
+ * Remove secrets from a request body before it is logged
+ */
+function redact(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  const clean = { ...body };
+  REDACTED_FIELDS.forEach(field => {
+    if (field in clean) {
+      clean[field] = '[REDACTED]';
+    }
+  });
+
+  return clean;
+}
+
+/**
+ * Write an entry to admin_audit_log
+ * Failures are logged, never thrown, so auditing cannot break a request
+ * @param {object} req - Express request (admin info is read from req.admin)
+ * @param {string} action - What was done, e.g. "GET /api/admin/users" or "admin.create"
+ * @param {object} [details]
+ * @param {number} [details.statusCode] - Response status
+ * @param {object} [details.metadata] - Extra context for the action
+ * @param {object} [details.admin] - Admin to record when req.admin is not set (e.g. login)
+ */
+async function recordAdminAction(req, action, { statusCode = null, metadata = null, admin = null } = {}) {
+  if (!supabase) {
+    return;
+  }
+
+  const actor = admin || req.admin || {};
+
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert([
+      {
+        admin_id: actor.adminId || actor.id || null,
+        admin_email: actor.email || null,
+        action,
+        method: req.method,
+        path: req.originalUrl,
+        params: {
+          ...(Object.keys(req.params || {}).length && { params: req.params }),
+          ...(Object.keys(req.query || {}).length && { query: req.query }),
+          ...(req.body && Object.keys(req.body).length && { body: redact(req.body) }),
+        },
+        metadata,
+        status_code: statusCode,
+        ip_address: req.ip || null,
+        user_agent: req.headers['user-agent'] || null,
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error writing admin audit log:', error);
+  }
+}
+
+module.exports = {
+  recordAdminAction,
+};
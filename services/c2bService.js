@@ -0,0 +1,302 @@
+const supabase = require('../config/supabase');
+const { registerC2BUrls } = require('./mpesaService');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { parseMpesaTimestamp } = require('../utils/mpesaTime');
+
+const TILL_STATUSES = ['pending', 'active', 'disabled'];
+
+/**
+ * Tills and paybills linked to a business
+ * @param {string} userId - Business (owner) id
+ */
+async function listTills(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('merchant_tills')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing tills:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Link a till or paybill to a business; it stays pending until an admin activates it
+ * @param {string} userId - Business (owner) id
+ * @param {object} till
+ * @param {string} till.shortcode - Till or paybill number
+ * @param {string} till.shortcodeType - till or paybill
+ * @param {string} [till.accountReference] - Account number on a shared paybill
+ * @throws Supabase error 23505 when the till is already linked
+ */
+async function addTill(userId, { shortcode, shortcodeType, accountReference = null }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('merchant_tills')
+    .insert([{
+      user_id: userId,
+      shortcode,
+      shortcode_type: shortcodeType,
+      account_reference: accountReference,
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code !== '23505') {
+      console.error('❌ Error adding till:', error);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Unlink a till from a business
+ * @returns {object|null} The removed till, or null if it was not found
+ */
+async function removeTill(userId, tillId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('merchant_tills')
+    .delete()
+    .eq('id', tillId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error removing till:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Change a till's status (admin)
+ * Activating registers the C2B URLs for the shortcode with Daraja,
+ * unless another till on the same shortcode already did.
+ * STK settings let the business send M-Pesa prompts (debt and payment
+ * requests) that pay into this till.
+ * @param {string} tillId
+ * @param {string} [status] - pending, active or disabled; unchanged when omitted
+ * @param {object} [stk]
+ * @param {string} [stk.stkShortcode] - Store number a Buy Goods till is prompted through
+ * @param {string} [stk.stkPasskey] - Lipa na M-Pesa Online passkey of the shortcode
+ * @returns {object} { till, error } - till is null when not found; error is set
+ *   when C2B URL registration failed (the till is left unchanged)
+ */
+async function setTillStatus(tillId, status, { stkShortcode, stkPasskey } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: till } = await supabase
+    .from('merchant_tills')
+    .select('*')
+    .eq('id', tillId)
+    .maybeSingle();
+
+  if (!till) {
+    return { till: null };
+  }
+
+  const updates = {
+    ...(status && { status }),
+    ...(stkShortcode !== undefined && { stk_shortcode: stkShortcode || null }),
+    ...(stkPasskey !== undefined && { stk_passkey: stkPasskey || null }),
+  };
+
+  if (status === 'active') {
+    const { data: registered } = await supabase
+      .from('merchant_tills')
+      .select('id')
+      .eq('shortcode', till.shortcode)
+      .not('c2b_registered_at', 'is', null)
+      .limit(1);
+
+    if (!registered?.length) {
+      const result = await registerC2BUrls(till.shortcode);
+
+      if (!result.success) {
+        return { till, error: result.message };
+      }
+
+      updates.c2b_registered_at = new Date().toISOString();
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('merchant_tills')
+    .update(updates)
+    .eq('id', tillId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error updating till status:', error);
+    throw error;
+  }
+
+  return { till: data };
+}
+
+/**
+ * The till a business's M-Pesa prompts pay into
+ * The oldest active till with STK settings; shared paybills prompt with the
+ * business's account number.
+ * @param {string} userId - Business (owner) id
+ * @returns {object|null} merchant_tills row
+ */
+async function getPromptTill(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('merchant_tills')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .not('stk_passkey', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error finding till for prompts:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * A till by id, e.g. the one a pending payment was prompted to
+ * @returns {object|null} merchant_tills row
+ */
+async function getTillById(tillId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data } = await supabase
+    .from('merchant_tills')
+    .select('*')
+    .eq('id', tillId)
+    .maybeSingle();
+
+  return data;
+}
+
+/**
+ * Find the active till a C2B payment was made to
+ * Paybills shared by several businesses are matched on the account number
+ * (BillRefNumber, case-insensitive); a till without an account reference
+ * takes every other payment to its shortcode.
+ * @param {string} shortcode - BusinessShortCode from Daraja
+ * @param {string} [billRefNumber] - Account number the customer typed
+ * @returns {object|null} merchant_tills row
+ */
+async function findTillForPayment(shortcode, billRefNumber) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: tills, error } = await supabase
+    .from('merchant_tills')
+    .select('*')
+    .eq('shortcode', String(shortcode))
+    .eq('status', 'active');
+
+  if (error) {
+    console.error('❌ Error finding till:', error);
+    throw error;
+  }
+
+  const reference = (billRefNumber || '').trim().toLowerCase();
+
+  return tills.find(till => till.account_reference && till.account_reference.toLowerCase() === reference)
+    || tills.find(till => !till.account_reference)
+    || null;
+}
+
+/**
+ * Record a C2B confirmation as a sale
+ * Sales the app already synced (same transaction code) are not duplicated.
+ * @param {object} payment - Daraja C2B confirmation body
+ * @returns {object} { recorded, reason?, transaction? }
+ */
+async function recordC2BPayment(payment) {
+  const till = await findTillForPayment(payment.BusinessShortCode, payment.BillRefNumber);
+
+  if (!till) {
+    console.warn(`⚠️ C2B payment ${payment.TransID} to unknown shortcode ${payment.BusinessShortCode} (${payment.BillRefNumber || 'no account'})`);
+    return { recorded: false, reason: 'unknown_till' };
+  }
+
+  const senderName = [payment.FirstName, payment.MiddleName, payment.LastName]
+    .filter(Boolean)
+    .join(' ') || null;
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .insert([{
+      id: `c2b_${payment.TransID}`,
+      user_id: till.user_id,
+      amount: Number(payment.TransAmount),
+      sender_name: senderName,
+      transaction_code: payment.TransID,
+      // Daraja may mask or hash MSISDN; those are kept as sent
+      phone_number: normalizePhoneNumber(payment.MSISDN) || payment.MSISDN || null,
+      timestamp: (parseMpesaTimestamp(payment.TransTime) || new Date()).toISOString(),
+      payment_method: 'mpesa',
+      category: 'sales',
+      source: 'c2b',
+      note: payment.BillRefNumber ? `Account ${payment.BillRefNumber}` : null,
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      console.log('ℹ️ C2B payment already recorded:', payment.TransID);
+      return { recorded: false, reason: 'duplicate' };
+    }
+
+    console.error('❌ Error recording C2B payment:', error);
+    throw error;
+  }
+
+  console.log(`✅ C2B payment ${payment.TransID} recorded for user ${till.user_id}`);
+
+  return { recorded: true, transaction: data };
+}
+
+module.exports = {
+  TILL_STATUSES,
+  listTills,
+  addTill,
+  removeTill,
+  setTillStatus,
+  getPromptTill,
+  getTillById,
+  findTillForPayment,
+  recordC2BPayment,
+};
@@ -0,0 +1,221 @@
+const axios = require('axios');
+
+// Daraja hosts per environment; MPESA_BASE_URL overrides both (e.g. the local simulator)
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke',
+};
+
+const MPESA_ENVIRONMENT = process.env.MPESA_ENVIRONMENT || 'sandbox';
+if (!DARAJA_BASE_URLS[MPESA_ENVIRONMENT]) {
+  console.warn(`⚠️ Unknown MPESA_ENVIRONMENT "${MPESA_ENVIRONMENT}", using sandbox`);
+}
+
+const BASE_URL = (process.env.MPESA_BASE_URL || DARAJA_BASE_URLS[MPESA_ENVIRONMENT] || DARAJA_BASE_URLS.sandbox)
+  .replace(/\/+$/, '');
+
+// Per-request timeout, and how many times to retry 5xx and network errors
+// (only for requests that are safe to repeat)
+const MPESA_TIMEOUT_MS = parseInt(process.env.MPESA_TIMEOUT_MS) || 15000;
+const MPESA_MAX_RETRIES = Number.isNaN(parseInt(process.env.MPESA_MAX_RETRIES)) ? 2 : parseInt(process.env.MPESA_MAX_RETRIES);
+const RETRY_BASE_DELAY_MS = 500;
+
+// Refresh tokens this long before Daraja says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Daraja error codes and what to tell the customer
+ * retryable: false stops retries even though Daraja answers with a 5xx
+ */
+const DARAJA_ERRORS = {
+  '400.002.02': { message: 'The payment request was invalid. Please check the details and try again.' },
+  '400.008.01': { message: 'M-Pesa is not available right now. Please try again later.' },
+  '404.001.03': { message: 'M-Pesa is not available right now. Please try again later.' },
+  '404.001.04': { message: 'M-Pesa is not available right now. Please try again later.' },
+  '500.001.1001': {
+    message: 'A payment is already in progress on this phone. Complete it or wait a minute and try again.',
+    retryable: false,
+  },
+  '500.002.1001': { message: 'M-Pesa could not process the request. Please try again.' },
+  '500.003.02': { message: 'M-Pesa is busy. Please try again in a few minutes.' },
+  '500.003.03': { message: 'Too many payment requests. Please wait a moment and try again.', retryable: false },
+};
+
+const DEFAULT_ERROR_MESSAGE = 'We could not reach M-Pesa. Please try again in a few minutes.';
+const UNKNOWN_OUTCOME_MESSAGE = 'We could not confirm that M-Pesa received the request. Check whether it went through before trying again.';
+
+// Network errors raised before the request was sent, so it never reached Daraja
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Normalized error for failed Daraja calls
+ * code is Daraja's errorCode (e.g. 500.001.1001), or NETWORK_ERROR / NOT_CONFIGURED
+ * userMessage is safe to show to customers; details is Daraja's raw response
+ * outcomeUnknown is set when Daraja may have acted on the request anyway
+ * (timeouts, dropped connections, 5xx without a Daraja error code)
+ */
+class DarajaError extends Error {
+  constructor(message, { code = null, status = null, details = null, outcomeUnknown = false } = {}) {
+    super(message);
+    this.name = 'DarajaError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.outcomeUnknown = outcomeUnknown;
+
+    const known = DARAJA_ERRORS[code];
+    this.userMessage = known?.message || (outcomeUnknown ? UNKNOWN_OUTCOME_MESSAGE : DEFAULT_ERROR_MESSAGE);
+    this.retryable = known?.retryable ?? (code === 'NETWORK_ERROR' || status >= 500);
+  }
+}
+
+/**
+ * Turn an axios error into a DarajaError
+ * @param {boolean} [idempotent] - The request is safe to repeat, so its outcome never matters
+ */
+const toDarajaError = (error, { idempotent = false } = {}) => {
+  if (error instanceof DarajaError) {
+    return error;
+  }
+
+  if (!error.response) {
+    return new DarajaError(`M-Pesa request failed: ${error.message}`, {
+      code: 'NETWORK_ERROR',
+      outcomeUnknown: !idempotent && !NOT_SENT_ERRORS.includes(error.code),
+    });
+  }
+
+  const { status, data } = error.response;
+  return new DarajaError(data?.errorMessage || `M-Pesa request failed with status ${status}`, {
+    code: data?.errorCode || null,
+    status,
+    details: data || null,
+    outcomeUnknown: !idempotent && status >= 500 && !data?.errorCode,
+  });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let cachedToken = null; // { accessToken, expiresAt }
+let pendingToken = null;
+
+/**
+ * Fetch a new OAuth token from Daraja
+ */
+const fetchAccessToken = async () => {
+  const consumerKey = process.env.MPESA_CONSUMER_KEY;
+  const consumerSecret = process.env.MPESA_CONSUMER_SECRET;
+
+  if (!consumerKey || !consumerSecret) {
+    throw new DarajaError('M-Pesa credentials not configured', { code: 'NOT_CONFIGURED' });
+  }
+
+  const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  const response = await withRetries(() => axios.get(`${BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${auth}` },
+    timeout: MPESA_TIMEOUT_MS,
+  }));
+
+  const expiresInMs = (parseInt(response.data.expires_in) || 3599) * 1000;
+
+  cachedToken = {
+    accessToken: response.data.access_token,
+    expiresAt: Date.now() + expiresInMs - TOKEN_EXPIRY_MARGIN_MS,
+  };
+
+  return cachedToken.accessToken;
+};
+
+/**
+ * Get an OAuth token, reusing the cached one until shortly before it expires
+ * Concurrent callers share one token request
+ */
+const getAccessToken = async () => {
+  if (cachedToken && Date.now() < cachedToken.expiresAt) {
+    return cachedToken.accessToken;
+  }
+
+  if (!pendingToken) {
+    pendingToken = fetchAccessToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+
+  try {
+    return await pendingToken;
+  } catch (error) {
+    const darajaError = toDarajaError(error);
+    console.error('❌ Error getting M-Pesa access token:', darajaError.details || darajaError.message);
+    throw darajaError;
+  }
+};
+
+/**
+ * Run a request that is safe to repeat, retrying 5xx and network errors
+ * with exponential backoff
+ */
+async function withRetries(send) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      const darajaError = toDarajaError(error, { idempotent: true });
+
+      if (!darajaError.retryable || attempt >= MPESA_MAX_RETRIES) {
+        throw darajaError;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`⚠️ M-Pesa request failed (${darajaError.code || darajaError.status}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * POST to a Daraja API with a cached token
+ * A rejected token is dropped and the request retried once with a fresh one.
+ * Other failures are retried only for queries: repeating an STK push, B2C
+ * payment or reversal whose outcome is unknown could charge or pay twice.
+ * @param {string} path - e.g. /mpesa/stkpush/v1/processrequest
+ * @param {object} body
+ * @param {object} [options]
+ * @param {boolean} [options.retry] - Retry 5xx and network errors (safe to repeat)
+ * @returns {object} Daraja's response body
+ * @throws {DarajaError} outcomeUnknown when Daraja may have acted on it
+ */
+const post = async (path, body, { retry = false } = {}) => {
+  for (let tokenAttempt = 0; ; tokenAttempt++) {
+    const accessToken = await getAccessToken();
+
+    try {
+      const send = () => axios.post(`${BASE_URL}${path}`, body, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: MPESA_TIMEOUT_MS,
+      });
+
+      const response = retry ? await withRetries(send) : await send().catch((error) => {
+        throw toDarajaError(error);
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.code === '404.001.03' && tokenAttempt === 0) {
+        cachedToken = null;
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  DarajaError,
+  getAccessToken,
+  post,
+  MPESA_ENVIRONMENT,
+};
@@ -0,0 +1,124 @@
+const supabase = require('../config/supabase');
+const { initiateSTKPush, getTillStkTarget } = require('./mpesaService');
+
+// Attempts at applying a payment when another payment updates the debt at the same time
+const MAX_APPLY_ATTEMPTS = 3;
+
+/**
+ * What a customer still owes on a debt
+ * @param {object} debt - debts row
+ */
+const getDebtBalance = (debt) => Math.max(0, Number(debt.amount) - Number(debt.amount_paid));
+
+/**
+ * Send an STK push to a debtor and record the pending transaction
+ * The money goes to the business's own till or paybill. The debt is tagged
+ * with the checkout id so the app can follow the payment.
+ * @param {object} debt - debts row (must have phone_number)
+ * @param {number} amount - Whole KES, at most the balance
+ * @param {string} businessName - Shown in the STK prompt
+ * @param {object} till - From getPromptTill
+ * @returns {object} initiateSTKPush result
+ */
+async function startDebtPayment(debt, amount, businessName, till) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const description = `Debt payment to ${businessName}`.slice(0, 100);
+
+  const accountReference = till.account_reference || 'DENI';
+  const result = await initiateSTKPush(debt.phone_number, amount, accountReference, description, getTillStkTarget(till));
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { error } = await supabase
+    .from('mpesa_transactions')
+    .insert([
+      {
+        user_id: debt.user_id,
+        merchant_request_id: result.data.merchantRequestId,
+        checkout_request_id: result.data.checkoutRequestId,
+        phone_number: debt.phone_number,
+        amount,
+        account_reference: accountReference,
+        purpose: 'debt',
+        debt_id: debt.id,
+        till_id: till.id,
+        transaction_desc: description,
+        status: 'pending',
+        created_at: new Date().toISOString(),
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error storing debt transaction:', error);
+  }
+
+  await supabase
+    .from('debts')
+    .update({ checkout_request_id: result.data.checkoutRequestId })
+    .eq('id', debt.id);
+
+  return result;
+}
+
+/**
+ * Apply a completed debt payment: reduce the balance, and clear the debt once paid
+ * The update is conditional on amount_paid being unchanged, so two payments
+ * landing together are both counted.
+ * @param {object} transaction - Completed mpesa_transactions row (purpose debt)
+ * @param {string|null} mpesaReceiptNumber
+ * @returns {object|null} Updated debt, or null if it no longer exists
+ */
+async function applyDebtPayment(transaction, mpesaReceiptNumber) {
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt++) {
+    const { data: debt } = await supabase
+      .from('debts')
+      .select('*')
+      .eq('id', transaction.debt_id)
+      .maybeSingle();
+
+    if (!debt) {
+      console.warn(`⚠️ Payment ${transaction.id} is for a debt that no longer exists`);
+      return null;
+    }
+
+    const amountPaid = Number(debt.amount_paid) + Number(transaction.amount);
+    const cleared = amountPaid >= Number(debt.amount);
+
+    const { data: updated, error } = await supabase
+      .from('debts')
+      .update({
+        amount_paid: amountPaid,
+        ...(mpesaReceiptNumber && { mpesa_receipt_number: mpesaReceiptNumber }),
+        ...(cleared && debt.status !== 'cleared' && {
+          status: 'cleared',
+          cleared_at: new Date().toISOString(),
+        }),
+      })
+      .eq('id', debt.id)
+      .eq('amount_paid', debt.amount_paid)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (updated) {
+      console.log(`✅ Debt ${debt.id}: KES ${transaction.amount} paid, balance KES ${getDebtBalance(updated)}`);
+      return updated;
+    }
+  }
+
+  throw new Error(`Could not apply payment ${transaction.id} to debt ${transaction.debt_id}`);
+}
+
+module.exports = {
+  getDebtBalance,
+  startDebtPayment,
+  applyDebtPayment,
+};
@@ -0,0 +1,180 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Check a client-supplied device id
+ * Apps send a random id generated on first launch (e.g. a UUID)
+ */
+const isValidDeviceId = (deviceId) => typeof deviceId === 'string' && /^[\w.:-]{8,128}$/.test(deviceId);
+
+/**
+ * Find a trusted device for an account
+ * @param {string} userId - Business (owner) id
+ * @param {string|null} staffId - Staff member, null for the owner
+ * @param {string} deviceId - Client-supplied device id
+ */
+async function findTrustedDevice(userId, staffId, deviceId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('devices')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('device_id', deviceId);
+
+  query = staffId ? query.eq('staff_id', staffId) : query.is('staff_id', null);
+
+  const { data: device, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('❌ Error finding device:', error);
+    throw error;
+  }
+
+  return device;
+}
+
+/**
+ * Trust a device after a verified login, or refresh its last-seen details
+ * @param {string} userId - Business (owner) id
+ * @param {object} details
+ * @param {string} [details.staffId] - Staff member, null for the owner
+ * @param {string} details.deviceId - Client-supplied device id
+ * @param {string} [details.deviceName] - Name shown in the device list
+ * @param {string} [details.userAgent]
+ * @param {string} [details.ipAddress]
+ */
+async function trustDevice(userId, { staffId = null, deviceId, deviceName = null, userAgent = null, ipAddress = null }) {
+  const existing = await findTrustedDevice(userId, staffId, deviceId);
+  const now = new Date().toISOString();
+
+  const query = existing
+    ? supabase
+      .from('devices')
+      .update({
+        ...(deviceName && { device_name: deviceName }),
+        user_agent: userAgent,
+        last_ip: ipAddress,
+        last_seen_at: now,
+      })
+      .eq('id', existing.id)
+    : supabase
+      .from('devices')
+      .insert([
+        {
+          user_id: userId,
+          staff_id: staffId,
+          device_id: deviceId,
+          device_name: deviceName || userAgent,
+          user_agent: userAgent,
+          last_ip: ipAddress,
+          trusted_at: now,
+          last_seen_at: now,
+        },
+      ]);
+
+  const { data: device, error } = await query.select().single();
+
+  if (error) {
+    console.error('❌ Error trusting device:', error);
+    throw error;
+  }
+
+  return device;
+}
+
+/**
+ * List the trusted devices of a business
+ * @param {string} userId - Business (owner) id
+ * @param {object} [options]
+ * @param {string} [options.staffId] - Only this staff member's devices
+ */
+async function listDevices(userId, { staffId = null } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('devices')
+    .select('*, staff_members (name, role)')
+    .eq('user_id', userId)
+    .order('last_seen_at', { ascending: false });
+
+  if (staffId) {
+    query = query.eq('staff_id', staffId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error listing devices:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * The business's first trusted device still on the account
+ * Plans without multi-device sync may only sync from this device; removing it
+ * moves the role to the next oldest one.
+ * @param {string} userId - Business (owner) id
+ * @returns {object|null} devices row, or null if no device has been trusted
+ */
+async function getPrimaryDevice(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('devices')
+    .select('*')
+    .eq('user_id', userId)
+    .order('trusted_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error finding primary device:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Remove a trusted device; its next login needs an OTP again
+ * @param {string} userId - Business (owner) id
+ * @param {string} id - devices row id
+ * @returns {object|null} The removed device, or null if not found
+ */
+async function removeDevice(userId, id) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: device, error } = await supabase
+    .from('devices')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error removing device:', error);
+    throw error;
+  }
+
+  return device;
+}
+
+module.exports = {
+  isValidDeviceId,
+  findTrustedDevice,
+  trustDevice,
+  listDevices,
+  getPrimaryDevice,
+  removeDevice,
+};
@@ -0,0 +1,205 @@
+const supabase = require('../config/supabase');
+const { sendSMS } = require('./smsService');
+
+// Lockout grows with consecutive failures: [failures, lock minutes]
+const PHONE_LOCKOUT_TIERS = [
+  [5, 1],
+  [8, 5],
+  [10, 15],
+  [15, 60],
+  [20, 24 * 60],
+];
+
+// One IP guessing across many phone numbers gets more room before locking
+const IP_LOCKOUT_TIERS = PHONE_LOCKOUT_TIERS.map(([failures, minutes]) => [failures * 4, minutes]);
+
+// Failures older than this no longer count
+const ATTEMPT_WINDOW_HOURS = 24;
+
+// Owner is alerted every N consecutive failures
+const LOGIN_ALERT_THRESHOLD = parseInt(process.env.LOGIN_ALERT_THRESHOLD) || 5;
+
+/**
+ * Key admin console logins are counted under in place of a phone number
+ * Normalized phone numbers are digits only, so the two never collide.
+ */
+const adminLoginKey = (email) => `admin:${email}`;
+
+/**
+ * Lock duration in minutes for a number of failures
+ */
+function getLockMinutes(failures, tiers) {
+  let minutes = 0;
+
+  for (const [threshold, lockMinutes] of tiers) {
+    if (failures >= threshold) {
+      minutes = lockMinutes;
+    }
+  }
+
+  return minutes;
+}
+
+/**
+ * Count recent failures for a phone number or IP and work out the lock
+ * @param {string} column - phone_number or ip_address
+ * @param {string} value - Value to look up
+ * @param {Array} tiers - Lockout tiers to apply
+ */
+async function getLockState(column, value, tiers) {
+  let since = new Date(Date.now() - ATTEMPT_WINDOW_HOURS * 60 * 60 * 1000);
+
+  // For phone numbers, a successful login resets the count
+  if (column === 'phone_number') {
+    const { data: lastSuccess } = await supabase
+      .from('login_attempts')
+      .select('created_at')
+      .eq('phone_number', value)
+      .eq('success', true)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastSuccess && new Date(lastSuccess.created_at) > since) {
+      since = new Date(lastSuccess.created_at);
+    }
+  }
+
+  const { data: failures, count, error } = await supabase
+    .from('login_attempts')
+    .select('created_at', { count: 'exact' })
+    .eq(column, value)
+    .eq('success', false)
+    .gt('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const failedAttempts = count || 0;
+  const lockMinutes = getLockMinutes(failedAttempts, tiers);
+
+  if (!lockMinutes || !failures.length) {
+    return { failedAttempts, locked: false };
+  }
+
+  const lockedUntil = new Date(new Date(failures[0].created_at).getTime() + lockMinutes * 60 * 1000);
+  const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+
+  return {
+    failedAttempts,
+    locked: retryAfter > 0,
+    lockedUntil,
+    retryAfter: Math.max(retryAfter, 0),
+  };
+}
+
+/**
+ * Check whether logins are locked for a phone number or client IP
+ * failedAttempts is always the phone number's consecutive failure count
+ * @param {string} phoneNumber - Phone number being logged into, or an adminLoginKey
+ * @param {string} ipAddress - Client IP
+ */
+async function checkLoginLock(phoneNumber, ipAddress) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const phoneState = await getLockState('phone_number', phoneNumber, PHONE_LOCKOUT_TIERS);
+  if (phoneState.locked) {
+    return { ...phoneState, scope: 'phone' };
+  }
+
+  if (ipAddress) {
+    const ipState = await getLockState('ip_address', ipAddress, IP_LOCKOUT_TIERS);
+    if (ipState.locked) {
+      return { ...ipState, failedAttempts: phoneState.failedAttempts, scope: 'ip' };
+    }
+  }
+
+  return { locked: false, failedAttempts: phoneState.failedAttempts };
+}
+
+/**
+ * Record a successful login (resets the consecutive failure count)
+ */
+async function recordSuccessfulLogin(phoneNumber, ipAddress, { userId = null, userAgent = null } = {}) {
+  if (!supabase) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('login_attempts')
+    .insert([
+      {
+        phone_number: phoneNumber,
+        ip_address: ipAddress,
+        user_id: userId,
+        user_agent: userAgent,
+        success: true,
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error recording login attempt:', error);
+  }
+}
+
+/**
+ * Record a failed login, alert the owner on repeated failures
+ * and return the resulting lock state
+ * @param {string} phoneNumber - Phone number being logged into
+ * @param {string} ipAddress - Client IP
+ * @param {object} [details]
+ * @param {object} [details.user] - Business owner row, if the phone is registered (owner or staff)
+ * @param {string} [details.reason] - unknown_phone, wrong_pin or wrong_otp; unknown_email or wrong_password for admins
+ * @param {string} [details.userAgent]
+ */
+async function recordFailedLogin(phoneNumber, ipAddress, { user = null, reason = 'wrong_pin', userAgent = null } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('login_attempts')
+    .insert([
+      {
+        phone_number: phoneNumber,
+        ip_address: ipAddress,
+        user_id: user?.id || null,
+        user_agent: userAgent,
+        success: false,
+        failure_reason: reason,
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error recording login attempt:', error);
+  }
+
+  const lockState = await checkLoginLock(phoneNumber, ipAddress);
+  const { failedAttempts } = lockState;
+
+  if (user && failedAttempts > 0 && failedAttempts % LOGIN_ALERT_THRESHOLD === 0) {
+    console.warn(`⚠️ ${failedAttempts} failed logins for ${phoneNumber}, alerting owner`);
+
+    await sendSMS(
+      user.phone_number,
+      `CONFIRMED security alert: ${failedAttempts} wrong PIN attempts were made for ${phoneNumber}. ` +
+        'If this was not you, reset the PIN from the app.',
+      { category: 'alert', userId: user.id }
+    );
+  }
+
+  return lockState;
+}
+
+module.exports = {
+  adminLoginKey,
+  checkLoginLock,
+  recordSuccessfulLogin,
+  recordFailedLogin,
+  ATTEMPT_WINDOW_HOURS,
+};
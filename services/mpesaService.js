@@ -1,117 +1,100 @@
-const axios = require('axios');
+const daraja = require('./darajaClient');
+const { normalizePhoneNumber } = require('../utils/phone');
 
-// M-Pesa Daraja API credentials (Sandbox)
-const CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY || 'your_consumer_key';
-const CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET || 'your_consumer_secret';
+// M-Pesa Daraja API settings; the host and credentials live in darajaClient
+// For local development run `npm run daraja:simulator` and point MPESA_BASE_URL at it
 const BUSINESS_SHORT_CODE = process.env.MPESA_SHORTCODE || '174379'; // Sandbox shortcode
-const PASSKEY = process.env.MPESA_PASSKEY || 'your_passkey';
+const PASSKEY = process.env.MPESA_PASSKEY || '';
 const CALLBACK_URL = process.env.MPESA_CALLBACK_URL || 'https://your-domain.com/api/mpesa/callback';
 
-// Test mode flag - set to true if credentials are not configured
-const TEST_MODE = CONSUMER_KEY === 'your_consumer_key' || !CONSUMER_KEY || CONSUMER_KEY.includes('your_');
+// Refunds are sent by an API initiator (a user on the M-Pesa org portal)
+// MPESA_SECURITY_CREDENTIAL is the initiator password encrypted with Safaricom's certificate
+const INITIATOR_NAME = process.env.MPESA_INITIATOR_NAME || '';
+const SECURITY_CREDENTIAL = process.env.MPESA_SECURITY_CREDENTIAL || '';
+const B2C_SHORT_CODE = process.env.MPESA_B2C_SHORTCODE || BUSINESS_SHORT_CODE;
 
-// Sandbox URLs
-const AUTH_URL = 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials';
-const STK_PUSH_URL = 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest';
+// Daraja error code for an STK request the customer has not answered yet
+const STK_STILL_PROCESSING = '500.001.1001';
+
+// STK Push Query result codes that mean the payment did not and will not go through.
+// Other non-zero codes (e.g. 4999, still processing) leave the payment pending.
+const STK_FAILED_RESULT_CODES = [
+  1, // Insufficient balance
+  1001, // Another transaction is in progress for the subscriber
+  1019, // Transaction expired
+  1025, // Error sending the prompt
+  1032, // Cancelled by the customer
+  1037, // Phone unreachable, no response
+  2001, // Wrong PIN
+  9999, // Error sending the prompt
+];
 
 /**
- * Generate OAuth access token
+ * Public URL of one of our M-Pesa webhooks, with the secret callback token
+ * @param {string} path - e.g. /api/c2b/confirmation
+ * @returns {string|null} null when PUBLIC_API_URL is not set
  */
-const getAccessToken = async () => {
-  if (TEST_MODE) {
-    console.log('⚠️ M-Pesa TEST MODE: Skipping real authentication');
-    return 'test_access_token';
+const buildCallbackUrl = (path) => {
+  if (!process.env.PUBLIC_API_URL) {
+    return null;
   }
 
-  try {
-    const auth = Buffer.from(`${CONSUMER_KEY}:${CONSUMER_SECRET}`).toString('base64');
-    
-    const response = await axios.get(AUTH_URL, {
-      headers: {
-        Authorization: `Basic ${auth}`,
-      },
-    });
+  const token = process.env.MPESA_CALLBACK_TOKEN ? `/${process.env.MPESA_CALLBACK_TOKEN}` : '';
+  return `${process.env.PUBLIC_API_URL.replace(/\/+$/, '')}${path}${token}`;
+};
 
-    return response.data.access_token;
-  } catch (error) {
-    console.error('❌ Error getting M-Pesa access token:', error.response?.data || error.message);
-    throw new Error('Failed to authenticate with M-Pesa');
-  }
+// Subscriptions are paid to the platform's own paybill
+const PLATFORM_STK_TARGET = {
+  businessShortCode: BUSINESS_SHORT_CODE,
+  partyB: BUSINESS_SHORT_CODE,
+  transactionType: 'CustomerPayBillOnline',
+  passkey: PASSKEY,
 };
 
 /**
- * Generate password for STK push
+ * Where an STK push to a merchant's till or paybill sends the money
+ * Buy Goods tills are prompted through their store number (stk_shortcode)
+ * and each shortcode has its own Lipa na M-Pesa Online passkey.
+ * @param {object} till - Active merchant_tills row with stk_passkey
  */
-const generatePassword = () => {
-  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
-  const password = Buffer.from(`${BUSINESS_SHORT_CODE}${PASSKEY}${timestamp}`).toString('base64');
-  return { password, timestamp };
-};
+const getTillStkTarget = (till) => ({
+  businessShortCode: till.stk_shortcode || till.shortcode,
+  partyB: till.shortcode,
+  transactionType: till.shortcode_type === 'till' ? 'CustomerBuyGoodsOnline' : 'CustomerPayBillOnline',
+  passkey: till.stk_passkey,
+});
 
 /**
- * Format phone number to 254XXXXXXXXX format
+ * Generate password for STK push
  */
-const formatPhoneNumber = (phone) => {
-  // Remove any non-digit characters
-  let cleaned = phone.replace(/\D/g, '');
-  
-  // If starts with 0, replace with 254
-  if (cleaned.startsWith('0')) {
-    cleaned = '254' + cleaned.slice(1);
-  }
-  
-  // If doesn't start with 254, add it
-  if (!cleaned.startsWith('254')) {
-    cleaned = '254' + cleaned;
-  }
-  
-  return cleaned;
+const generatePassword = (target = PLATFORM_STK_TARGET) => {
+  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
+  const password = Buffer.from(`${target.businessShortCode}${target.passkey}${timestamp}`).toString('base64');
+  return { password, timestamp };
 };
 
 /**
  * Initiate STK Push
+ * @param {object} [target] - From getTillStkTarget; defaults to the platform paybill
  */
-const initiateSTKPush = async (phoneNumber, amount, accountReference, transactionDesc) => {
+const initiateSTKPush = async (phoneNumber, amount, accountReference, transactionDesc, target = PLATFORM_STK_TARGET) => {
   try {
-    const formattedPhone = formatPhoneNumber(phoneNumber);
-
-    // TEST MODE: Simulate STK push without real M-Pesa API
-    if (TEST_MODE) {
-      console.log('⚠️ M-Pesa TEST MODE: Simulating STK Push');
-      console.log('📱 Test STK Push:', {
-        phone: formattedPhone,
-        amount,
-        reference: accountReference,
-      });
+    const formattedPhone = normalizePhoneNumber(phoneNumber);
 
-      // Generate mock checkout request ID
-      const mockCheckoutId = `TEST_CO_${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
-
-      return {
-        success: true,
-        message: 'STK push sent successfully (TEST MODE)',
-        data: {
-          merchantRequestId: `TEST_MR_${Date.now()}`,
-          checkoutRequestId: mockCheckoutId,
-          responseCode: '0',
-          responseDescription: 'Success. Request accepted for processing (TEST MODE)',
-          customerMessage: 'Success. Request accepted for processing (TEST MODE)',
-        },
-      };
+    if (!formattedPhone) {
+      throw new Error('Invalid phone number');
     }
 
-    // REAL MODE: Actual M-Pesa API integration
-    const accessToken = await getAccessToken();
-    const { password, timestamp } = generatePassword();
+    const { password, timestamp } = generatePassword(target);
 
     const requestBody = {
-      BusinessShortCode: BUSINESS_SHORT_CODE,
+      BusinessShortCode: target.businessShortCode,
       Password: password,
       Timestamp: timestamp,
-      TransactionType: 'CustomerPayBillOnline',
+      TransactionType: target.transactionType,
       Amount: Math.ceil(amount), // Amount must be integer
       PartyA: formattedPhone,
-      PartyB: BUSINESS_SHORT_CODE,
+      PartyB: target.partyB,
       PhoneNumber: formattedPhone,
       CallBackURL: CALLBACK_URL,
       AccountReference: accountReference || 'CONFIRMED',
@@ -122,39 +105,243 @@ const initiateSTKPush = async (phoneNumber, amount, accountReference, transactio
       phone: formattedPhone,
       amount,
       reference: accountReference,
+      shortcode: target.partyB,
     });
 
-    const response = await axios.post(STK_PUSH_URL, requestBody, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const data = await daraja.post('/mpesa/stkpush/v1/processrequest', requestBody);
 
-    console.log('✅ STK Push initiated:', response.data);
+    console.log('✅ STK Push initiated:', data);
 
     return {
       success: true,
       message: 'STK push sent successfully',
       data: {
-        merchantRequestId: response.data.MerchantRequestID,
-        checkoutRequestId: response.data.CheckoutRequestID,
-        responseCode: response.data.ResponseCode,
-        responseDescription: response.data.ResponseDescription,
-        customerMessage: response.data.CustomerMessage,
+        merchantRequestId: data.MerchantRequestID,
+        checkoutRequestId: data.CheckoutRequestID,
+        responseCode: data.ResponseCode,
+        responseDescription: data.ResponseDescription,
+        customerMessage: data.CustomerMessage,
       },
     };
   } catch (error) {
-    console.error('❌ STK Push error:', error.response?.data || error.message);
-    
+    console.error('❌ STK Push error:', error.details || error.message);
+
+    return {
+      success: false,
+      message: error instanceof daraja.DarajaError ? error.userMessage : error.message,
+      code: error.code || null,
+      // The customer may still get the prompt; not retried automatically
+      outcomeUnknown: Boolean(error.outcomeUnknown),
+      error: error.details || error.message,
+    };
+  }
+};
+
+/**
+ * Query the result of an STK push (Daraja STK Push Query)
+ * Used when the callback is late or lost. The query does not return the
+ * receipt number or amount, only whether the payment went through.
+ * @param {string} checkoutRequestId
+ * @param {object} [target] - The shortcode the push went to (getTillStkTarget)
+ * @returns {object} { success, status: 'completed' | 'failed' | 'pending', resultCode, resultDesc }
+ *   - failed only for known final result codes (STK_FAILED_RESULT_CODES)
+ */
+const querySTKPushStatus = async (checkoutRequestId, target = PLATFORM_STK_TARGET) => {
+  try {
+    const { password, timestamp } = generatePassword(target);
+
+    const data = await daraja.post('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: target.businessShortCode,
+      Password: password,
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId,
+    }, { retry: true });
+
+    const resultCode = Number(data.ResultCode);
+    let status = 'pending';
+
+    if (resultCode === 0) {
+      status = 'completed';
+    } else if (STK_FAILED_RESULT_CODES.includes(resultCode)) {
+      status = 'failed';
+    }
+
+    return {
+      success: true,
+      status,
+      resultCode,
+      resultDesc: data.ResultDesc,
+    };
+  } catch (error) {
+    // Daraja answers with an error while the customer still has the prompt open
+    if (error.code === STK_STILL_PROCESSING) {
+      return {
+        success: true,
+        status: 'pending',
+        resultCode: null,
+        resultDesc: error.message,
+      };
+    }
+
+    console.error('❌ STK Query error:', error.details || error.message);
+
     return {
       success: false,
-      message: error.response?.data?.errorMessage || 'Failed to initiate payment',
-      error: error.response?.data || error.message,
+      message: error.userMessage || 'Failed to query payment status',
+      error: error.details || error.message,
     };
   }
 };
 
+/**
+ * Register C2B validation and confirmation URLs for a till or paybill
+ * Daraja rejects URLs containing "mpesa", so the /api/c2b alias is used.
+ * @param {string} shortcode - Till or paybill number
+ * @returns {object} { success, message }
+ */
+const registerC2BUrls = async (shortcode) => {
+  if (!process.env.PUBLIC_API_URL) {
+    return {
+      success: false,
+      message: 'PUBLIC_API_URL must be set to register C2B URLs',
+    };
+  }
+
+  try {
+    const data = await daraja.post('/mpesa/c2b/v2/registerurl', {
+      ShortCode: shortcode,
+      // Record payments even if our validation URL cannot be reached
+      ResponseType: 'Completed',
+      ConfirmationURL: buildCallbackUrl('/api/c2b/confirmation'),
+      ValidationURL: buildCallbackUrl('/api/c2b/validation'),
+    });
+
+    console.log(`✅ C2B URLs registered for ${shortcode}:`, data.ResponseDescription);
+
+    return {
+      success: true,
+      message: data.ResponseDescription,
+    };
+  } catch (error) {
+    console.error(`❌ C2B URL registration error for ${shortcode}:`, error.details || error.message);
+
+    return {
+      success: false,
+      message: error.userMessage || error.message,
+      error: error.details || error.message,
+    };
+  }
+};
+
+/**
+ * Send a request that Daraja answers later on our refund result URL
+ * (B2C and Transaction Reversal)
+ * @returns {object} { success, conversationId, originatorConversationId } or
+ *   { success: false, message, code, outcomeUnknown, error } - outcomeUnknown
+ *   means Daraja may have accepted it (timeout or dropped connection)
+ */
+const sendRefundRequest = async (label, path, body) => {
+  if (!INITIATOR_NAME || !SECURITY_CREDENTIAL || !process.env.PUBLIC_API_URL) {
+    return {
+      success: false,
+      message: 'MPESA_INITIATOR_NAME, MPESA_SECURITY_CREDENTIAL and PUBLIC_API_URL must be set for refunds',
+      code: 'NOT_CONFIGURED',
+    };
+  }
+
+  try {
+    const data = await daraja.post(path, {
+      ...body,
+      ResultURL: buildCallbackUrl('/api/mpesa/refunds/result'),
+      QueueTimeOutURL: buildCallbackUrl('/api/mpesa/refunds/timeout'),
+    });
+
+    console.log(`✅ ${label} accepted:`, data.ConversationID);
+
+    return {
+      success: true,
+      conversationId: data.ConversationID,
+      originatorConversationId: data.OriginatorConversationID,
+    };
+  } catch (error) {
+    console.error(`❌ ${label} error:`, error.details || error.message);
+
+    return {
+      success: false,
+      message: error.userMessage || error.message,
+      code: error.code || null,
+      outcomeUnknown: Boolean(error.outcomeUnknown),
+      error: error.details || error.message,
+    };
+  }
+};
+
+/**
+ * Send money back to a customer (Daraja B2C)
+ * Used for partial refunds; the result arrives on /api/mpesa/refunds/result
+ * @param {string} phoneNumber
+ * @param {number} amount - Whole KES
+ * @param {string} remarks
+ */
+const initiateB2CPayment = async (phoneNumber, amount, remarks) => {
+  const formattedPhone = normalizePhoneNumber(phoneNumber);
+
+  if (!formattedPhone) {
+    return {
+      success: false,
+      message: 'Invalid phone number',
+    };
+  }
+
+  return sendRefundRequest('B2C payment', '/mpesa/b2c/v1/paymentrequest', {
+    InitiatorName: INITIATOR_NAME,
+    SecurityCredential: SECURITY_CREDENTIAL,
+    CommandID: 'BusinessPayment',
+    Amount: Math.ceil(amount),
+    PartyA: B2C_SHORT_CODE,
+    PartyB: formattedPhone,
+    Remarks: remarks || 'Refund',
+    Occasion: 'Refund',
+  });
+};
+
+/**
+ * Reverse a completed M-Pesa payment (Daraja Transaction Reversal)
+ * Returns the whole payment; the result arrives on /api/mpesa/refunds/result
+ * @param {string} mpesaReceiptNumber - Receipt of the payment to reverse
+ * @param {number} amount - Amount of that payment
+ * @param {string} remarks
+ */
+const initiateReversal = async (mpesaReceiptNumber, amount, remarks) => {
+  return sendRefundRequest('Transaction reversal', '/mpesa/reversal/v1/request', {
+    Initiator: INITIATOR_NAME,
+    SecurityCredential: SECURITY_CREDENTIAL,
+    CommandID: 'TransactionReversal',
+    TransactionID: mpesaReceiptNumber,
+    Amount: Math.ceil(amount),
+    ReceiverParty: BUSINESS_SHORT_CODE,
+    RecieverIdentifierType: '11', // Daraja's spelling; 11 = organisation shortcode
+    Remarks: remarks || 'Refund',
+    Occasion: 'Refund',
+  });
+};
+
+/**
+ * Parse a B2C or reversal result (or queue timeout) callback
+ * @returns {object} { conversationId, originatorConversationId, resultCode, resultDesc, transactionId }
+ */
+const handleResultCallback = (callbackData) => {
+  const result = callbackData?.Result || {};
+
+  return {
+    conversationId: result.ConversationID || null,
+    originatorConversationId: result.OriginatorConversationID || null,
+    resultCode: result.ResultCode === undefined ? null : Number(result.ResultCode),
+    resultDesc: result.ResultDesc || null,
+    transactionId: result.TransactionID || null,
+  };
+};
+
 /**
  * Handle M-Pesa callback (payment confirmation)
  */
@@ -217,7 +404,12 @@ const handleCallback = (callbackData) => {
 };
 
 module.exports = {
+  getTillStkTarget,
   initiateSTKPush,
+  querySTKPushStatus,
+  registerC2BUrls,
+  initiateB2CPayment,
+  initiateReversal,
   handleCallback,
-  formatPhoneNumber,
+  handleResultCallback,
 };
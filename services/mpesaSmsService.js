@@ -0,0 +1,115 @@
+const supabase = require('../config/supabase');
+const { INCOMING_TYPES, parseMpesaSms } = require('../utils/mpesaSmsParser');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+/**
+ * Keep a message the parser could not read, for review
+ * The same message sent again (e.g. a retried sync) is stored once.
+ */
+async function quarantineSms(userId, body, receivedAt) {
+  const { error } = await supabase
+    .from('sms_quarantine')
+    .upsert([{
+      user_id: userId,
+      body,
+      received_at: receivedAt,
+    }], {
+      onConflict: 'user_id,body',
+      ignoreDuplicates: true,
+    });
+
+  if (error) {
+    console.error('❌ Error quarantining SMS:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the sale a reversal took back
+ * @returns {string|null} Id of the removed sale, or null if it was not recorded
+ */
+async function reverseSale(userId, transactionCode) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .delete()
+    .eq('user_id', userId)
+    .eq('transaction_code', transactionCode)
+    .eq('category', 'sales')
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error reversing sale:', error);
+    throw error;
+  }
+
+  return data?.id || null;
+}
+
+/**
+ * Parse a raw M-Pesa SMS from a merchant's phone and act on it
+ * Money received becomes a sale; a reversal of money received removes the
+ * sale; other M-Pesa messages (payments made, Fuliza) are parsed but not
+ * recorded. Messages the parser cannot read are quarantined.
+ * @param {string} userId - Business (owner) id
+ * @param {object} message
+ * @param {string} message.body - SMS text as received
+ * @param {string} [message.receivedAt] - When the phone got it; used when the SMS has no date
+ * @returns {object} { status, parsed?, transactionId? } - status is recorded,
+ *   duplicate, reversed, ignored or quarantined
+ */
+async function processMpesaSms(userId, { body, receivedAt = null }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const parsed = parseMpesaSms(body);
+
+  if (!parsed) {
+    await quarantineSms(userId, body, receivedAt);
+    return { status: 'quarantined' };
+  }
+
+  if (parsed.type === 'reversal' && parsed.direction === 'out') {
+    const transactionId = await reverseSale(userId, parsed.reversedCode);
+    return transactionId ? { status: 'reversed', parsed, transactionId } : { status: 'ignored', parsed };
+  }
+
+  if (!INCOMING_TYPES.includes(parsed.type)) {
+    return { status: 'ignored', parsed };
+  }
+
+  const transactionId = `sms_${parsed.code}`;
+
+  const { error } = await supabase
+    .from('transactions')
+    .insert([{
+      id: transactionId,
+      user_id: userId,
+      amount: parsed.amount,
+      sender_name: parsed.counterparty,
+      transaction_code: parsed.code,
+      // Masked numbers (0712***678) and shortcodes are kept as sent
+      phone_number: normalizePhoneNumber(parsed.phone) || parsed.phone,
+      timestamp: parsed.timestamp || receivedAt || new Date().toISOString(),
+      payment_method: 'mpesa',
+      category: 'sales',
+      source: 'sms',
+    }]);
+
+  if (error) {
+    // Already recorded from this SMS, the app's own sync or a C2B confirmation
+    if (error.code === '23505') {
+      return { status: 'duplicate', parsed };
+    }
+
+    console.error('❌ Error recording SMS sale:', error);
+    throw error;
+  }
+
+  return { status: 'recorded', parsed, transactionId };
+}
+
+module.exports = {
+  processMpesaSms,
+};
@@ -1,4 +1,10 @@
+const crypto = require('crypto');
 const supabase = require('../config/supabase');
+const { sendSMS } = require('./smsService');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// Minimum wait between OTP requests for the same phone number
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
 
 /**
  * Generate a 6-digit OTP code
@@ -8,22 +14,45 @@ function generateOTP() {
 }
 
 /**
- * Send OTP via SMS (placeholder - integrate with Africa's Talking or similar)
- * For now, we'll just log it to console in development
+ * Keyed hash of an OTP as stored in otp_codes
+ * Bound to the phone number, so a stored hash only matches for that number.
+ */
+function hashOTP(phoneNumber, otpCode) {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${phoneNumber}:${otpCode}`)
+    .digest('hex');
+}
+
+/**
+ * Compare a submitted code with the stored hash in constant time
+ */
+function isOTPMatch(otpRecord, phoneNumber, otpCode) {
+  if (!otpRecord.otp_hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(otpRecord.otp_hash, 'hex');
+  const actual = Buffer.from(hashOTP(phoneNumber, otpCode), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Send OTP via the configured SMS provider
  */
 async function sendOTPSMS(phoneNumber, otpCode) {
-  // TODO: Integrate with SMS provider (Africa's Talking, Twilio, etc.)
-  console.log(`📱 SMS to ${phoneNumber}: Your CONFIRMED OTP is: ${otpCode}. Valid for 10 minutes.`);
-  
-  // In production, you would call an SMS API here:
-  // const africasTalking = require('africastalking')(config);
-  // await africasTalking.SMS.send({ to: [phoneNumber], message: `Your OTP is ${otpCode}` });
-  
-  return { success: true };
+  return sendSMS(
+    phoneNumber,
+    `Your CONFIRMED OTP is: ${otpCode}. Valid for 10 minutes.`,
+    { category: 'otp' }
+  );
 }
 
 /**
  * Create and send OTP for login
+ * A number with no account gets a stored code that is never sent, so it
+ * cannot be told apart from a registered one.
  * @param {string} phoneNumber - User's phone number
  */
 async function createOTP(phoneNumber) {
@@ -32,15 +61,53 @@ async function createOTP(phoneNumber) {
       throw new Error('Supabase not configured');
     }
 
-    // Check if user exists
-    const { data: user, error: userError } = await supabase
+    phoneNumber = normalizePhoneNumber(phoneNumber);
+    if (!phoneNumber) {
+      throw new Error('Invalid phone number');
+    }
+
+    // Check if user (business owner or active staff member) exists
+    const { data: user } = await supabase
       .from('users')
       .select('phone_number')
       .eq('phone_number', phoneNumber)
-      .single();
+      .maybeSingle();
+
+    let staff = null;
+    if (!user) {
+      const { data } = await supabase
+        .from('staff_members')
+        .select('phone_number')
+        .eq('phone_number', phoneNumber)
+        .eq('status', 'active')
+        .maybeSingle();
+      staff = data;
+    }
+
+    // Unregistered numbers go through the same steps without an SMS, so neither
+    // the response nor the resend cooldown shows which numbers have accounts
+    const isRegistered = Boolean(user || staff);
 
-    if (userError || !user) {
-      throw new Error('User not found');
+    // Enforce resend cooldown
+    const { data: lastOtp } = await supabase
+      .from('otp_codes')
+      .select('created_at')
+      .eq('phone_number', phoneNumber)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastOtp) {
+      const elapsedSeconds = Math.floor((Date.now() - new Date(lastOtp.created_at).getTime()) / 1000);
+
+      if (elapsedSeconds < OTP_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds;
+        return {
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting a new OTP.`,
+          retryAfter,
+        };
+      }
     }
 
     // Generate OTP
@@ -61,7 +128,7 @@ async function createOTP(phoneNumber) {
       .insert([
         {
           phone_number: phoneNumber,
-          otp_code: otpCode,
+          otp_hash: hashOTP(phoneNumber, otpCode),
           expires_at: expiresAt.toISOString(),
         },
       ])
@@ -73,10 +140,24 @@ async function createOTP(phoneNumber) {
       throw error;
     }
 
+    if (!isRegistered) {
+      console.log(`ℹ️ OTP requested for unregistered number ${phoneNumber}, not sent`);
+
+      return {
+        success: true,
+        otpId: data.id,
+        expiresAt: expiresAt,
+      };
+    }
+
     // Send OTP via SMS
-    await sendOTPSMS(phoneNumber, otpCode);
+    const smsResult = await sendOTPSMS(phoneNumber, otpCode);
 
-    console.log(`✅ OTP created for ${phoneNumber}: ${otpCode}`);
+    if (!smsResult.success) {
+      throw new Error('Failed to send OTP SMS. Please try again.');
+    }
+
+    console.log(`✅ OTP created for ${phoneNumber}`);
 
     return {
       success: true,
@@ -102,6 +183,14 @@ async function verifyOTP(phoneNumber, otpCode) {
       throw new Error('Supabase not configured');
     }
 
+    phoneNumber = normalizePhoneNumber(phoneNumber);
+    if (!phoneNumber) {
+      return {
+        success: false,
+        message: 'Invalid phone number',
+      };
+    }
+
     // Find the OTP
     const { data: otpRecord, error: fetchError } = await supabase
       .from('otp_codes')
@@ -139,7 +228,7 @@ async function verifyOTP(phoneNumber, otpCode) {
     }
 
     // Verify OTP code
-    if (otpRecord.otp_code !== otpCode) {
+    if (!isOTPMatch(otpRecord, phoneNumber, String(otpCode))) {
       // Increment attempts
       await supabase
         .from('otp_codes')
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { initiateSTKPush, getTillStkTarget } = require('./mpesaService');
+
+// Short codes avoid look-alike characters (0/O, 1/I/L) so they can be read out or typed
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Requests can be paid for this long unless the merchant picks another expiry
+const DEFAULT_EXPIRY_MINUTES = 24 * 60;
+const MAX_EXPIRY_MINUTES = 30 * 24 * 60;
+
+// Prompts the public payment page sends: [max prompts, window minutes]
+const REQUEST_PROMPT_LIMIT = [3, 15];
+const IP_PROMPT_LIMIT = [10, 60];
+
+const generateCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Public link to a payment request's payment page (also the QR code payload)
+ * Relative when PUBLIC_API_URL is not set
+ */
+const getPaymentUrl = (code) => `${(process.env.PUBLIC_API_URL || '').replace(/\/+$/, '')}/pay/${code}`;
+
+/**
+ * Status as customers see it: open requests past expires_at are expired
+ */
+const getPaymentRequestStatus = (paymentRequest) => {
+  if (paymentRequest.status === 'open' && new Date(paymentRequest.expires_at).getTime() <= Date.now()) {
+    return 'expired';
+  }
+
+  return paymentRequest.status;
+};
+
+/**
+ * Shape a payment_requests row for the app
+ */
+const formatPaymentRequest = (paymentRequest) => {
+  const url = getPaymentUrl(paymentRequest.code);
+
+  return {
+    id: paymentRequest.id,
+    code: paymentRequest.code,
+    amount: paymentRequest.amount,
+    description: paymentRequest.description,
+    status: getPaymentRequestStatus(paymentRequest),
+    url,
+    qrPayload: url,
+    mpesaReceiptNumber: paymentRequest.mpesa_receipt_number,
+    expiresAt: paymentRequest.expires_at,
+    paidAt: paymentRequest.paid_at,
+    createdAt: paymentRequest.created_at,
+  };
+};
+
+/**
+ * Create an amount-bound payment request with a unique short code
+ * @param {string} userId - Business (owner) id
+ * @param {object} request
+ * @param {number} request.amount - Whole KES
+ * @param {string} [request.description]
+ * @param {number} [request.expiresInMinutes]
+ */
+async function createPaymentRequest(userId, { amount, description = null, expiresInMinutes = DEFAULT_EXPIRY_MINUTES }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60000).toISOString();
+
+  for (let attempt = 1; ; attempt++) {
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .insert([{
+        user_id: userId,
+        code: generateCode(),
+        amount,
+        description,
+        expires_at: expiresAt,
+      }])
+      .select()
+      .single();
+
+    if (!error) {
+      return data;
+    }
+
+    // Code already taken; try another
+    if (error.code !== '23505' || attempt >= MAX_CODE_ATTEMPTS) {
+      console.error('❌ Error creating payment request:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * A business's payment requests, newest first
+ * @param {string} userId - Business (owner) id
+ * @param {object} [options] - { status, limit, offset }
+ */
+async function listPaymentRequests(userId, { status = null, limit = 50, offset = 0 } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('payment_requests')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error listing payment requests:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Find a payment request by its short code, with the business name
+ * @returns {object|null} payment_requests row with users (business_name)
+ */
+async function getPaymentRequestByCode(code) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('payment_requests')
+    .select('*, users (business_name)')
+    .eq('code', String(code).toUpperCase())
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching payment request:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Cancel an open payment request
+ * @returns {object|null} The cancelled request, or null if not found or no longer open
+ */
+async function cancelPaymentRequest(userId, paymentRequestId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('payment_requests')
+    .update({ status: 'cancelled' })
+    .eq('id', paymentRequestId)
+    .eq('user_id', userId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error cancelling payment request:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Seconds until a prompt may be sent, when the limit is reached
+ * @param {string} column - payment_request_id or client_ip
+ * @param {Array} limit - [max prompts, window minutes]
+ * @returns {number} 0 when not limited
+ */
+async function getPromptRetryAfter(column, value, [maxPrompts, windowMinutes]) {
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('mpesa_transactions')
+    .select('created_at')
+    .eq(column, value)
+    .eq('purpose', 'payment_request')
+    .gt('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(maxPrompts);
+
+  if (error) {
+    throw error;
+  }
+
+  if (data.length < maxPrompts) {
+    return 0;
+  }
+
+  // Free again when the oldest prompt in the window falls out of it
+  const oldest = new Date(data[data.length - 1].created_at).getTime();
+  return Math.max(Math.ceil((oldest + windowMinutes * 60 * 1000 - Date.now()) / 1000), 1);
+}
+
+/**
+ * Check whether the payment page may send another prompt for a request
+ * Limits prompts per request and per client IP, so the public page cannot
+ * be used to flood phone numbers with prompts.
+ * @param {string} paymentRequestId
+ * @param {string|null} clientIp
+ * @returns {object} { limited, retryAfter? } - retryAfter in seconds
+ */
+async function checkPromptThrottle(paymentRequestId, clientIp) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const requestRetryAfter = await getPromptRetryAfter('payment_request_id', paymentRequestId, REQUEST_PROMPT_LIMIT);
+  const ipRetryAfter = clientIp ? await getPromptRetryAfter('client_ip', clientIp, IP_PROMPT_LIMIT) : 0;
+  const retryAfter = Math.max(requestRetryAfter, ipRetryAfter);
+
+  return retryAfter ? { limited: true, retryAfter } : { limited: false };
+}
+
+/**
+ * Send an STK push for a payment request to the number the customer entered
+ * The money goes to the business's own till or paybill.
+ * @param {object} paymentRequest - Open payment_requests row
+ * @param {string} phoneNumber - Normalized customer phone
+ * @param {object} till - From getPromptTill
+ * @param {object} [options]
+ * @param {string} [options.clientIp] - Who asked for the prompt, for checkPromptThrottle
+ * @returns {object} initiateSTKPush result
+ */
+async function startPaymentRequestPayment(paymentRequest, phoneNumber, till, { clientIp = null } = {}) {
+  const description = paymentRequest.description || `Payment ${paymentRequest.code}`;
+  const accountReference = till.account_reference || `PAY-${paymentRequest.code}`;
+
+  const result = await initiateSTKPush(phoneNumber, paymentRequest.amount, accountReference, description, getTillStkTarget(till));
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { error } = await supabase
+    .from('mpesa_transactions')
+    .insert([
+      {
+        user_id: paymentRequest.user_id,
+        merchant_request_id: result.data.merchantRequestId,
+        checkout_request_id: result.data.checkoutRequestId,
+        phone_number: phoneNumber,
+        amount: paymentRequest.amount,
+        account_reference: accountReference,
+        purpose: 'payment_request',
+        payment_request_id: paymentRequest.id,
+        till_id: till.id,
+        client_ip: clientIp,
+        transaction_desc: description,
+        status: 'pending',
+        created_at: new Date().toISOString(),
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error storing payment request transaction:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Record a completed payment request payment as a sale and mark the request paid
+ * The sale id is derived from the M-Pesa transaction, so repeated calls
+ * insert it once.
+ * @param {object} transaction - Completed mpesa_transactions row (purpose payment_request)
+ * @param {string|null} mpesaReceiptNumber
+ */
+async function applyPaymentRequestPayment(transaction, mpesaReceiptNumber) {
+  const now = new Date().toISOString();
+
+  const { data: paymentRequest } = await supabase
+    .from('payment_requests')
+    .update({
+      status: 'paid',
+      paid_at: now,
+      mpesa_receipt_number: mpesaReceiptNumber,
+    })
+    .eq('id', transaction.payment_request_id)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (!paymentRequest) {
+    // Paid twice or cancelled meanwhile; the money still arrived, so the sale is recorded
+    console.warn(`⚠️ Payment ${transaction.id} for payment request ${transaction.payment_request_id} that is no longer open`);
+  }
+
+  const { error } = await supabase
+    .from('transactions')
+    .insert([{
+      id: `pr_${transaction.id}`,
+      user_id: transaction.user_id,
+      amount: transaction.amount,
+      transaction_code: mpesaReceiptNumber,
+      phone_number: transaction.phone_number,
+      timestamp: now,
+      payment_method: 'mpesa',
+      category: 'sales',
+      source: 'payment_request',
+      payment_request_id: transaction.payment_request_id,
+      note: paymentRequest?.description || null,
+    }]);
+
+  if (error && error.code !== '23505') {
+    console.error('❌ Error recording payment request sale:', error);
+    throw error;
+  }
+
+  console.log(`✅ Payment request ${transaction.payment_request_id} paid (${mpesaReceiptNumber || 'receipt pending'})`);
+
+  return paymentRequest;
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_MINUTES,
+  MAX_EXPIRY_MINUTES,
+  getPaymentRequestStatus,
+  formatPaymentRequest,
+  createPaymentRequest,
+  listPaymentRequests,
+  getPaymentRequestByCode,
+  cancelPaymentRequest,
+  checkPromptThrottle,
+  startPaymentRequestPayment,
+  applyPaymentRequestPayment,
+};
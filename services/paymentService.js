@@ -0,0 +1,457 @@
+const supabase = require('../config/supabase');
+const { sendSMS } = require('./smsService');
+const { applyPayment } = require('./subscriptionService');
+const { querySTKPushStatus, getTillStkTarget } = require('./mpesaService');
+const { getTillById } = require('./c2bService');
+const { getActivePlan, getPlanById } = require('./planService');
+const { applyDebtPayment } = require('./debtPaymentService');
+const { applyPaymentRequestPayment } = require('./paymentRequestService');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// Pending STK payments older than this are queried instead of waiting for the callback
+const MPESA_RECONCILE_AFTER_MINUTES = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 2;
+// Payments M-Pesa still reports as processing after this long are marked failed
+const MPESA_PENDING_TIMEOUT_MINUTES = parseInt(process.env.MPESA_PENDING_TIMEOUT_MINUTES) || 60;
+// Minimum gap between STK queries for the same transaction
+const STK_QUERY_INTERVAL_SECONDS = 30;
+const RECONCILE_BATCH_SIZE = 50;
+
+/**
+ * Record a payment callback that failed verification, for admin review
+ * @param {string} reason - e.g. amount_mismatch, phone_mismatch, not_pending
+ * @param {object} details
+ * @param {object} [details.transaction] - mpesa_transactions row the callback refers to
+ * @param {string} [details.checkoutRequestId]
+ * @param {object} [details.expected] - What the stored transaction says
+ * @param {object} [details.received] - What the callback says
+ * @param {string} [details.sourceIp]
+ * @param {object} [details.payload] - Raw callback body
+ */
+async function recordPaymentAnomaly(reason, {
+  transaction = null,
+  checkoutRequestId = null,
+  expected = null,
+  received = null,
+  sourceIp = null,
+  payload = null,
+} = {}) {
+  console.warn(`⚠️ Payment anomaly (${reason}) for ${checkoutRequestId || 'unknown checkout'}`);
+
+  if (!supabase) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('payment_anomalies')
+    .insert([
+      {
+        reason,
+        mpesa_transaction_id: transaction?.id || null,
+        user_id: transaction?.user_id || null,
+        checkout_request_id: checkoutRequestId || transaction?.checkout_request_id || null,
+        expected,
+        received,
+        source_ip: sourceIp,
+        payload,
+        status: 'open',
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error recording payment anomaly:', error);
+  }
+}
+
+/**
+ * The plan version a transaction paid for
+ * Transactions from before the plan catalog only have the plan code.
+ * Only subscription payments have a plan.
+ */
+async function getTransactionPlan(transaction) {
+  if (transaction.purpose && transaction.purpose !== 'subscription') {
+    return null;
+  }
+
+  if (transaction.plan_id) {
+    return getPlanById(transaction.plan_id);
+  }
+
+  return transaction.account_reference ? getActivePlan(transaction.account_reference) : null;
+}
+
+/**
+ * Mark a verified transaction completed and apply it: extend the subscription
+ * it paid for, reduce the debt it paid towards, or record the payment
+ * request it paid as a sale
+ * The update is conditional on the transaction still being in fromStatus
+ * (pending, or flagged when an admin approves it), so only the first
+ * confirmation extends the subscription.
+ * @returns {object|null} The completed transaction, or null if its status had changed
+ */
+async function fulfilTransaction(transaction, { mpesaReceiptNumber, transactionDate, resultDesc, fromStatus = 'pending' }) {
+  const { data: completed, error } = await supabase
+    .from('mpesa_transactions')
+    .update({
+      status: 'completed',
+      mpesa_receipt_number: mpesaReceiptNumber,
+      transaction_date: transactionDate,
+      ...(resultDesc && { result_desc: resultDesc }),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', transaction.id)
+    .eq('status', fromStatus)
+    .select('id, user_id, account_reference, plan_id, purpose, debt_id, payment_request_id, phone_number, amount')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!completed) {
+    return null;
+  }
+
+  if (completed.purpose === 'debt') {
+    if (completed.debt_id) {
+      await applyDebtPayment(completed, mpesaReceiptNumber);
+    }
+    return completed;
+  }
+
+  if (completed.purpose === 'payment_request') {
+    if (completed.payment_request_id) {
+      await applyPaymentRequestPayment(completed, mpesaReceiptNumber);
+    }
+    return completed;
+  }
+
+  const plan = await getTransactionPlan(completed);
+
+  if (completed.user_id && plan) {
+    const subscription = await applyPayment(completed.user_id, {
+      plan,
+      mpesaTransactionId: completed.id,
+      amount: completed.amount,
+    });
+
+    console.log(`✅ User ${completed.user_id} on ${subscription.plan} until ${subscription.current_period_end}`);
+
+    // Send payment confirmation
+    await sendSMS(
+      completed.phone_number,
+      `Payment of KES ${completed.amount} received${mpesaReceiptNumber ? ` (M-Pesa ref ${mpesaReceiptNumber})` : ''}. ` +
+        `Your CONFIRMED ${subscription.plan} plan is active until ` +
+        `${new Date(subscription.current_period_end).toDateString()}.`,
+      { category: 'payment', userId: completed.user_id }
+    );
+  }
+
+  return completed;
+}
+
+/**
+ * Verify a successful STK callback against the stored transaction and apply it
+ * Duplicate deliveries of the same callback are ignored. Anything that does
+ * not match (unknown checkout, not pending, wrong amount or phone, reused
+ * receipt) is flagged for admin review and does not upgrade the user.
+ * @param {object} callback - Parsed callback from handleCallback
+ * @param {object} [context]
+ * @param {string} [context.sourceIp]
+ * @param {object} [context.payload] - Raw callback body, stored with anomalies
+ * @returns {object} { status: 'completed' | 'duplicate' | 'flagged', transaction }
+ */
+async function confirmPayment(callback, { sourceIp = null, payload = null } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { checkoutRequestId, mpesaReceiptNumber, transactionDate } = callback;
+  const received = {
+    amount: callback.amount,
+    phoneNumber: callback.phoneNumber,
+    mpesaReceiptNumber,
+    transactionDate,
+  };
+
+  const { data: transaction } = await supabase
+    .from('mpesa_transactions')
+    .select('*')
+    .eq('checkout_request_id', checkoutRequestId)
+    .maybeSingle();
+
+  if (!transaction) {
+    await recordPaymentAnomaly('unknown_checkout', { checkoutRequestId, received, sourceIp, payload });
+    return { status: 'flagged', transaction: null };
+  }
+
+  const anomaly = { transaction, checkoutRequestId, received, sourceIp, payload };
+
+  if (transaction.status !== 'pending') {
+    // Safaricom retries callbacks; the same receipt again is harmless
+    if (transaction.status === 'completed' && transaction.mpesa_receipt_number === mpesaReceiptNumber) {
+      console.log(`ℹ️ Duplicate callback for ${checkoutRequestId} ignored`);
+      return { status: 'duplicate', transaction };
+    }
+
+    // Settled by an STK query, which has no receipt; fill it in from the late callback
+    if (
+      transaction.status === 'completed' &&
+      !transaction.mpesa_receipt_number &&
+      Number(callback.amount) === Number(transaction.amount)
+    ) {
+      const { data: updated } = await supabase
+        .from('mpesa_transactions')
+        .update({
+          mpesa_receipt_number: mpesaReceiptNumber,
+          transaction_date: transactionDate,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', transaction.id)
+        .is('mpesa_receipt_number', null)
+        .select()
+        .maybeSingle();
+
+      if (updated?.debt_id) {
+        await supabase
+          .from('debts')
+          .update({ mpesa_receipt_number: mpesaReceiptNumber })
+          .eq('id', updated.debt_id)
+          .is('mpesa_receipt_number', null);
+      }
+
+      if (updated?.payment_request_id) {
+        await supabase
+          .from('payment_requests')
+          .update({ mpesa_receipt_number: mpesaReceiptNumber })
+          .eq('id', updated.payment_request_id)
+          .is('mpesa_receipt_number', null);
+
+        await supabase
+          .from('transactions')
+          .update({ transaction_code: mpesaReceiptNumber })
+          .eq('id', `pr_${updated.id}`)
+          .is('transaction_code', null);
+      }
+
+      return { status: 'duplicate', transaction: updated || transaction };
+    }
+
+    await recordPaymentAnomaly('not_pending', {
+      ...anomaly,
+      expected: { status: 'pending', actualStatus: transaction.status },
+    });
+    return { status: 'flagged', transaction };
+  }
+
+  const expectedAmount = Number(transaction.amount);
+  const planPrice = (await getTransactionPlan(transaction))?.price;
+  const expected = {
+    amount: expectedAmount,
+    planPrice: planPrice || null,
+    phoneNumber: transaction.phone_number,
+  };
+
+  let reason = null;
+  if (Number(callback.amount) !== expectedAmount || (planPrice && expectedAmount !== planPrice)) {
+    reason = 'amount_mismatch';
+  } else if (normalizePhoneNumber(callback.phoneNumber) !== normalizePhoneNumber(transaction.phone_number)) {
+    reason = 'phone_mismatch';
+  }
+
+  if (reason) {
+    await flagTransaction(transaction, reason);
+    await recordPaymentAnomaly(reason, { ...anomaly, expected });
+    return { status: 'flagged', transaction };
+  }
+
+  try {
+    const completed = await fulfilTransaction(transaction, { mpesaReceiptNumber, transactionDate });
+
+    if (!completed) {
+      // Another delivery of this callback completed it first
+      return { status: 'duplicate', transaction };
+    }
+
+    return { status: 'completed', transaction: completed };
+  } catch (error) {
+    // mpesa_receipt_number is unique: a receipt already used by another transaction
+    if (error.code === '23505') {
+      await flagTransaction(transaction, 'duplicate_receipt');
+      await recordPaymentAnomaly('duplicate_receipt', { ...anomaly, expected });
+      return { status: 'flagged', transaction };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take a pending transaction out of processing until an admin reviews it
+ */
+async function flagTransaction(transaction, reason) {
+  await supabase
+    .from('mpesa_transactions')
+    .update({
+      status: 'flagged',
+      result_desc: `Flagged for review: ${reason}`,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', transaction.id)
+    .eq('status', 'pending');
+}
+
+/**
+ * Record a failed or cancelled STK payment
+ * Only pending transactions change, so late or replayed failures cannot undo a payment
+ */
+async function failPayment(callback) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  await supabase
+    .from('mpesa_transactions')
+    .update({
+      status: 'failed',
+      result_desc: callback.resultDesc,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('checkout_request_id', callback.checkoutRequestId)
+    .eq('status', 'pending');
+}
+
+/**
+ * Approve a flagged transaction after admin review and apply it
+ * @param {string} mpesaTransactionId - mpesa_transactions row id
+ * @param {object} receipt - { mpesaReceiptNumber, transactionDate } from the anomaly
+ * @returns {object|null} The completed transaction, or null if it was not flagged
+ */
+async function approveFlaggedTransaction(mpesaTransactionId, { mpesaReceiptNumber, transactionDate = null }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  return fulfilTransaction({ id: mpesaTransactionId }, {
+    mpesaReceiptNumber,
+    transactionDate,
+    fromStatus: 'flagged',
+  });
+}
+
+/**
+ * Whether a pending transaction should be checked with an STK query now
+ * Gives the callback a head start and throttles repeated status polling
+ */
+function isDueForQuery(transaction) {
+  if (transaction.status !== 'pending') {
+    return false;
+  }
+
+  const cutoff = Date.now() - STK_QUERY_INTERVAL_SECONDS * 1000;
+
+  return new Date(transaction.created_at).getTime() <= cutoff &&
+    (!transaction.last_queried_at || new Date(transaction.last_queried_at).getTime() <= cutoff);
+}
+
+/**
+ * Settle a pending transaction from an STK Push Query
+ * Completed and failed results are applied the same way a callback would be.
+ * Payments still processing after MPESA_PENDING_TIMEOUT_MINUTES are failed.
+ * @param {object} transaction - mpesa_transactions row
+ * @returns {object} The transaction as it is after the query
+ */
+async function reconcileTransaction(transaction) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  await supabase
+    .from('mpesa_transactions')
+    .update({ last_queried_at: new Date().toISOString() })
+    .eq('id', transaction.id);
+
+  // Prompts to a merchant's till are queried with that till's shortcode
+  const till = transaction.till_id ? await getTillById(transaction.till_id) : null;
+  const query = await querySTKPushStatus(transaction.checkout_request_id, till ? getTillStkTarget(till) : undefined);
+
+  if (!query.success) {
+    return transaction;
+  }
+
+  const ageMinutes = (Date.now() - new Date(transaction.created_at).getTime()) / 60000;
+
+  if (query.status === 'completed') {
+    await fulfilTransaction(transaction, {
+      mpesaReceiptNumber: null,
+      transactionDate: null,
+      resultDesc: query.resultDesc,
+    });
+  } else if (query.status === 'failed') {
+    await failPayment({ checkoutRequestId: transaction.checkout_request_id, resultDesc: query.resultDesc });
+  } else if (ageMinutes >= MPESA_PENDING_TIMEOUT_MINUTES) {
+    await failPayment({ checkoutRequestId: transaction.checkout_request_id, resultDesc: 'No result from M-Pesa' });
+  }
+
+  const { data: updated } = await supabase
+    .from('mpesa_transactions')
+    .select('*')
+    .eq('id', transaction.id)
+    .maybeSingle();
+
+  if (updated && updated.status !== 'pending') {
+    console.log(`🔎 STK query settled ${transaction.checkout_request_id} as ${updated.status}`);
+  }
+
+  return updated || transaction;
+}
+
+/**
+ * Query pending transactions whose callback has not arrived
+ * after MPESA_RECONCILE_AFTER_MINUTES and settle them
+ * @returns {object} Counts of transactions completed, failed and still pending
+ */
+async function reconcilePendingTransactions() {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const now = Date.now();
+  const createdBefore = new Date(now - MPESA_RECONCILE_AFTER_MINUTES * 60000).toISOString();
+  const queriedBefore = new Date(now - STK_QUERY_INTERVAL_SECONDS * 1000).toISOString();
+
+  const { data: transactions, error } = await supabase
+    .from('mpesa_transactions')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('created_at', createdBefore)
+    .or(`last_queried_at.is.null,last_queried_at.lte."${queriedBefore}"`)
+    .order('created_at', { ascending: true })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  if (error) {
+    throw error;
+  }
+
+  const counts = { completed: 0, failed: 0, pending: 0 };
+
+  for (const transaction of transactions) {
+    try {
+      const updated = await reconcileTransaction(transaction);
+      counts[updated.status] = (counts[updated.status] || 0) + 1;
+    } catch (err) {
+      console.error(`❌ Error reconciling ${transaction.checkout_request_id}:`, err.message);
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  recordPaymentAnomaly,
+  confirmPayment,
+  failPayment,
+  approveFlaggedTransaction,
+  getTransactionPlan,
+  isDueForQuery,
+  reconcileTransaction,
+  reconcilePendingTransactions,
+};
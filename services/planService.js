@@ -0,0 +1,209 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Shape a plans row for responses
+ */
+function formatPlan(plan) {
+  return {
+    id: plan.id,
+    code: plan.code,
+    version: plan.version,
+    name: plan.name,
+    price: plan.price,
+    billingPeriodDays: plan.billing_period_days,
+    trialDays: plan.trial_days,
+    entitlements: plan.entitlements || {},
+    status: plan.status,
+    createdAt: plan.created_at,
+    retiredAt: plan.retired_at,
+  };
+}
+
+/**
+ * List plans, cheapest first
+ * @param {object} [options]
+ * @param {boolean} [options.includeRetired] - Include retired plans and old versions (admin)
+ */
+async function listPlans({ includeRetired = false } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('plans')
+    .select('*')
+    .order('price', { ascending: true })
+    .order('version', { ascending: false });
+
+  if (!includeRetired) {
+    query = query.eq('status', 'active');
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error listing plans:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Current version of a plan that can be bought (null if unknown or retired)
+ * @param {string} code - Plan code, e.g. basic
+ */
+async function getActivePlan(code) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('plans')
+    .select('*')
+    .eq('code', code)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching plan:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * A specific plan version, active or retired
+ * @param {string} planId - plans row id
+ */
+async function getPlanById(planId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('plans')
+    .select('*')
+    .eq('id', planId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching plan:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add a new plan to the catalog (version 1)
+ * @param {object} plan - { code, name, price, billingPeriodDays, trialDays, entitlements }
+ */
+async function createPlan({ code, name, price, billingPeriodDays, trialDays = 0, entitlements = {} }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: latest } = await supabase
+    .from('plans')
+    .select('version')
+    .eq('code', code)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('plans')
+    .insert([
+      {
+        code,
+        version: (latest?.version || 0) + 1,
+        name,
+        price,
+        billing_period_days: billingPeriodDays,
+        trial_days: trialDays,
+        entitlements,
+        status: 'active',
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating plan:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Retire the active version of a plan so it can no longer be bought
+ * Existing subscriptions keep running until their period ends.
+ * @returns {object|null} The retired row, or null if the plan had no active version
+ */
+async function retirePlan(code) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('plans')
+    .update({ status: 'retired', retired_at: new Date().toISOString() })
+    .eq('code', code)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error retiring plan:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Change a plan's price, period, trial or entitlements
+ * Plans are versioned: the current version is retired and a new one created,
+ * so past payments keep pointing at the version they bought.
+ * @param {string} code - Plan code
+ * @param {object} changes - Any of { name, price, billingPeriodDays, trialDays, entitlements }
+ * @returns {object|null} The new version, or null if the plan has no active version
+ */
+async function revisePlan(code, changes) {
+  const current = await retirePlan(code);
+
+  if (!current) {
+    return null;
+  }
+
+  try {
+    return await createPlan({
+      code,
+      name: changes.name ?? current.name,
+      price: changes.price ?? current.price,
+      billingPeriodDays: changes.billingPeriodDays ?? current.billing_period_days,
+      trialDays: changes.trialDays ?? current.trial_days,
+      entitlements: changes.entitlements ?? current.entitlements,
+    });
+  } catch (error) {
+    // Put the previous version back on sale rather than leave the plan unavailable
+    await supabase
+      .from('plans')
+      .update({ status: 'active', retired_at: null })
+      .eq('id', current.id);
+    throw error;
+  }
+}
+
+module.exports = {
+  formatPlan,
+  listPlans,
+  getActivePlan,
+  getPlanById,
+  createPlan,
+  retirePlan,
+  revisePlan,
+};
@@ -0,0 +1,203 @@
+const PDFDocument = require('pdfkit');
+const supabase = require('../config/supabase');
+const { parseMpesaTimestamp } = require('../utils/mpesaTime');
+const { escapeHtml } = require('../utils/html');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-KE', {
+  timeZone: 'Africa/Nairobi',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-KE', {
+  timeZone: 'Africa/Nairobi',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const formatAmount = (amount) => `KES ${Number(amount).toLocaleString('en-KE')}`;
+
+/**
+ * A business's subscription payments, newest first
+ * @param {string} userId - Business (owner) id
+ * @param {object} [options] - { status, limit, offset }
+ */
+async function listBillingHistory(userId, { status = null, limit = 50, offset = 0 } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('mpesa_transactions')
+    .select('id, checkout_request_id, amount, phone_number, account_reference, status, mpesa_receipt_number, transaction_date, result_desc, created_at, plans (code, name)')
+    .eq('user_id', userId)
+    .eq('purpose', 'subscription')
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error listing billing history:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Everything printed on the receipt for a subscription payment
+ * The period covered comes from the subscription event the payment created.
+ * @param {string} userId - Business (owner) id
+ * @param {string} checkoutRequestId
+ * @returns {object} { receipt } for a completed payment, { status } for one that
+ *   has not completed, or {} when the payment is not found
+ */
+async function getReceipt(userId, checkoutRequestId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: transaction, error } = await supabase
+    .from('mpesa_transactions')
+    .select('*, plans (code, name, billing_period_days, trial_days), users (business_name, phone_number)')
+    .eq('checkout_request_id', checkoutRequestId)
+    .eq('user_id', userId)
+    .eq('purpose', 'subscription')
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching receipt transaction:', error);
+    throw error;
+  }
+
+  if (!transaction) {
+    return {};
+  }
+
+  if (transaction.status !== 'completed') {
+    return { status: transaction.status };
+  }
+
+  const { data: event } = await supabase
+    .from('subscription_events')
+    .select('event_type, plan, period_end, metadata')
+    .eq('mpesa_transaction_id', transaction.id)
+    .in('event_type', ['activated', 'renewed'])
+    .limit(1)
+    .maybeSingle();
+
+  const { data: refunds } = await supabase
+    .from('refunds')
+    .select('amount')
+    .eq('mpesa_transaction_id', transaction.id)
+    .eq('status', 'completed');
+
+  const plan = transaction.plans;
+  let periodStart = null;
+  let periodEnd = null;
+
+  if (event?.period_end && event.metadata?.paidFrom) {
+    periodEnd = event.period_end;
+    periodStart = event.metadata.paidFrom;
+  } else if (event?.period_end && plan) {
+    // Events recorded before paidFrom was kept with them
+    const days = plan.billing_period_days + (event.event_type === 'activated' ? plan.trial_days : 0);
+    periodEnd = event.period_end;
+    periodStart = new Date(new Date(periodEnd).getTime() - days * DAY_MS).toISOString();
+  }
+
+  const paidAt = parseMpesaTimestamp(transaction.transaction_date)?.toISOString()
+    || transaction.updated_at
+    || transaction.created_at;
+
+  return {
+    receipt: {
+      checkoutRequestId: transaction.checkout_request_id,
+      mpesaReceiptNumber: transaction.mpesa_receipt_number,
+      businessName: transaction.users?.business_name || null,
+      phoneNumber: transaction.phone_number,
+      plan: plan?.name || event?.plan || transaction.account_reference,
+      periodStart,
+      periodEnd,
+      amount: transaction.amount,
+      refundedAmount: (refunds || []).reduce((total, refund) => total + refund.amount, 0),
+      paidAt,
+    },
+  };
+}
+
+/**
+ * Label and value pairs shown on both receipt formats
+ */
+const receiptLines = (receipt) => [
+  ['Business', receipt.businessName || '-'],
+  ['Paid from', receipt.phoneNumber],
+  ['Plan', receipt.plan],
+  ['Period covered', receipt.periodEnd ? `${formatDate(receipt.periodStart)} - ${formatDate(receipt.periodEnd)}` : '-'],
+  ['M-Pesa receipt', receipt.mpesaReceiptNumber || 'Pending from M-Pesa'],
+  ['Date paid', formatDateTime(receipt.paidAt)],
+  ['Amount paid', formatAmount(receipt.amount)],
+  ...(receipt.refundedAmount ? [['Refunded', formatAmount(receipt.refundedAmount)]] : []),
+];
+
+/**
+ * Receipt as a printable HTML page
+ */
+function renderReceiptHtml(receipt) {
+  const rows = receiptLines(receipt)
+    .map(([label, value]) => `<tr><th style="text-align: left; padding: 0.4em 1em 0.4em 0; color: #555;">${escapeHtml(label)}</th><td style="padding: 0.4em 0;">${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>CONFIRMED receipt ${escapeHtml(receipt.mpesaReceiptNumber || '')}</title></head>
+<body style="font-family: sans-serif; padding: 2em; max-width: 32em; margin: auto;">
+<h2 style="margin-bottom: 0;">CONFIRMED</h2>
+<p style="margin-top: 0.2em; color: #555;">Subscription payment receipt</p>
+<table style="border-collapse: collapse; width: 100%;">
+${rows}
+</table>
+</body></html>`;
+}
+
+/**
+ * Write the receipt as a one-page PDF
+ * @param {object} receipt - From getReceipt
+ * @param {stream.Writable} stream - e.g. the Express response
+ */
+function writeReceiptPdf(receipt, stream) {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+
+  doc.pipe(stream);
+
+  doc.fontSize(20).font('Helvetica-Bold').text('CONFIRMED');
+  doc.fontSize(11).font('Helvetica').fillColor('#555555').text('Subscription payment receipt');
+  doc.moveDown(1.5);
+
+  for (const [label, value] of receiptLines(receipt)) {
+    const y = doc.y;
+    doc.font('Helvetica').fillColor('#555555').text(label, 40, y, { width: 120 });
+    doc.font('Helvetica-Bold').fillColor('#000000').text(value, 170, y, { width: doc.page.width - 210 });
+    doc.moveDown(0.6);
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  listBillingHistory,
+  getReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+};
@@ -0,0 +1,331 @@
+const supabase = require('../config/supabase');
+const { initiateB2CPayment, initiateReversal } = require('./mpesaService');
+const { getTransactionPlan } = require('./paymentService');
+const { reversePayment } = require('./subscriptionService');
+const { sendSMS } = require('./smsService');
+
+// reversal: Daraja Transaction Reversal, returns the whole payment
+// b2c: Daraja B2C, sends any amount up to what is left of the payment
+const REFUND_METHODS = ['reversal', 'b2c'];
+
+// Refunds that count against the payment; unknown ones may have been paid
+const OPEN_REFUND_STATUSES = ['pending', 'unknown', 'completed'];
+
+/**
+ * Amount of a payment already refunded or being refunded
+ * Only used for a clear error message; the database enforces the limit.
+ */
+async function getRefundedAmount(mpesaTransactionId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('amount')
+    .eq('mpesa_transaction_id', mpesaTransactionId)
+    .in('status', OPEN_REFUND_STATUSES);
+
+  if (error) {
+    console.error('❌ Error fetching refunds:', error);
+    throw error;
+  }
+
+  return data.reduce((total, refund) => total + refund.amount, 0);
+}
+
+/**
+ * Start refunding a completed subscription payment
+ * The refund stays pending until Daraja calls /api/mpesa/refunds/result. When
+ * the request to M-Pesa times out it is left unknown for an admin to resolve
+ * (resolveRefund), since M-Pesa may have paid it.
+ * @param {string} mpesaTransactionId
+ * @param {object} refund
+ * @param {string} refund.method - reversal or b2c
+ * @param {number} [refund.amount] - Whole KES; defaults to what is left of the payment
+ * @param {string} refund.reason
+ * @param {string} refund.adminId - Admin who asked for it
+ * @returns {object} { refund } on success, or { error, status } (HTTP status) when it cannot start
+ */
+async function startRefund(mpesaTransactionId, { method, amount, reason, adminId }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: transaction } = await supabase
+    .from('mpesa_transactions')
+    .select('*')
+    .eq('id', mpesaTransactionId)
+    .maybeSingle();
+
+  if (!transaction) {
+    return { error: 'Payment not found', status: 404 };
+  }
+
+  // Debt and payment request payments went to the merchant's own till; only
+  // money paid to the platform shortcode can come back out of its float
+  if ((transaction.purpose && transaction.purpose !== 'subscription') || transaction.till_id) {
+    return { error: 'Only subscription payments made to the platform can be refunded; the merchant refunds their own till payments', status: 409 };
+  }
+
+  if (transaction.status !== 'completed' || !transaction.mpesa_receipt_number) {
+    return { error: 'Only completed payments with an M-Pesa receipt can be refunded', status: 409 };
+  }
+
+  const refundable = transaction.amount - await getRefundedAmount(transaction.id);
+  const refundAmount = amount === undefined ? refundable : amount;
+
+  if (refundable <= 0) {
+    return { error: 'This payment has already been refunded', status: 409 };
+  }
+
+  if (refundAmount > refundable) {
+    return { error: `At most KES ${refundable} of this payment can be refunded`, status: 400 };
+  }
+
+  if (method === 'reversal' && refundAmount !== transaction.amount) {
+    return { error: 'A reversal returns the whole payment; use b2c for a partial refund', status: 400 };
+  }
+
+  const { data: refund, error } = await supabase
+    .from('refunds')
+    .insert([{
+      mpesa_transaction_id: transaction.id,
+      user_id: transaction.user_id,
+      amount: refundAmount,
+      method,
+      reason,
+      requested_by: adminId,
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    // check_refund_total: another refund of this payment was started meanwhile
+    if (error.code === '23514') {
+      return { error: 'This would refund more than the payment; another refund was started for it', status: 409 };
+    }
+
+    console.error('❌ Error creating refund:', error);
+    throw error;
+  }
+
+  const remarks = `Refund ${transaction.mpesa_receipt_number}`;
+  const result = method === 'reversal'
+    ? await initiateReversal(transaction.mpesa_receipt_number, refundAmount, remarks)
+    : await initiateB2CPayment(transaction.phone_number, refundAmount, remarks);
+
+  let updates;
+
+  if (result.success) {
+    updates = {
+      conversation_id: result.conversationId,
+      originator_conversation_id: result.originatorConversationId,
+    };
+  } else if (result.outcomeUnknown) {
+    updates = {
+      status: 'unknown',
+      result_desc: `No answer from M-Pesa: ${result.error}`,
+    };
+  } else {
+    updates = {
+      status: 'failed',
+      result_desc: result.message,
+      completed_at: new Date().toISOString(),
+    };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('refunds')
+    .update(updates)
+    .eq('id', refund.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error('❌ Error updating refund:', updateError);
+    throw updateError;
+  }
+
+  if (result.outcomeUnknown) {
+    console.warn(`⚠️ Refund ${refund.id} outcome unknown, left for an admin to resolve`);
+    return {
+      refund: updated,
+      error: 'M-Pesa did not answer, so the refund may or may not have been paid. Check M-Pesa and resolve it before refunding again.',
+      status: 504,
+    };
+  }
+
+  if (!result.success) {
+    return { refund: updated, error: `M-Pesa did not accept the refund: ${result.message}`, status: 502 };
+  }
+
+  console.log(`💸 Refund ${refund.id} of KES ${refundAmount} started (${method}) for payment ${transaction.id}`);
+
+  return { refund: updated };
+}
+
+/**
+ * Find the refund a result callback is about
+ */
+async function findRefundForResult({ conversationId, originatorConversationId }) {
+  if (!conversationId && !originatorConversationId) {
+    return null;
+  }
+
+  const { data: refund } = await supabase
+    .from('refunds')
+    .select('*, mpesa_transactions (*)')
+    .eq(conversationId ? 'conversation_id' : 'originator_conversation_id', conversationId || originatorConversationId)
+    .maybeSingle();
+
+  return refund;
+}
+
+/**
+ * Take back the subscription days a completed refund paid for
+ * Days are removed in proportion to the amount refunded; trial days are kept.
+ */
+async function adjustSubscriptionForRefund(refund) {
+  const transaction = refund.mpesa_transactions;
+  const plan = transaction ? await getTransactionPlan(transaction) : null;
+
+  if (!transaction?.user_id || !plan) {
+    return null;
+  }
+
+  const days = Math.round(plan.billing_period_days * refund.amount / transaction.amount);
+
+  return reversePayment(transaction.user_id, {
+    days,
+    mpesaTransactionId: transaction.id,
+    metadata: { refundId: refund.id, amount: refund.amount },
+  });
+}
+
+/**
+ * Take back the subscription days and tell the customer, once a refund is paid
+ * @param {object} refund - refunds row with mpesa_transactions
+ * @param {string} receiptNumber - M-Pesa receipt of the refund
+ */
+async function finishCompletedRefund(refund, receiptNumber) {
+  const subscription = await adjustSubscriptionForRefund(refund);
+
+  console.log(`✅ Refund ${refund.id} completed (${receiptNumber})`);
+
+  if (refund.mpesa_transactions?.phone_number) {
+    let planNote = '';
+    if (subscription) {
+      planNote = subscription.status === 'expired'
+        ? ` Your CONFIRMED ${subscription.plan} plan has ended.`
+        : ` Your CONFIRMED ${subscription.plan} plan now ends on ${new Date(subscription.current_period_end).toDateString()}.`;
+    }
+
+    await sendSMS(
+      refund.mpesa_transactions.phone_number,
+      `KES ${refund.amount} has been refunded to you by M-Pesa (ref ${receiptNumber}).${planNote}`,
+      { category: 'payment', userId: refund.user_id }
+    );
+  }
+}
+
+/**
+ * Settle a refund from a B2C or reversal result callback
+ * Only pending refunds change, so repeated callbacks are harmless.
+ * @param {object} result - Parsed by mpesaService.handleResultCallback
+ * @param {object} [options]
+ * @param {boolean} [options.timedOut] - From the queue timeout URL
+ * @returns {object|null} The settled refund, or null if unknown or already settled
+ */
+async function settleRefund(result, { timedOut = false } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const refund = await findRefundForResult(result);
+
+  if (!refund) {
+    console.warn('⚠️ Refund result for unknown request:', result.conversationId || result.originatorConversationId);
+    return null;
+  }
+
+  const completed = !timedOut && result.resultCode === 0;
+
+  const { data: settled } = await supabase
+    .from('refunds')
+    .update({
+      status: completed ? 'completed' : 'failed',
+      refund_receipt_number: completed ? result.transactionId : null,
+      result_code: result.resultCode,
+      result_desc: timedOut ? 'Request timed out in the M-Pesa queue' : result.resultDesc,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', refund.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (!settled) {
+    return null;
+  }
+
+  if (!completed) {
+    console.log(`❌ Refund ${refund.id} failed: ${settled.result_desc}`);
+    return settled;
+  }
+
+  await finishCompletedRefund(refund, result.transactionId);
+
+  return settled;
+}
+
+/**
+ * Resolve a refund whose outcome is unknown, after checking M-Pesa (admin)
+ * @param {string} refundId
+ * @param {object} resolution
+ * @param {string} resolution.status - completed (M-Pesa paid it) or failed
+ * @param {string} [resolution.receiptNumber] - M-Pesa receipt, required when completed
+ * @param {string} resolution.note - What was checked
+ * @returns {object} { refund } or { error, status } (HTTP status)
+ */
+async function resolveRefund(refundId, { status, receiptNumber = null, note }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: refund } = await supabase
+    .from('refunds')
+    .select('*, mpesa_transactions (*)')
+    .eq('id', refundId)
+    .maybeSingle();
+
+  if (!refund) {
+    return { error: 'Refund not found', status: 404 };
+  }
+
+  const { data: resolved } = await supabase
+    .from('refunds')
+    .update({
+      status,
+      refund_receipt_number: status === 'completed' ? receiptNumber : null,
+      result_desc: note,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', refund.id)
+    .eq('status', 'unknown')
+    .select()
+    .maybeSingle();
+
+  if (!resolved) {
+    return { error: `Only refunds with an unknown outcome can be resolved; this one is ${refund.status}`, status: 409 };
+  }
+
+  if (status === 'completed') {
+    await finishCompletedRefund(refund, receiptNumber);
+  }
+
+  return { refund: resolved };
+}
+
+module.exports = {
+  REFUND_METHODS,
+  startRefund,
+  settleRefund,
+  resolveRefund,
+};
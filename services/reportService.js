@@ -0,0 +1,71 @@
+const supabase = require('../config/supabase');
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// Reports that can be exported, keyed by the name used in the route
+const REPORTS = {
+  transactions: { table: 'transactions', select: '*' },
+  purchases: { table: 'purchases', select: '*, purchase_items (*)' },
+};
+
+/**
+ * Read the from/to query params of an export
+ * @returns {object|null} { from, to } (either may be null), or null if a date is invalid
+ */
+function parseReportRange({ from, to }) {
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return null;
+  }
+
+  return { from: from || null, to: to || null };
+}
+
+/**
+ * Every row of a report for a business, oldest first
+ * @param {string} report - transactions or purchases
+ * @param {string} userId - Business (owner) id
+ * @param {object} [range] - { from, to } limits on created_at
+ */
+async function collectReportRows(report, userId, { from = null, to = null } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { table, select } = REPORTS[report];
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from(table)
+      .select(select)
+      .eq('user_id', userId);
+
+    if (from) {
+      query = query.gte('created_at', new Date(from).toISOString());
+    }
+    if (to) {
+      query = query.lte('created_at', new Date(to).toISOString());
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`❌ Error exporting ${report} report:`, error);
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+module.exports = {
+  parseReportRange,
+  collectReportRows,
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Refresh tokens slide forward on every rotation
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Hash a refresh token for storage (only hashes are kept in the database)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new opaque refresh token and its expiry
+ */
+function generateRefreshToken() {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRES_DAYS);
+
+  return { refreshToken, expiresAt };
+}
+
+/**
+ * Create a session for a user login
+ * @param {string} userId - User (business) the session belongs to
+ * @param {object} [context] - Request details stored for the session list
+ * @param {string} [context.staffId] - Staff member who logged in, null for the owner
+ * @param {string} [context.deviceId] - Trusted device the session runs on
+ * @param {string} [context.userAgent]
+ * @param {string} [context.ipAddress]
+ */
+async function createSession(userId, { staffId = null, deviceId = null, userAgent = null, ipAddress = null } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { refreshToken, expiresAt } = generateRefreshToken();
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .insert([
+      {
+        user_id: userId,
+        staff_id: staffId,
+        device_id: deviceId,
+        refresh_token_hash: hashToken(refreshToken),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        expires_at: expiresAt.toISOString(),
+        last_used_at: new Date().toISOString(),
+      },
+    ])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating session:', error);
+    throw error;
+  }
+
+  return {
+    sessionId: data.id,
+    refreshToken,
+    expiresAt,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Presenting an already-rotated token revokes the session, since it means
+ * the token was copied.
+ * @param {string} refreshToken - Refresh token issued at login or last refresh
+ */
+async function rotateSession(refreshToken) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+
+  if (!session) {
+    // Check for reuse of a rotated token
+    const { data: reusedSession } = await supabase
+      .from('sessions')
+      .select('id, user_id')
+      .eq('previous_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (reusedSession) {
+      await revokeSession(reusedSession.id, 'refresh_token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for user ${reusedSession.user_id}`);
+    }
+
+    return {
+      success: false,
+      message: 'Invalid refresh token. Please log in again.',
+    };
+  }
+
+  if (session.revoked_at) {
+    return {
+      success: false,
+      message: 'Session has been revoked. Please log in again.',
+    };
+  }
+
+  if (new Date() > new Date(session.expires_at)) {
+    return {
+      success: false,
+      message: 'Session expired. Please log in again.',
+    };
+  }
+
+  const { refreshToken: newRefreshToken, expiresAt } = generateRefreshToken();
+
+  const { data: updated, error } = await supabase
+    .from('sessions')
+    .update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      expires_at: expiresAt.toISOString(),
+      last_used_at: new Date().toISOString(),
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('❌ Error rotating session:', error);
+    throw error;
+  }
+
+  // Another request rotated (or revoked) the session since it was read: the
+  // same token was presented twice, which is reuse
+  if (!updated.length) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected for user ${session.user_id}`);
+
+    return {
+      success: false,
+      message: 'Invalid refresh token. Please log in again.',
+    };
+  }
+
+  return {
+    success: true,
+    session,
+    refreshToken: newRefreshToken,
+    expiresAt,
+  };
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session to revoke
+ * @param {string} [reason] - Stored for auditing
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await supabase
+    .from('sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason,
+    })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('❌ Error revoking session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active session of a user
+ * Only the owner's sessions are revoked unless a staffId is given
+ * @param {string} userId - User (business) whose sessions are revoked
+ * @param {object} [options]
+ * @param {string} [options.staffId] - Revoke this staff member's sessions instead
+ * @param {string} [options.deviceId] - Only revoke sessions on this device
+ * @param {string} [options.exceptSessionId] - Session to keep (e.g. the current one)
+ * @param {string} [options.reason] - Stored for auditing
+ */
+async function revokeAllSessions(userId, { staffId = null, deviceId = null, exceptSessionId = null, reason = 'logout_all' } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  let query = supabase
+    .from('sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason,
+    })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  query = staffId ? query.eq('staff_id', staffId) : query.is('staff_id', null);
+
+  if (deviceId) {
+    query = query.eq('device_id', deviceId);
+  }
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('❌ Error revoking sessions:', error);
+    throw error;
+  }
+
+  return data.length;
+}
+
+/**
+ * Check whether a session is still usable
+ * @param {string} sessionId - Session id carried in the access token
+ */
+async function isSessionActive(sessionId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data: session } = await supabase
+    .from('sessions')
+    .select('revoked_at, expires_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  return Boolean(session && !session.revoked_at && new Date() < new Date(session.expires_at));
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,78 @@
+const axios = require('axios');
+
+const API_KEY = process.env.AT_API_KEY;
+const USERNAME = process.env.AT_USERNAME || 'sandbox';
+const SENDER_ID = process.env.AT_SENDER_ID;
+
+// The sandbox account uses a separate host
+const SMS_URL = USERNAME === 'sandbox'
+  ? 'https://api.sandbox.africastalking.com/version1/messaging'
+  : 'https://api.africastalking.com/version1/messaging';
+
+// Africa's Talking delivery report statuses mapped to sms_messages.status
+const DELIVERY_STATUS_MAP = {
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Success: 'delivered',
+  Rejected: 'failed',
+  Failed: 'failed',
+  AbsentSubscriber: 'failed',
+  Expired: 'failed',
+};
+
+/**
+ * Send an SMS through Africa's Talking
+ * @param {string} phoneNumber - Recipient in 254XXXXXXXXX format
+ * @param {string} message - Message body
+ */
+const send = async (phoneNumber, message) => {
+  if (!API_KEY) {
+    throw new Error("Africa's Talking not configured. Set AT_API_KEY and AT_USERNAME");
+  }
+
+  const params = new URLSearchParams({
+    username: USERNAME,
+    to: `+${phoneNumber}`,
+    message,
+  });
+
+  if (SENDER_ID) {
+    params.append('from', SENDER_ID);
+  }
+
+  const response = await axios.post(SMS_URL, params.toString(), {
+    headers: {
+      apiKey: API_KEY,
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+  });
+
+  const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+
+  // statusCode 100-102 means the message was accepted for delivery
+  if (!recipient || recipient.statusCode > 102) {
+    throw new Error(recipient?.status || response.data?.SMSMessageData?.Message || 'SMS rejected');
+  }
+
+  return {
+    providerMessageId: recipient.messageId,
+    status: 'sent',
+  };
+};
+
+/**
+ * Parse an Africa's Talking delivery report callback
+ */
+const parseDeliveryReport = (payload) => ({
+  providerMessageId: payload.id,
+  status: DELIVERY_STATUS_MAP[payload.status] || 'sent',
+  failureReason: payload.failureReason || null,
+});
+
+module.exports = {
+  name: 'africastalking',
+  send,
+  parseDeliveryReport,
+};
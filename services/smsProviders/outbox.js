@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local file every message is appended to (one JSON object per line)
+const OUTBOX_FILE = path.resolve(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log');
+
+/**
+ * "Send" an SMS by appending it to the local outbox file
+ * Used in development and tests so no real SMS is sent
+ * @param {string} phoneNumber - Recipient in 254XXXXXXXXX format
+ * @param {string} message - Message body
+ */
+const send = async (phoneNumber, message) => {
+  const providerMessageId = `outbox-${crypto.randomUUID()}`;
+
+  const entry = {
+    id: providerMessageId,
+    to: phoneNumber,
+    message,
+    createdAt: new Date().toISOString(),
+  };
+
+  await fs.promises.appendFile(OUTBOX_FILE, JSON.stringify(entry) + '\n');
+
+  console.log(`📱 SMS to ${phoneNumber} written to outbox: ${message}`);
+
+  return {
+    providerMessageId,
+    status: 'sent',
+  };
+};
+
+/**
+ * Parse a simulated delivery report
+ * Expects { id, status } where status is one of sent, delivered or failed
+ */
+const parseDeliveryReport = (payload) => ({
+  providerMessageId: payload.id,
+  status: ['sent', 'delivered', 'failed'].includes(payload.status) ? payload.status : 'delivered',
+  failureReason: payload.failureReason || null,
+});
+
+module.exports = {
+  name: 'outbox',
+  send,
+  parseDeliveryReport,
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+const STATUS_CALLBACK_URL = process.env.TWILIO_STATUS_CALLBACK_URL;
+
+// Twilio message statuses mapped to sms_messages.status
+const DELIVERY_STATUS_MAP = {
+  accepted: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+};
+
+/**
+ * Send an SMS through Twilio
+ * @param {string} phoneNumber - Recipient in 254XXXXXXXXX format
+ * @param {string} message - Message body
+ */
+const send = async (phoneNumber, message) => {
+  if (!ACCOUNT_SID || !AUTH_TOKEN || !FROM_NUMBER) {
+    throw new Error('Twilio not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+  }
+
+  const params = new URLSearchParams({
+    To: `+${phoneNumber}`,
+    From: FROM_NUMBER,
+    Body: message,
+  });
+
+  if (STATUS_CALLBACK_URL) {
+    params.append('StatusCallback', STATUS_CALLBACK_URL);
+  }
+
+  const response = await axios.post(
+    `https://api.twilio.com/2010-04-01/Accounts/${ACCOUNT_SID}/Messages.json`,
+    params.toString(),
+    {
+      auth: {
+        username: ACCOUNT_SID,
+        password: AUTH_TOKEN,
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    }
+  );
+
+  return {
+    providerMessageId: response.data.sid,
+    status: DELIVERY_STATUS_MAP[response.data.status] || 'queued',
+  };
+};
+
+/**
+ * Parse a Twilio status callback
+ */
+const parseDeliveryReport = (payload) => ({
+  providerMessageId: payload.MessageSid,
+  status: DELIVERY_STATUS_MAP[payload.MessageStatus] || 'sent',
+  failureReason: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : null,
+});
+
+/**
+ * Check the X-Twilio-Signature of a status callback
+ * Twilio signs the URL it called followed by each POST parameter name and
+ * value, sorted by name, with HMAC-SHA1 keyed by the auth token.
+ * @param {string} url - Full URL Twilio posted to, including the query string
+ * @param {object} params - Form body
+ * @param {string} signature - X-Twilio-Signature header
+ */
+const isValidSignature = (url, params, signature) => {
+  if (!AUTH_TOKEN || !signature) {
+    return false;
+  }
+
+  const data = Object.keys(params || {})
+    .sort()
+    .reduce((signed, key) => signed + key + params[key], url);
+
+  const expected = crypto.createHmac('sha1', AUTH_TOKEN).update(data).digest('base64');
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+
+  return signatureBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+};
+
+/**
+ * Whether a delivery report really comes from Twilio
+ * The URL is STATUS_CALLBACK_URL when set, since behind a proxy the request
+ * URL seen here can differ from the one Twilio signed.
+ * @param {object} req - Express request
+ */
+const verifyDeliveryReport = (req) => {
+  const url = STATUS_CALLBACK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  return isValidSignature(url, req.body, req.get('X-Twilio-Signature'));
+};
+
+module.exports = {
+  name: 'twilio',
+  send,
+  parseDeliveryReport,
+  verifyDeliveryReport,
+};
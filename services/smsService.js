@@ -0,0 +1,163 @@
+const supabase = require('../config/supabase');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+const providers = {
+  africastalking: require('./smsProviders/africasTalking'),
+  twilio: require('./smsProviders/twilio'),
+  outbox: require('./smsProviders/outbox'),
+};
+
+/**
+ * Get the SMS provider selected by SMS_PROVIDER (defaults to the local outbox)
+ * @param {string} [name] - Provider name, defaults to the configured one
+ */
+const getProvider = (name = process.env.SMS_PROVIDER || 'outbox') => {
+  const provider = providers[name.toLowerCase()];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Text of a message as stored in sms_messages
+ * One-time codes are masked so the table cannot be used to log in.
+ */
+const getStoredText = (message, category) => (category === 'otp' ? message.replace(/\d{4,8}/g, '******') : message);
+
+/**
+ * Send an SMS and record it in sms_messages
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message body
+ * @param {object} [options]
+ * @param {string} [options.category] - otp, payment, reminder, alert or general
+ * @param {string} [options.userId] - User the message relates to
+ */
+const sendSMS = async (phoneNumber, message, { category = 'general', userId = null } = {}) => {
+  const provider = getProvider();
+  const recipient = normalizePhoneNumber(phoneNumber);
+
+  if (!recipient) {
+    console.error(`❌ SMS not sent, invalid phone number: ${phoneNumber}`);
+    return {
+      success: false,
+      messageId: null,
+      message: 'Invalid phone number',
+    };
+  }
+
+  // Record the message before handing it to the provider
+  let record = null;
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('sms_messages')
+      .insert([
+        {
+          user_id: userId,
+          phone_number: recipient,
+          message: getStoredText(message, category),
+          category,
+          provider: provider.name,
+          status: 'queued',
+        },
+      ])
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('❌ Error storing SMS message:', error);
+    } else {
+      record = data;
+    }
+  }
+
+  try {
+    const result = await provider.send(recipient, message);
+
+    if (record) {
+      await supabase
+        .from('sms_messages')
+        .update({
+          provider_message_id: result.providerMessageId,
+          status: result.status,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', record.id);
+    }
+
+    return {
+      success: true,
+      messageId: record?.id || null,
+      providerMessageId: result.providerMessageId,
+      status: result.status,
+    };
+  } catch (error) {
+    const failureReason = error.response?.data?.message || error.message;
+    console.error(`❌ SMS via ${provider.name} failed:`, failureReason);
+
+    if (record) {
+      await supabase
+        .from('sms_messages')
+        .update({
+          status: 'failed',
+          failure_reason: failureReason,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', record.id);
+    }
+
+    return {
+      success: false,
+      messageId: record?.id || null,
+      message: failureReason,
+    };
+  }
+};
+
+/**
+ * Apply a provider delivery report to the stored message
+ * @param {string} providerName - Provider the report came from
+ * @param {object} payload - Raw callback body
+ */
+const handleDeliveryReport = async (providerName, payload) => {
+  const provider = getProvider(providerName);
+  const report = provider.parseDeliveryReport(payload || {});
+
+  if (!report.providerMessageId) {
+    return { success: false, message: 'Missing message id' };
+  }
+
+  if (!supabase) {
+    return { success: false, message: 'Database not configured' };
+  }
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .update({
+      status: report.status,
+      failure_reason: report.failureReason,
+      delivered_at: report.status === 'delivered' ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('provider', provider.name)
+    .eq('provider_message_id', report.providerMessageId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    success: data.length > 0,
+    status: report.status,
+  };
+};
+
+module.exports = {
+  sendSMS,
+  handleDeliveryReport,
+  getProvider,
+};
@@ -0,0 +1,561 @@
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { sendSMS } = require('./smsService');
+const { getActivePlan, getPlanById } = require('./planService');
+const {
+  FREE_ENTITLEMENTS,
+  SUBSCRIPTION_GRACE_DAYS,
+  SUBSCRIPTION_REMINDER_DAYS,
+} = require('../config/plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [max STK pushes, window in minutes] sent from one account's renewal link
+const RENEWAL_PROMPT_LIMIT = [3, 15];
+
+// Reads and writes of the subscription row before giving up on concurrent payments
+const APPLY_PAYMENT_ATTEMPTS = 3;
+
+/**
+ * Get a user's subscription row (null for users who never paid)
+ * @param {string} userId - Business (owner) id
+ */
+async function getSubscription(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching subscription:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Whole days left in the paid period (0 once it has ended)
+ * @param {object} subscription - subscriptions row
+ */
+function getDaysRemaining(subscription) {
+  if (!subscription || !subscription.current_period_end) {
+    return null;
+  }
+
+  const msLeft = new Date(subscription.current_period_end).getTime() - Date.now();
+  return Math.max(0, Math.ceil(msLeft / DAY_MS));
+}
+
+/**
+ * What a business may use right now
+ * Active and grace subscriptions get the entitlements of the plan version they
+ * paid for; trial and expired accounts get FREE_ENTITLEMENTS.
+ * @param {string} userId - Business (owner) id
+ * @returns {object} { plan: plan code, 'trial' or 'expired', entitlements }
+ */
+async function getEntitlements(userId) {
+  const subscription = await getSubscription(userId);
+
+  let plan = null;
+  if (subscription && subscription.status !== 'expired') {
+    plan = subscription.plan_id
+      ? await getPlanById(subscription.plan_id)
+      : await getActivePlan(subscription.plan);
+  }
+
+  return {
+    plan: plan ? plan.code : (subscription ? 'expired' : 'trial'),
+    entitlements: { ...FREE_ENTITLEMENTS, ...(plan?.entitlements || {}) },
+  };
+}
+
+/**
+ * Signed token for the one-tap renewal link in reminder SMS
+ * Valid until the grace period ends
+ */
+function createRenewalToken(subscription) {
+  const validUntil = new Date(subscription.current_period_end).getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS;
+  const expiresIn = Math.max(60, Math.floor((validUntil - Date.now()) / 1000));
+
+  return jwt.sign(
+    { type: 'renewal', userId: subscription.user_id, plan: subscription.plan },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+/**
+ * Verify a renewal link token
+ * @returns {object|null} { userId, plan } or null if invalid or expired
+ */
+function verifyRenewalToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'renewal' ? { userId: decoded.userId, plan: decoded.plan } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Seconds until a renewal link may send another STK push, 0 when it may now
+ * Subscription prompts from the app count too, so a leaked link cannot be
+ * used to flood the owner's phone.
+ * @param {string} userId - Business (owner) id from the renewal token
+ */
+async function getRenewalRetryAfter(userId) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const [maxPrompts, windowMinutes] = RENEWAL_PROMPT_LIMIT;
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('mpesa_transactions')
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('purpose', 'subscription')
+    .gt('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(maxPrompts);
+
+  if (error) {
+    throw error;
+  }
+
+  if (data.length < maxPrompts) {
+    return 0;
+  }
+
+  const oldest = new Date(data[data.length - 1].created_at).getTime();
+  return Math.max(Math.ceil((oldest + windowMinutes * 60 * 1000 - Date.now()) / 1000), 1);
+}
+
+/**
+ * Renewal call to action for SMS
+ * Links straight to an STK push when PUBLIC_API_URL is set
+ */
+function renewalCallToAction(subscription) {
+  if (!process.env.PUBLIC_API_URL) {
+    return 'Open the CONFIRMED app to renew.';
+  }
+
+  return `Renew now: ${process.env.PUBLIC_API_URL}/api/mpesa/renew/${createRenewalToken(subscription)}`;
+}
+
+/**
+ * Record a subscription status change
+ */
+async function recordEvent(subscription, eventType, { fromStatus = null, mpesaTransactionId = null, metadata = null } = {}) {
+  const { error } = await supabase
+    .from('subscription_events')
+    .insert([
+      {
+        subscription_id: subscription.id,
+        user_id: subscription.user_id,
+        event_type: eventType,
+        from_status: fromStatus,
+        to_status: subscription.status,
+        plan: subscription.plan,
+        period_end: subscription.current_period_end,
+        mpesa_transaction_id: mpesaTransactionId,
+        metadata,
+      },
+    ]);
+
+  if (error) {
+    console.error('❌ Error recording subscription event:', error);
+  }
+}
+
+/**
+ * Keep users.subscription_status in step with the subscription
+ */
+async function setUserSubscriptionStatus(userId, status) {
+  const { error } = await supabase
+    .from('users')
+    .update({ subscription_status: status })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('❌ Error updating user subscription status:', error);
+    throw error;
+  }
+}
+
+/**
+ * What a plan costs per day, used to convert time left when changing plans
+ */
+const dailyPrice = (plan) => plan.price / plan.billing_period_days;
+
+/**
+ * Period a payment buys (see applyPayment)
+ * @param {object|null} existing - Current subscriptions row, null on a first payment
+ * @param {object} plan - plans row paid for
+ * @param {Date} now
+ * @param {object|null} currentPlan - plans row of existing.plan_id, when changing plans
+ * @returns {object} { periodStart, periodEnd, paidFrom } as Dates; paidFrom is
+ *   where the time this payment bought begins, for the receipt
+ */
+function getPaidPeriod(existing, plan, now, currentPlan) {
+  const isCurrent = existing && existing.status !== 'expired';
+  const days = plan.billing_period_days + (existing ? 0 : plan.trial_days || 0);
+
+  if (isCurrent && existing.plan === plan.code) {
+    const paidFrom = new Date(existing.current_period_end);
+
+    return {
+      periodStart: new Date(existing.current_period_start),
+      periodEnd: new Date(paidFrom.getTime() + days * DAY_MS),
+      paidFrom,
+    };
+  }
+
+  // A new plan starts now. Time already paid on another plan is converted at
+  // the two plans' daily prices, so switching neither loses nor gains money
+  const remainingMs = isCurrent ? Math.max(0, new Date(existing.current_period_end).getTime() - now.getTime()) : 0;
+  const creditMs = remainingMs && currentPlan && dailyPrice(plan) > 0
+    ? Math.floor(remainingMs * dailyPrice(currentPlan) / dailyPrice(plan))
+    : 0;
+
+  return {
+    periodStart: now,
+    periodEnd: new Date(now.getTime() + days * DAY_MS + creditMs),
+    paidFrom: now,
+  };
+}
+
+/**
+ * Write a subscription row computed from `existing`, unless it changed since
+ * @returns {object|null} The saved row, or null when another payment or the
+ *   lifecycle job got there first
+ */
+async function saveSubscription(existing, row) {
+  const query = existing
+    ? supabase
+      .from('subscriptions')
+      .update(row)
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .eq('current_period_end', existing.current_period_end)
+    : supabase
+      .from('subscriptions')
+      .insert([row]);
+
+  const { data, error } = await query.select().maybeSingle();
+
+  // First payments racing each other both try to insert the user's row
+  if (error && error.code === '23505') {
+    return null;
+  }
+
+  if (error) {
+    console.error('❌ Error applying payment to subscription:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Apply a successful payment to a user's subscription
+ * Paying for the current plan adds its billing period to the end of the
+ * current one (including any grace days already used). Paying for another
+ * plan, or after the subscription expired, starts the new period now; time
+ * left on another plan is carried over at its value. A user's first
+ * subscription also gets the plan's trial days.
+ * @param {string} userId - Business (owner) id
+ * @param {object} payment
+ * @param {object} payment.plan - plans row (the version that was paid for)
+ * @param {string} [payment.mpesaTransactionId] - mpesa_transactions row that paid
+ * @param {number} [payment.amount]
+ * @returns {object} Updated subscription row
+ */
+async function applyPayment(userId, { plan, mpesaTransactionId = null, amount = null }) {
+  for (let attempt = 1; attempt <= APPLY_PAYMENT_ATTEMPTS; attempt++) {
+    const existing = await getSubscription(userId);
+    const currentPlan = existing?.plan_id && existing.plan !== plan.code
+      ? await getPlanById(existing.plan_id)
+      : null;
+    const now = new Date();
+    const { periodStart, periodEnd, paidFrom } = getPaidPeriod(existing, plan, now, currentPlan);
+
+    const subscription = await saveSubscription(existing, {
+      user_id: userId,
+      plan: plan.code,
+      plan_id: plan.id,
+      status: 'active',
+      current_period_start: periodStart.toISOString(),
+      current_period_end: periodEnd.toISOString(),
+      grace_ends_at: null,
+      last_reminder_days: null,
+      updated_at: now.toISOString(),
+    });
+
+    if (!subscription) {
+      continue;
+    }
+
+    await recordEvent(subscription, existing ? 'renewed' : 'activated', {
+      fromStatus: existing?.status || null,
+      mpesaTransactionId,
+      metadata: {
+        amount,
+        planVersion: plan.version,
+        previousPlan: existing?.plan || null,
+        paidFrom: paidFrom.toISOString(),
+      },
+    });
+
+    await setUserSubscriptionStatus(userId, plan.code);
+
+    return subscription;
+  }
+
+  throw new Error(`Subscription for ${userId} kept changing while applying a payment`);
+}
+
+/**
+ * Take back the days a refunded payment bought
+ * The period end moves back by `days`; if that puts it in the past the
+ * subscription expires straight away (a refunded period gets no grace).
+ * @param {string} userId - Business (owner) id
+ * @param {object} refund
+ * @param {number} refund.days - Days to remove
+ * @param {string} [refund.mpesaTransactionId] - Payment that was refunded
+ * @param {object} [refund.metadata]
+ * @returns {object|null} Updated subscription row, or null if the user has none
+ */
+async function reversePayment(userId, { days, mpesaTransactionId = null, metadata = null }) {
+  const existing = await getSubscription(userId);
+
+  if (!existing || days <= 0) {
+    return existing;
+  }
+
+  const now = new Date();
+  const periodEnd = new Date(new Date(existing.current_period_end).getTime() - days * DAY_MS);
+  const status = periodEnd <= now ? 'expired' : existing.status;
+
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .update({
+      status,
+      current_period_end: periodEnd.toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error reversing subscription payment:', error);
+    throw error;
+  }
+
+  await recordEvent(subscription, 'refunded', {
+    fromStatus: existing.status,
+    mpesaTransactionId,
+    metadata: { ...metadata, daysRemoved: days },
+  });
+
+  if (status === 'expired' && existing.status !== 'expired') {
+    await setUserSubscriptionStatus(userId, 'expired');
+  }
+
+  return subscription;
+}
+
+/**
+ * Send renewal reminders for periods ending within SUBSCRIPTION_REMINDER_DAYS
+ * Each reminder day (e.g. 3 and 1 days before) is sent once per period
+ */
+async function sendRenewalReminders() {
+  if (SUBSCRIPTION_REMINDER_DAYS.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + SUBSCRIPTION_REMINDER_DAYS[0] * DAY_MS);
+
+  const { data: subscriptions, error } = await supabase
+    .from('subscriptions')
+    .select('*, users (phone_number), plans (price)')
+    .eq('status', 'active')
+    .gt('current_period_end', now.toISOString())
+    .lte('current_period_end', horizon.toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  let sent = 0;
+
+  for (const subscription of subscriptions) {
+    const daysLeft = getDaysRemaining(subscription);
+    const stage = [...SUBSCRIPTION_REMINDER_DAYS].reverse().find(days => daysLeft <= days);
+
+    if (!stage || (subscription.last_reminder_days !== null && subscription.last_reminder_days <= stage)) {
+      continue;
+    }
+
+    await supabase
+      .from('subscriptions')
+      .update({ last_reminder_days: stage, updated_at: now.toISOString() })
+      .eq('id', subscription.id);
+
+    const price = subscription.plans?.price ? ` (KES ${subscription.plans.price})` : '';
+
+    await sendSMS(
+      subscription.users.phone_number,
+      `Your CONFIRMED ${subscription.plan} plan ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` +
+        `${price}. ${renewalCallToAction(subscription)}`,
+      { category: 'reminder', userId: subscription.user_id }
+    );
+
+    await recordEvent(subscription, 'reminder_sent', {
+      fromStatus: subscription.status,
+      metadata: { daysLeft },
+    });
+
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Move subscriptions whose paid period has ended into the grace period
+ */
+async function startGracePeriods() {
+  const now = new Date();
+
+  const { data: subscriptions, error } = await supabase
+    .from('subscriptions')
+    .select('*, users (phone_number)')
+    .eq('status', 'active')
+    .lte('current_period_end', now.toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  let count = 0;
+
+  for (const subscription of subscriptions) {
+    const graceEndsAt = new Date(new Date(subscription.current_period_end).getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS);
+
+    // Conditional on status so a payment that lands meanwhile wins
+    const { data: updated } = await supabase
+      .from('subscriptions')
+      .update({
+        status: 'grace',
+        grace_ends_at: graceEndsAt.toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .eq('id', subscription.id)
+      .eq('status', 'active')
+      .lte('current_period_end', now.toISOString())
+      .select()
+      .maybeSingle();
+
+    if (!updated) {
+      continue;
+    }
+
+    await recordEvent(updated, 'grace_started', { fromStatus: 'active' });
+
+    await sendSMS(
+      subscription.users.phone_number,
+      `Your CONFIRMED ${subscription.plan} plan has expired. It keeps working until ` +
+        `${graceEndsAt.toDateString()}. ${renewalCallToAction(subscription)}`,
+      { category: 'reminder', userId: subscription.user_id }
+    );
+
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Downgrade subscriptions whose grace period has ended
+ */
+async function expireSubscriptions() {
+  const now = new Date();
+
+  const { data: subscriptions, error } = await supabase
+    .from('subscriptions')
+    .select('*, users (phone_number)')
+    .eq('status', 'grace')
+    .lte('grace_ends_at', now.toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  let count = 0;
+
+  for (const subscription of subscriptions) {
+    const { data: updated } = await supabase
+      .from('subscriptions')
+      .update({ status: 'expired', updated_at: now.toISOString() })
+      .eq('id', subscription.id)
+      .eq('status', 'grace')
+      .select()
+      .maybeSingle();
+
+    if (!updated) {
+      continue;
+    }
+
+    await setUserSubscriptionStatus(subscription.user_id, 'expired');
+    await recordEvent(updated, 'expired', { fromStatus: 'grace' });
+
+    await sendSMS(
+      subscription.users.phone_number,
+      `Your CONFIRMED ${subscription.plan} plan has ended and your account is now limited. ` +
+        'Open the app and pay to restore it.',
+      { category: 'reminder', userId: subscription.user_id }
+    );
+
+    console.log(`⬇️ Subscription expired for user ${subscription.user_id}`);
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Run one pass of the subscription lifecycle
+ * @returns {object} Counts of reminders sent, grace periods started and downgrades
+ */
+async function processSubscriptionLifecycle() {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const expired = await expireSubscriptions();
+  const inGrace = await startGracePeriods();
+  const reminded = await sendRenewalReminders();
+
+  return { reminded, inGrace, expired };
+}
+
+module.exports = {
+  getSubscription,
+  getDaysRemaining,
+  getEntitlements,
+  verifyRenewalToken,
+  getRenewalRetryAfter,
+  applyPayment,
+  reversePayment,
+  processSubscriptionLifecycle,
+};
@@ -0,0 +1,380 @@
+const supabase = require('../config/supabase');
+const { hasPermission } = require('../config/roles');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// Tables the app pulls through GET /api/sync/changes, with the permission needed to read each
+const SYNC_TABLES = {
+  transactions: { select: '*', key: 'id', permission: 'sales:read' },
+  debts: { select: '*', key: 'id', permission: 'debts:read' },
+  purchases: { select: '*, purchase_items (*)', key: 'id', permission: 'purchases:read' },
+  sales_summary: { select: '*', key: 'user_id', permission: 'sales:read' },
+};
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+
+// Record ids per lookup, keeping the query string a safe length
+const ID_BATCH_SIZE = 200;
+
+// Changes younger than this are held back, so writes still being committed
+// (e.g. a purchase whose items are not saved yet) are not skipped past
+const SETTLE_MS = 5000;
+
+// Transactions accepted per POST /api/sync
+const MAX_SYNC_BATCH = 500;
+
+// Ways a sale can be paid, as stored in transactions.payment_method
+const PAYMENT_METHODS = ['mpesa', 'cash'];
+
+// transactions.amount is DECIMAL(10,2)
+const MAX_AMOUNT = 99999999.99;
+
+// Phones with a fast clock may stamp sales slightly ahead of the server
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// App-generated ids: UUIDs, timestamps or prefixed values such as txn_1712345678
+const TRANSACTION_ID_PATTERN = /^[\w.:-]{1,100}$/;
+const MPESA_CODE_PATTERN = /^[A-Z0-9]{10}$/;
+
+// Id prefixes of transactions the server records itself (C2B confirmations,
+// paid payment requests, SMS sent up by the app); the app may not overwrite them
+const SERVER_ID_PREFIXES = ['c2b_', 'pr_', 'sms_'];
+
+/**
+ * Validate a transaction from POST /api/sync and map it to a transactions row
+ * Accepts M-Pesa as mpesa or M-Pesa in any case, and created_at when the app
+ * sends no separate timestamp.
+ * @param {object} transaction - As sent by the app
+ * @param {string} userId - Business (owner) id
+ * @returns {object} { row } when valid, otherwise { reason }
+ */
+function validateSyncTransaction(transaction, userId) {
+  if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+    return { reason: 'Transaction must be an object' };
+  }
+
+  const { id, amount, note } = transaction;
+
+  if (typeof id !== 'string' || !TRANSACTION_ID_PATTERN.test(id)) {
+    return { reason: 'id must be 1-100 letters, digits or . _ : -' };
+  }
+
+  const serverPrefix = SERVER_ID_PREFIXES.find(prefix => id.startsWith(prefix));
+
+  if (serverPrefix) {
+    return { reason: `ids starting with ${serverPrefix} are recorded by the server` };
+  }
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT
+    || !Number.isInteger(Number((amount * 100).toFixed(6)))) {
+    return { reason: 'amount must be a positive number of KES with at most 2 decimals' };
+  }
+
+  const when = transaction.timestamp ?? transaction.created_at;
+  const time = typeof when === 'string' || typeof when === 'number' ? new Date(when).getTime() : NaN;
+
+  if (isNaN(time)) {
+    return { reason: 'timestamp (or created_at) must be a valid date' };
+  }
+
+  if (time > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { reason: 'timestamp is in the future' };
+  }
+
+  const paymentMethod = String(transaction.payment_method ?? 'mpesa').toLowerCase().replace(/[^a-z]/g, '');
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { reason: `payment_method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  const transactionCode = transaction.transaction_code ?? transaction.mpesa_code ?? null;
+
+  if (transactionCode !== null && (typeof transactionCode !== 'string' || !MPESA_CODE_PATTERN.test(transactionCode.toUpperCase()))) {
+    return { reason: 'transaction_code must be a 10-character M-Pesa code' };
+  }
+
+  for (const field of ['category', 'sender_name', 'phone_number', 'note']) {
+    const value = transaction[field];
+
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 500)) {
+      return { reason: `${field} must be text of at most 500 characters` };
+    }
+  }
+
+  return {
+    row: {
+      id,
+      user_id: userId,
+      amount,
+      category: transaction.category?.trim() || 'sales',
+      payment_method: paymentMethod,
+      timestamp: new Date(time).toISOString(),
+      sender_name: transaction.sender_name || null,
+      transaction_code: transactionCode ? transactionCode.toUpperCase() : null,
+      // M-Pesa SMS often masks the number (e.g. 0712***678); those are kept as sent
+      phone_number: normalizePhoneNumber(transaction.phone_number) || transaction.phone_number || null,
+      note: note || null,
+      synced_at: new Date().toISOString(),
+      ...(transaction.created_at && !isNaN(Date.parse(transaction.created_at)) && {
+        created_at: new Date(transaction.created_at).toISOString(),
+      }),
+    },
+  };
+}
+
+/**
+ * Stored transactions that already use some ids or M-Pesa codes
+ * @param {string} column - id or transaction_code
+ * @param {string[]} values
+ * @param {string} [userId] - Only this business's transactions
+ */
+async function findExistingTransactions(column, values, userId = null) {
+  const rows = [];
+
+  for (let i = 0; i < values.length; i += ID_BATCH_SIZE) {
+    let query = supabase
+      .from('transactions')
+      .select('id, user_id, transaction_code')
+      .in(column, values.slice(i, i + ID_BATCH_SIZE));
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Error checking synced transactions:', error);
+      throw error;
+    }
+
+    rows.push(...data);
+  }
+
+  return rows;
+}
+
+/**
+ * Save a batch of transactions from the app, each on its own merits
+ * Valid rows are upserted by id, so edits made on the phone are saved.
+ * A row is a duplicate when its M-Pesa code is already stored under another id
+ * (e.g. recorded from a C2B confirmation or SMS); the app can drop it.
+ * Rejected rows come with a reason and should be fixed before retrying.
+ * @param {string} userId - Business (owner) id
+ * @param {object[]} transactions - As sent by the app
+ * @returns {object[]} One result per transaction, in order:
+ *   { id, status: 'accepted' | 'duplicate' | 'rejected', reason?, existingId? }
+ */
+async function syncTransactions(userId, transactions) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const results = transactions.map((transaction, index) => ({
+    index,
+    id: typeof transaction?.id === 'string' ? transaction.id : null,
+    ...validateSyncTransaction(transaction, userId),
+  }));
+
+  // Only the last copy of an id sent twice in one batch is saved
+  const lastIndexById = new Map(results.filter(result => result.row).map(result => [result.id, result.index]));
+  results
+    .filter(result => result.row && lastIndexById.get(result.id) !== result.index)
+    .forEach(result => {
+      result.status = 'rejected';
+      result.reason = 'id appears again later in the batch';
+    });
+
+  const pending = () => results.filter(result => result.row && !result.status);
+
+  // Ids are global; one that belongs to another business cannot be overwritten
+  const byId = await findExistingTransactions('id', pending().map(result => result.id));
+  const ownerById = new Map(byId.map(row => [row.id, row.user_id]));
+
+  pending()
+    .filter(result => ownerById.has(result.id) && ownerById.get(result.id) !== userId)
+    .forEach(result => {
+      result.status = 'rejected';
+      result.reason = 'id is already used by another business';
+    });
+
+  const codes = [...new Set(pending().map(result => result.row.transaction_code).filter(Boolean))];
+  const byCode = await findExistingTransactions('transaction_code', codes, userId);
+  const idByCode = new Map(byCode.map(row => [row.transaction_code, row.id]));
+
+  for (const result of pending()) {
+    const code = result.row.transaction_code;
+    const existingId = code && idByCode.get(code);
+
+    if (existingId && existingId !== result.id) {
+      result.status = 'duplicate';
+      result.reason = 'M-Pesa code already recorded';
+      result.existingId = existingId;
+    } else if (code) {
+      // A second row with the same code later in this batch is a duplicate of this one
+      idByCode.set(code, result.id);
+    }
+  }
+
+  const rows = pending().map(result => result.row);
+
+  if (rows.length) {
+    const { error } = await supabase
+      .from('transactions')
+      .upsert(rows, { onConflict: 'id', ignoreDuplicates: false });
+
+    if (!error) {
+      pending().forEach(result => { result.status = 'accepted'; });
+    } else {
+      // Something changed since the checks (or one row the checks missed is bad):
+      // save the rows one by one so only the failing ones are reported
+      console.warn('⚠️ Batch sync failed, retrying row by row:', error.message);
+
+      for (const result of pending()) {
+        const { error: rowError } = await supabase
+          .from('transactions')
+          .upsert([result.row], { onConflict: 'id', ignoreDuplicates: false });
+
+        if (!rowError) {
+          result.status = 'accepted';
+        } else if (rowError.code === '23505') {
+          result.status = 'duplicate';
+          result.reason = 'M-Pesa code already recorded';
+        } else {
+          result.status = 'rejected';
+          result.reason = rowError.message;
+        }
+      }
+    }
+  }
+
+  return results.map(({ id, status = 'rejected', reason, existingId }) => ({
+    id,
+    status,
+    ...(reason && { reason }),
+    ...(existingId && { existingId }),
+  }));
+}
+
+/**
+ * Read the cursor a device got from its last pull
+ * Up to 15 digits, so the number is exact (change_log.seq will not get near that)
+ * @returns {number|null} null when the cursor is malformed; 0 (everything) when missing
+ */
+function parseSyncCursor(cursor) {
+  if (cursor === undefined || cursor === '') {
+    return 0;
+  }
+
+  return /^\d{1,15}$/.test(String(cursor)) ? Number(cursor) : null;
+}
+
+/**
+ * Tables a role may pull
+ * @param {string} role - owner, cashier or viewer
+ */
+const getSyncTables = (role) => Object.keys(SYNC_TABLES)
+  .filter(table => hasPermission(role, SYNC_TABLES[table].permission));
+
+/**
+ * One page of a business's changes since a cursor, oldest first
+ * Each record appears once, in its current state (upsert) or as a tombstone
+ * (delete). Pass nextCursor back to get the next page; when hasMore is false
+ * the device is up to date and should keep nextCursor for its next pull.
+ * @param {string} userId - Business (owner) id
+ * @param {object} options
+ * @param {number} options.cursor - From parseSyncCursor
+ * @param {string[]} options.tables - From getSyncTables
+ * @param {number} [options.limit]
+ * @returns {object} { changes, nextCursor, hasMore }
+ */
+async function getChangesSince(userId, { cursor, tables, limit = DEFAULT_PAGE_SIZE }) {
+  if (!supabase) {
+    throw new Error('Supabase not configured');
+  }
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const settledBefore = new Date(Date.now() - SETTLE_MS).toISOString();
+
+  const { data: entries, error } = await supabase
+    .from('change_log')
+    .select('seq, table_name, record_id, operation, changed_at')
+    .eq('user_id', userId)
+    .in('table_name', tables)
+    .gt('seq', cursor)
+    .lte('changed_at', settledBefore)
+    .order('seq', { ascending: true })
+    .limit(pageSize + 1);
+
+  if (error) {
+    console.error('❌ Error reading change log:', error);
+    throw error;
+  }
+
+  const hasMore = entries.length > pageSize;
+  const page = entries.slice(0, pageSize);
+
+  // Load the current state of every upserted record, in batches per table
+  const records = {};
+
+  for (const table of tables) {
+    const ids = page
+      .filter(entry => entry.table_name === table && entry.operation === 'upsert')
+      .map(entry => entry.record_id);
+
+    if (!ids.length) {
+      continue;
+    }
+
+    const { select, key } = SYNC_TABLES[table];
+    records[table] = new Map();
+
+    for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+      const { data: rows, error: rowsError } = await supabase
+        .from(table)
+        .select(select)
+        .eq('user_id', userId)
+        .in(key, ids.slice(i, i + ID_BATCH_SIZE));
+
+      if (rowsError) {
+        console.error(`❌ Error loading ${table} changes:`, rowsError);
+        throw rowsError;
+      }
+
+      rows.forEach(row => records[table].set(String(row[key]), row));
+    }
+  }
+
+  const changes = [];
+
+  for (const entry of page) {
+    if (entry.operation === 'delete') {
+      changes.push({ table: entry.table_name, operation: 'delete', id: entry.record_id, changedAt: entry.changed_at });
+      continue;
+    }
+
+    const record = records[entry.table_name]?.get(entry.record_id);
+
+    // Deleted since this page was read; its tombstone comes in a later page
+    if (record) {
+      changes.push({ table: entry.table_name, operation: 'upsert', id: entry.record_id, changedAt: entry.changed_at, record });
+    }
+  }
+
+  return {
+    changes,
+    nextCursor: String(page.length ? page[page.length - 1].seq : cursor),
+    hasMore,
+  };
+}
+
+module.exports = {
+  MAX_SYNC_BATCH,
+  PAYMENT_METHODS,
+  validateSyncTransaction,
+  syncTransactions,
+  SYNC_TABLES,
+  parseSyncCursor,
+  getSyncTables,
+  getChangesSince,
+};
@@ -6,18 +6,40 @@
 require('dotenv').config();
 
 const API_URL = process.env.API_URL || 'http://localhost:10000';
-const ADMIN_KEY = process.env.ADMIN_SECRET_KEY;
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 
-if (!ADMIN_KEY) {
-  console.error('❌ ADMIN_SECRET_KEY not set in .env file');
+if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+  console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD not set in .env file');
+  console.error('   Create an admin with: node scripts/create-admin.js');
   process.exit(1);
 }
 
-const headers = {
-  'x-admin-key': ADMIN_KEY,
+let headers = {
   'Content-Type': 'application/json',
 };
 
+async function login() {
+  const response = await fetch(`${API_URL}/api/admin/auth/login`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Admin login failed');
+  }
+
+  console.log(`✅ Logged in as ${data.data.admin.email}`);
+  console.log(`🔑 Scopes: ${data.data.admin.scopes.join(', ')}`);
+
+  headers = {
+    ...headers,
+    Authorization: `Bearer ${data.data.token}`,
+  };
+}
+
 async function testEndpoint(name, url) {
   try {
     console.log(`\n🧪 Testing: ${name}`);
@@ -41,7 +63,8 @@ async function testEndpoint(name, url) {
 async function runTests() {
   console.log('🚀 Starting Admin API Tests');
   console.log(`🔗 API URL: ${API_URL}`);
-  console.log(`🔑 Admin Key: ${ADMIN_KEY.substring(0, 10)}...`);
+
+  await login();
   
   // Test 1: Overview
   await testEndpoint('Platform Overview', `${API_URL}/api/admin/overview`);
@@ -57,6 +80,9 @@ async function runTests() {
   
   // Test 5: Subscriptions
   await testEndpoint('Subscription Breakdown', `${API_URL}/api/admin/subscriptions`);
+
+  // Test 6: Audit Log
+  await testEndpoint('Audit Log (limit 5)', `${API_URL}/api/admin/audit-log?limit=5`);
   
   console.log('\n✅ All tests completed!');
 }
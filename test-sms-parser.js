@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMpesaSms } = require('./utils/mpesaSmsParser');
+const fixtures = require('./fixtures/mpesa-sms.json');
+
+/**
+ * The fields of a parsed message that a fixture lists
+ * Fixtures only list the fields that matter for their format
+ */
+const pickFields = (parsed, expected) => (parsed && expected
+  ? Object.fromEntries(Object.keys(expected).map(field => [field, parsed[field]]))
+  : parsed);
+
+test('M-Pesa SMS parser', async (t) => {
+  for (const fixture of fixtures) {
+    await t.test(fixture.name, () => {
+      assert.deepStrictEqual(pickFields(parseMpesaSms(fixture.body), fixture.expected), fixture.expected);
+    });
+  }
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeSupabase } = require('./fixtures/fakeSupabase');
+
+const supabase = installFakeSupabase({ unique: { subscriptions: [['user_id']] } });
+const { applyPayment } = require('./services/subscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USER_ID = 'user-1';
+
+const basic = { id: 'plan-basic', code: 'basic', version: 1, price: 500, billing_period_days: 30, trial_days: 7 };
+const premium = { id: 'plan-premium', code: 'premium', version: 1, price: 1000, billing_period_days: 30, trial_days: 7 };
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+const time = (value) => new Date(value).getTime();
+
+/**
+ * Start each test with one user, the plans and (optionally) a subscription
+ */
+function seed(subscription = null) {
+  supabase.reset({
+    users: [{ id: USER_ID, subscription_status: subscription?.plan || 'trial' }],
+    plans: [basic, premium],
+    subscriptions: subscription ? [{ id: 'sub-1', user_id: USER_ID, ...subscription }] : [],
+  });
+}
+
+const events = () => supabase.rows('subscription_events');
+
+test('applyPayment', async (t) => {
+  await t.test('first payment starts now and includes the trial days', async () => {
+    seed();
+
+    const subscription = await applyPayment(USER_ID, { plan: basic, mpesaTransactionId: 'mpesa-1', amount: 500 });
+    const now = time(subscription.updated_at);
+
+    assert.strictEqual(subscription.plan, 'basic');
+    assert.strictEqual(subscription.status, 'active');
+    assert.strictEqual(time(subscription.current_period_start), now);
+    assert.strictEqual(time(subscription.current_period_end), now + 37 * DAY_MS);
+    assert.strictEqual(supabase.rows('users')[0].subscription_status, 'basic');
+    assert.deepStrictEqual(events().map(event => event.event_type), ['activated']);
+    assert.strictEqual(events()[0].metadata.paidFrom, subscription.updated_at);
+  });
+
+  await t.test('renewing the same plan adds a period to the current end', async () => {
+    const start = daysFromNow(-20);
+    const end = daysFromNow(10);
+    seed({ plan: 'basic', plan_id: basic.id, status: 'active', current_period_start: start, current_period_end: end });
+
+    const subscription = await applyPayment(USER_ID, { plan: basic });
+
+    assert.strictEqual(subscription.current_period_start, new Date(start).toISOString());
+    assert.strictEqual(time(subscription.current_period_end), time(end) + 30 * DAY_MS);
+    assert.strictEqual(events()[0].event_type, 'renewed');
+    assert.strictEqual(events()[0].metadata.paidFrom, new Date(end).toISOString());
+  });
+
+  await t.test('renewing in grace keeps the grace days already used', async () => {
+    const end = daysFromNow(-2);
+    seed({ plan: 'basic', plan_id: basic.id, status: 'grace', current_period_start: daysFromNow(-32), current_period_end: end, grace_ends_at: daysFromNow(1) });
+
+    const subscription = await applyPayment(USER_ID, { plan: basic });
+
+    assert.strictEqual(subscription.status, 'active');
+    assert.strictEqual(subscription.grace_ends_at, null);
+    assert.strictEqual(time(subscription.current_period_end), time(end) + 30 * DAY_MS);
+  });
+
+  await t.test('paying after expiry starts now without a trial', async () => {
+    seed({ plan: 'basic', plan_id: basic.id, status: 'expired', current_period_start: daysFromNow(-60), current_period_end: daysFromNow(-30) });
+
+    const subscription = await applyPayment(USER_ID, { plan: basic });
+    const now = time(subscription.updated_at);
+
+    assert.strictEqual(time(subscription.current_period_start), now);
+    assert.strictEqual(time(subscription.current_period_end), now + 30 * DAY_MS);
+  });
+
+  await t.test('a cheaper plan does not take over prepaid premium time at its price', async () => {
+    seed({ plan: 'premium', plan_id: premium.id, status: 'active', current_period_start: daysFromNow(-20), current_period_end: daysFromNow(10) });
+
+    const subscription = await applyPayment(USER_ID, { plan: basic });
+    const now = time(subscription.updated_at);
+
+    // 10 premium days are worth 20 basic days
+    assert.strictEqual(subscription.plan, 'basic');
+    assert.strictEqual(subscription.plan_id, basic.id);
+    assert.strictEqual(time(subscription.current_period_start), now);
+    assert.ok(Math.abs(time(subscription.current_period_end) - (now + 50 * DAY_MS)) < 1000);
+  });
+
+  await t.test('a premium payment does not upgrade all remaining basic time', async () => {
+    seed({ plan: 'basic', plan_id: basic.id, status: 'active', current_period_start: daysFromNow(-20), current_period_end: daysFromNow(10) });
+
+    const subscription = await applyPayment(USER_ID, { plan: premium });
+    const now = time(subscription.updated_at);
+
+    // 10 basic days are worth 5 premium days
+    assert.strictEqual(subscription.plan, 'premium');
+    assert.ok(Math.abs(time(subscription.current_period_end) - (now + 35 * DAY_MS)) < 1000);
+  });
+
+  await t.test('concurrent confirmations both extend the period', async () => {
+    const end = daysFromNow(10);
+    seed({ plan: 'basic', plan_id: basic.id, status: 'active', current_period_start: daysFromNow(-20), current_period_end: end });
+
+    await Promise.all([
+      applyPayment(USER_ID, { plan: basic, mpesaTransactionId: 'mpesa-1' }),
+      applyPayment(USER_ID, { plan: basic, mpesaTransactionId: 'mpesa-2' }),
+    ]);
+
+    const [subscription] = supabase.rows('subscriptions');
+    assert.strictEqual(time(subscription.current_period_end), time(end) + 60 * DAY_MS);
+    assert.deepStrictEqual(events().map(event => event.mpesa_transaction_id).sort(), ['mpesa-1', 'mpesa-2']);
+  });
+
+  await t.test('concurrent first payments create one subscription with both periods', async () => {
+    seed();
+
+    await Promise.all([
+      applyPayment(USER_ID, { plan: basic, mpesaTransactionId: 'mpesa-1' }),
+      applyPayment(USER_ID, { plan: basic, mpesaTransactionId: 'mpesa-2' }),
+    ]);
+
+    const subscriptions = supabase.rows('subscriptions');
+    assert.strictEqual(subscriptions.length, 1);
+    assert.strictEqual(
+      time(subscriptions[0].current_period_end),
+      time(subscriptions[0].current_period_start) + (37 + 30) * DAY_MS
+    );
+    assert.deepStrictEqual(events().map(event => event.event_type).sort(), ['activated', 'renewed']);
+  });
+});
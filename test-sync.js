@@ -0,0 +1,307 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeSupabase } = require('./fixtures/fakeSupabase');
+
+const supabase = installFakeSupabase({ unique: { transactions: [['user_id', 'transaction_code']] } });
+const { validateSyncTransaction, syncTransactions, parseSyncCursor, getChangesSince } = require('./services/syncService');
+const transactionFixtures = require('./fixtures/sync-transactions.json');
+const cursorFixtures = require('./fixtures/sync-cursors.json');
+
+test('batch sync transaction validation', async (t) => {
+  for (const fixture of transactionFixtures) {
+    await t.test(fixture.name, () => {
+      const result = validateSyncTransaction(fixture.transaction, 'user-1');
+
+      if (fixture.expected.reason) {
+        assert.deepStrictEqual(result, { reason: fixture.expected.reason });
+        return;
+      }
+
+      // Expected rows only list the fields that matter for the case
+      assert.ok(result.row, `rejected: ${result.reason}`);
+      for (const [field, value] of Object.entries(fixture.expected.row)) {
+        assert.strictEqual(result.row[field], value, field);
+      }
+    });
+  }
+});
+
+test('delta sync cursors', async (t) => {
+  // A fixture without a cursor is a first pull
+  for (const fixture of cursorFixtures) {
+    await t.test(fixture.name, () => {
+      assert.strictEqual(parseSyncCursor(fixture.cursor), fixture.expected.cursor);
+    });
+  }
+});
+
+const USER_ID = 'user-1';
+const OTHER_USER_ID = 'user-2';
+
+/**
+ * A sale as the app sends it
+ */
+const sale = (id, fields = {}) => ({
+  id,
+  amount: 1500,
+  timestamp: '2026-01-10T08:00:00.000Z',
+  payment_method: 'mpesa',
+  ...fields,
+});
+
+const stored = (id) => supabase.rows('transactions').find(row => row.id === id);
+
+test('syncTransactions', async (t) => {
+  await t.test('saves new sales and updates the business\'s own by id', async () => {
+    supabase.reset({ transactions: [{ id: 'txn-1', user_id: USER_ID, amount: 100, category: 'sales' }] });
+
+    const results = await syncTransactions(USER_ID, [
+      sale('txn-1', { category: 'stock' }),
+      sale('txn-2', { transaction_code: 'SGH7ABC123' }),
+    ]);
+
+    assert.deepStrictEqual(results, [
+      { id: 'txn-1', status: 'accepted' },
+      { id: 'txn-2', status: 'accepted' },
+    ]);
+    assert.strictEqual(stored('txn-1').amount, 1500);
+    assert.strictEqual(stored('txn-1').category, 'stock');
+    assert.strictEqual(stored('txn-2').user_id, USER_ID);
+  });
+
+  await t.test('only the last copy of an id sent twice is saved', async () => {
+    supabase.reset();
+
+    const results = await syncTransactions(USER_ID, [sale('txn-1', { amount: 100 }), sale('txn-1', { amount: 200 })]);
+
+    assert.deepStrictEqual(results, [
+      { id: 'txn-1', status: 'rejected', reason: 'id appears again later in the batch' },
+      { id: 'txn-1', status: 'accepted' },
+    ]);
+    assert.strictEqual(stored('txn-1').amount, 200);
+  });
+
+  await t.test('refuses ids that belong to another business', async () => {
+    supabase.reset({ transactions: [{ id: 'txn-1', user_id: OTHER_USER_ID, amount: 100 }] });
+
+    const results = await syncTransactions(USER_ID, [sale('txn-1')]);
+
+    assert.deepStrictEqual(results, [{ id: 'txn-1', status: 'rejected', reason: 'id is already used by another business' }]);
+    assert.strictEqual(stored('txn-1').user_id, OTHER_USER_ID);
+    assert.strictEqual(stored('txn-1').amount, 100);
+  });
+
+  await t.test('reports an M-Pesa code stored under another id as a duplicate', async () => {
+    supabase.reset({
+      transactions: [
+        { id: 'c2b_SGH7ABC123', user_id: USER_ID, amount: 1500, transaction_code: 'SGH7ABC123' },
+        // Same code at another business does not count
+        { id: 'txn-other', user_id: OTHER_USER_ID, amount: 1500, transaction_code: 'SGH7XYZ789' },
+      ],
+    });
+
+    const results = await syncTransactions(USER_ID, [
+      sale('txn-1', { transaction_code: 'sgh7abc123' }),
+      sale('txn-2', { transaction_code: 'SGH7XYZ789' }),
+      sale('txn-3', { transaction_code: 'SGH7XYZ789' }),
+    ]);
+
+    assert.deepStrictEqual(results, [
+      { id: 'txn-1', status: 'duplicate', reason: 'M-Pesa code already recorded', existingId: 'c2b_SGH7ABC123' },
+      { id: 'txn-2', status: 'accepted' },
+      { id: 'txn-3', status: 'duplicate', reason: 'M-Pesa code already recorded', existingId: 'txn-2' },
+    ]);
+    assert.strictEqual(stored('txn-1'), undefined);
+    assert.strictEqual(stored('txn-3'), undefined);
+  });
+
+  await t.test('does not overwrite transactions the server recorded', async () => {
+    supabase.reset({
+      transactions: [
+        { id: 'c2b_SGH7ABC123', user_id: USER_ID, amount: 1500, category: 'sales' },
+        { id: 'pr_request-1', user_id: USER_ID, amount: 800, category: 'sales' },
+      ],
+    });
+
+    const results = await syncTransactions(USER_ID, [
+      sale('c2b_SGH7ABC123', { amount: 1, category: 'refund' }),
+      sale('pr_request-1', { amount: 1 }),
+      sale('sms_SGH7DEF456'),
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+    assert.strictEqual(results[0].reason, 'ids starting with c2b_ are recorded by the server');
+    assert.strictEqual(stored('c2b_SGH7ABC123').amount, 1500);
+    assert.strictEqual(stored('pr_request-1').amount, 800);
+    assert.strictEqual(stored('sms_SGH7DEF456'), undefined);
+    assert.ok(!supabase.queries.some(query => query.op === 'upsert'));
+  });
+
+  await t.test('retries row by row when the batch write fails', async () => {
+    supabase.reset();
+    const isBatch = (query) => query.payload.length > 1;
+    const isRow = (id) => (query) => query.payload.length === 1 && query.payload[0].id === id;
+
+    supabase.failNext('transactions', 'upsert', { code: '40001', message: 'could not serialize access' }, isBatch);
+    // Recorded by a C2B confirmation after the checks ran
+    supabase.failNext('transactions', 'upsert', { code: '23505', message: 'duplicate key value' }, isRow('txn-2'));
+    supabase.failNext('transactions', 'upsert', { code: '23514', message: 'violates check constraint' }, isRow('txn-3'));
+
+    const results = await syncTransactions(USER_ID, [
+      sale('txn-1'),
+      sale('txn-2', { transaction_code: 'SGH7ABC123' }),
+      sale('txn-3'),
+    ]);
+
+    assert.deepStrictEqual(results, [
+      { id: 'txn-1', status: 'accepted' },
+      { id: 'txn-2', status: 'duplicate', reason: 'M-Pesa code already recorded' },
+      { id: 'txn-3', status: 'rejected', reason: 'violates check constraint' },
+    ]);
+    assert.deepStrictEqual(supabase.rows('transactions').map(row => row.id), ['txn-1']);
+    assert.strictEqual(supabase.queries.filter(query => query.op === 'upsert').length, 4);
+  });
+});
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+/**
+ * A change_log entry for the test business, old enough to have settled
+ */
+const change = (seq, table_name, record_id, operation = 'upsert', changed_at = secondsAgo(60)) => ({
+  id: `log-${seq}`,
+  user_id: USER_ID,
+  seq,
+  table_name,
+  record_id,
+  operation,
+  changed_at,
+});
+
+test('getChangesSince', async (t) => {
+  await t.test('builds the change log query from the cursor, tables and page size', async () => {
+    supabase.reset();
+    const before = Date.now();
+
+    await getChangesSince(USER_ID, { cursor: 42, tables: ['transactions', 'debts'], limit: 5000 });
+
+    const [query] = supabase.queries;
+    const filters = Object.fromEntries(query.filters.map(([method, column, value]) => [`${method} ${column}`, value]));
+    const settledBefore = new Date(filters['lte changed_at']).getTime();
+
+    assert.strictEqual(query.table, 'change_log');
+    assert.strictEqual(filters['eq user_id'], USER_ID);
+    assert.deepStrictEqual(filters['in table_name'], ['transactions', 'debts']);
+    assert.strictEqual(filters['gt seq'], 42);
+    assert.ok(settledBefore >= before - 5000 && settledBefore <= Date.now() - 5000);
+    assert.deepStrictEqual(query.orders, [{ column: 'seq', ascending: true }]);
+    // One more than the (capped) page size, to tell whether another page follows
+    assert.strictEqual(query.limitCount, 1001);
+  });
+
+  await t.test('returns changes in seq order with each record\'s current row', async () => {
+    supabase.reset({
+      change_log: [
+        change(7, 'debts', 'debt-1'),
+        change(3, 'transactions', 'txn-2'),
+        change(5, 'transactions', 'txn-1'),
+      ],
+      transactions: [
+        { id: 'txn-1', user_id: USER_ID, amount: 100 },
+        { id: 'txn-2', user_id: USER_ID, amount: 200 },
+      ],
+      debts: [{ id: 'debt-1', user_id: USER_ID, amount: 300 }],
+    });
+
+    const { changes, nextCursor, hasMore } = await getChangesSince(USER_ID, { cursor: 0, tables: ['transactions', 'debts'] });
+
+    assert.deepStrictEqual(changes.map(({ table, id, operation }) => [table, id, operation]), [
+      ['transactions', 'txn-2', 'upsert'],
+      ['transactions', 'txn-1', 'upsert'],
+      ['debts', 'debt-1', 'upsert'],
+    ]);
+    assert.strictEqual(changes[0].record.amount, 200);
+    assert.strictEqual(changes[2].record.amount, 300);
+    assert.strictEqual(nextCursor, '7');
+    assert.strictEqual(hasMore, false);
+
+    // Records are loaded per table, for this business only
+    const recordQueries = supabase.queries.filter(query => query.table !== 'change_log');
+    assert.deepStrictEqual(recordQueries.map(query => query.table), ['transactions', 'debts']);
+    assert.deepStrictEqual(recordQueries[0].filters, [['eq', 'user_id', USER_ID], ['in', 'id', ['txn-2', 'txn-1']]]);
+  });
+
+  await t.test('skips changes from other businesses, other tables and before the cursor', async () => {
+    supabase.reset({
+      change_log: [
+        change(1, 'transactions', 'txn-1'),
+        { ...change(2, 'transactions', 'txn-other'), user_id: OTHER_USER_ID },
+        change(3, 'debts', 'debt-1'),
+        change(4, 'transactions', 'txn-2'),
+      ],
+      transactions: [
+        { id: 'txn-1', user_id: USER_ID },
+        { id: 'txn-other', user_id: OTHER_USER_ID },
+        { id: 'txn-2', user_id: USER_ID },
+      ],
+      debts: [{ id: 'debt-1', user_id: USER_ID }],
+    });
+
+    const { changes, nextCursor } = await getChangesSince(USER_ID, { cursor: 1, tables: ['transactions'] });
+
+    assert.deepStrictEqual(changes.map(item => item.id), ['txn-2']);
+    assert.strictEqual(nextCursor, '4');
+  });
+
+  await t.test('holds back changes that have not settled', async () => {
+    supabase.reset({
+      change_log: [
+        change(1, 'transactions', 'txn-1'),
+        change(2, 'transactions', 'txn-2', 'upsert', secondsAgo(1)),
+      ],
+      transactions: [{ id: 'txn-1', user_id: USER_ID }, { id: 'txn-2', user_id: USER_ID }],
+    });
+
+    const { changes, nextCursor, hasMore } = await getChangesSince(USER_ID, { cursor: 0, tables: ['transactions'] });
+
+    assert.deepStrictEqual(changes.map(item => item.id), ['txn-1']);
+    assert.strictEqual(nextCursor, '1');
+    assert.strictEqual(hasMore, false);
+  });
+
+  await t.test('sends deletes as tombstones and skips records deleted since', async () => {
+    const deletedAt = secondsAgo(30);
+    supabase.reset({
+      change_log: [
+        change(1, 'transactions', 'txn-1', 'delete', deletedAt),
+        // Deleted after the log was read; its own tombstone follows later
+        change(2, 'transactions', 'txn-2'),
+        change(3, 'transactions', 'txn-3'),
+      ],
+      transactions: [{ id: 'txn-3', user_id: USER_ID }],
+    });
+
+    const { changes, nextCursor } = await getChangesSince(USER_ID, { cursor: 0, tables: ['transactions'] });
+
+    assert.deepStrictEqual(changes[0], { table: 'transactions', operation: 'delete', id: 'txn-1', changedAt: deletedAt });
+    assert.deepStrictEqual(changes.map(item => item.id), ['txn-1', 'txn-3']);
+    // The cursor still moves past the skipped record
+    assert.strictEqual(nextCursor, '3');
+  });
+
+  await t.test('pages through the log with nextCursor', async () => {
+    supabase.reset({
+      change_log: [1, 2, 3].map(seq => change(seq, 'transactions', `txn-${seq}`)),
+      transactions: [1, 2, 3].map(seq => ({ id: `txn-${seq}`, user_id: USER_ID })),
+    });
+
+    const first = await getChangesSince(USER_ID, { cursor: 0, tables: ['transactions'], limit: 2 });
+    const second = await getChangesSince(USER_ID, { cursor: parseSyncCursor(first.nextCursor), tables: ['transactions'], limit: 2 });
+    const last = await getChangesSince(USER_ID, { cursor: parseSyncCursor(second.nextCursor), tables: ['transactions'], limit: 2 });
+
+    assert.deepStrictEqual([first.changes.map(item => item.id), first.nextCursor, first.hasMore], [['txn-1', 'txn-2'], '2', true]);
+    assert.deepStrictEqual([second.changes.map(item => item.id), second.nextCursor, second.hasMore], [['txn-3'], '3', false]);
+    // Up to date: nothing new, and the cursor stays put
+    assert.deepStrictEqual([last.changes, last.nextCursor, last.hasMore], [[], '3', false]);
+  });
+});
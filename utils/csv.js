@@ -0,0 +1,38 @@
+/**
+ * Escape a single CSV value
+ * Nested objects and arrays (e.g. purchase_items) are written as JSON
+ */
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert an array of rows to CSV
+ * Columns are the union of the row keys, in the order they first appear
+ * @param {object[]} rows - Database rows
+ * @returns {string} CSV text with a header line
+ */
+const toCSV = (rows) => {
+  if (!rows || rows.length === 0) {
+    return '';
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.map(escapeCsvValue).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  toCSV,
+};
@@ -0,0 +1,133 @@
+const { parseMpesaSmsTime } = require('./mpesaTime');
+
+/**
+ * Parser for Safaricom M-Pesa confirmation SMS
+ * Formats covered are in fixtures/mpesa-sms.json; add new ones there first
+ * and run `npm run test:sms`.
+ */
+
+// Transactions that are money coming in, i.e. sales for the merchant
+const INCOMING_TYPES = ['received', 'till_received'];
+
+const AMOUNT = String.raw`(?:Ksh|KES)\s?([\d,]+(?:\.\d{1,2})?)`;
+// Full, masked (0712***678) or shortcode numbers
+const NUMBER = String.raw`(\+?\d[\d*]{4,12}\d)`;
+const WHEN = String.raw`on (\d{1,2}/\d{1,2}/\d{2,4}) at (\d{1,2}:\d{2}\s?[AP]M)`;
+
+const toAmount = (value) => (value === undefined ? null : Number(value.replace(/,/g, '')));
+
+const cleanName = (value) => (value ? value.trim().replace(/[.,]+$/, '') || null : null);
+
+/**
+ * Formats, most specific first
+ * Each returns the fields particular to its type from the regex match.
+ */
+const FORMATS = [
+  {
+    type: 'reversal',
+    pattern: new RegExp(String.raw`Reversal of transaction ([A-Z0-9]{10}) has been successfully reversed(?: ${WHEN})? and ${AMOUNT} is (credited to|debited from) your M-PESA account`, 'i'),
+    fields: (m) => ({ reversedCode: m[1].toUpperCase(), amount: toAmount(m[4]), direction: /credited/i.test(m[5]) ? 'in' : 'out', date: m[2], time: m[3] }),
+  },
+  {
+    type: 'reversal',
+    pattern: new RegExp(String.raw`Transaction ([A-Z0-9]{10}) has been reversed\.?(?: ${AMOUNT} (?:has been )?(credited|debited))?`, 'i'),
+    fields: (m) => ({ reversedCode: m[1].toUpperCase(), amount: toAmount(m[2]), direction: m[3] && /debited/i.test(m[3]) ? 'out' : 'in' }),
+  },
+  {
+    type: 'fuliza_repayment',
+    pattern: new RegExp(String.raw`${AMOUNT} from your M-PESA has been used to (?:fully |partially )?pay your outstanding Fuliza`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), direction: 'out', counterparty: 'Fuliza M-PESA' }),
+  },
+  {
+    type: 'fuliza',
+    pattern: new RegExp(String.raw`Fuliza M-PESA amount is ${AMOUNT}`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), direction: 'in', counterparty: 'Fuliza M-PESA' }),
+  },
+  {
+    type: 'received',
+    pattern: new RegExp(String.raw`You have received ${AMOUNT} from (.+?)(?: ${NUMBER})?\.? ${WHEN}`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), counterparty: cleanName(m[2]), phone: m[3] || null, date: m[4], time: m[5], direction: 'in' }),
+  },
+  {
+    // Till (Lipa na M-Pesa Buy Goods) notification on the merchant's phone
+    type: 'till_received',
+    pattern: new RegExp(String.raw`${AMOUNT} received from ${NUMBER} ([^.]+?)\.`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), phone: m[2], counterparty: cleanName(m[3]), direction: 'in' }),
+  },
+  {
+    type: 'paybill',
+    pattern: new RegExp(String.raw`${AMOUNT} sent to (.+?) for account (.+?) ${WHEN}`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), counterparty: cleanName(m[2]), account: cleanName(m[3]), date: m[4], time: m[5], direction: 'out' }),
+  },
+  {
+    type: 'buy_goods',
+    pattern: new RegExp(String.raw`${AMOUNT} paid to (.+?)\.? ${WHEN}`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), counterparty: cleanName(m[2]), date: m[3], time: m[4], direction: 'out' }),
+  },
+  {
+    type: 'sent',
+    pattern: new RegExp(String.raw`${AMOUNT} sent to (.+?)(?: ${NUMBER})?\.? ${WHEN}`, 'i'),
+    fields: (m) => ({ amount: toAmount(m[1]), counterparty: cleanName(m[2]), phone: m[3] || null, date: m[4], time: m[5], direction: 'out' }),
+  },
+];
+
+/**
+ * Parse a raw M-Pesa confirmation SMS
+ * @param {string} body - Message text as received
+ * @returns {object|null} { type, direction, code, amount, counterparty, phone,
+ *   account, reversedCode, timestamp (ISO), balance, cost }, or null when the
+ *   message is not in a known format
+ */
+function parseMpesaSms(body) {
+  if (typeof body !== 'string') {
+    return null;
+  }
+
+  const text = body.replace(/\s+/g, ' ').trim();
+  const codeMatch = /^([A-Z0-9]{10})\s?Confirmed\b/i.exec(text);
+
+  if (!codeMatch) {
+    return null;
+  }
+
+  for (const format of FORMATS) {
+    const match = format.pattern.exec(text);
+
+    if (!match) {
+      continue;
+    }
+
+    const { date, time, ...fields } = format.fields(match);
+
+    if (fields.amount === null && format.type !== 'reversal') {
+      return null;
+    }
+
+    // Dates sit next to the amount in some formats and elsewhere in others
+    const when = date ? [null, date, time] : new RegExp(WHEN, 'i').exec(text);
+    const timestamp = when ? parseMpesaSmsTime(when[1], when[2]) : null;
+    const balance = new RegExp(String.raw`balance is(?: now)? ${AMOUNT}`, 'i').exec(text);
+    const cost = new RegExp(String.raw`Transaction cost,? ${AMOUNT}`, 'i').exec(text);
+
+    return {
+      type: format.type,
+      direction: fields.direction,
+      code: codeMatch[1].toUpperCase(),
+      amount: fields.amount,
+      counterparty: fields.counterparty || null,
+      phone: fields.phone || null,
+      account: fields.account || null,
+      reversedCode: fields.reversedCode || null,
+      timestamp: timestamp ? timestamp.toISOString() : null,
+      balance: balance ? toAmount(balance[1]) : null,
+      cost: cost ? toAmount(cost[1]) : null,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  INCOMING_TYPES,
+  parseMpesaSms,
+};
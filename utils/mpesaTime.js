@@ -0,0 +1,61 @@
+/**
+ * M-Pesa timestamps (TransTime, TransactionDate) are YYYYMMDDHHmmss in Kenyan time (UTC+3);
+ * confirmation SMS say e.g. "on 12/3/24 at 2:15 PM", also in Kenyan time
+ */
+
+/**
+ * Convert an M-Pesa timestamp to a Date
+ * @param {string|number} value - e.g. 20240131154512
+ * @returns {Date|null} null when missing or malformed
+ */
+const parseMpesaTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(String(value ?? ''));
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Convert the date and time written in an M-Pesa SMS to a Date
+ * @param {string} date - Day/month/year, e.g. 12/3/24
+ * @param {string} time - 12-hour clock, e.g. 2:15 PM
+ * @returns {Date|null} null when malformed
+ */
+const parseMpesaSmsTime = (date, time) => {
+  const dateMatch = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(String(date ?? '').trim());
+  const timeMatch = /^(\d{1,2}):(\d{2})\s*([AP]M)$/i.exec(String(time ?? '').trim());
+
+  if (!dateMatch || !timeMatch) {
+    return null;
+  }
+
+  const [, day, month, year] = dateMatch;
+  const [, hour, minute, meridiem] = timeMatch;
+
+  if (Number(hour) < 1 || Number(hour) > 12 || Number(minute) > 59) {
+    return null;
+  }
+
+  const fullYear = Number(year.length === 2 ? `20${year}` : year);
+  const hour24 = (Number(hour) % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  const parsed = new Date(Date.UTC(fullYear, Number(month) - 1, Number(day), hour24 - 3, Number(minute)));
+
+  // Date.UTC rolls impossible dates (31/2) over into the next month
+  const kenyan = new Date(parsed.getTime() + 3 * 60 * 60 * 1000);
+  if (kenyan.getUTCDate() !== Number(day) || kenyan.getUTCMonth() !== Number(month) - 1) {
+    return null;
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  parseMpesaTimestamp,
+  parseMpesaSmsTime,
+};
@@ -0,0 +1,36 @@
+/**
+ * Kenyan phone numbers are stored in one canonical form: 2547XXXXXXXX / 2541XXXXXXXX
+ * Accepts 07XXXXXXXX, 7XXXXXXXX, 254XXXXXXXXX and +254 XXX XXX XXX (spaces/dashes ignored)
+ */
+const CANONICAL_PHONE_REGEX = /^254[17]\d{8}$/;
+
+/**
+ * Normalize a phone number to 254XXXXXXXXX
+ * @param {string|number} phone - Phone number as typed by the user or sent by a client
+ * @returns {string|null} Canonical number, or null if it is not a valid Kenyan mobile number
+ */
+const normalizePhoneNumber = (phone) => {
+  if (phone === undefined || phone === null) {
+    return null;
+  }
+
+  let cleaned = String(phone).replace(/\D/g, '');
+
+  if (cleaned.startsWith('0')) {
+    cleaned = '254' + cleaned.slice(1);
+  } else if (cleaned.length === 9) {
+    cleaned = '254' + cleaned;
+  }
+
+  return CANONICAL_PHONE_REGEX.test(cleaned) ? cleaned : null;
+};
+
+/**
+ * Check whether a phone number can be normalized
+ */
+const isValidPhoneNumber = (phone) => normalizePhoneNumber(phone) !== null;
+
+module.exports = {
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+};